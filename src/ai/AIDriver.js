@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { createInputState } from '../core/Input.js';
+import { Random } from '../core/Random.js';
+
+// AI driver: turns the track into throttle / brake / steer inputs for a Car
+// - Produces the same input snapshot as core/Input.js, so rivals run the exact
+//   physics, nitro and damage rules of the player's car
+// - Steering: pure pursuit towards a point on the racing line, further ahead at speed
+// - Speed: brakes to a grip-limited speed for the arc needed to reach points ahead
+// - Nitro on straights; optional rubber banding against the player (pace up when
+//   behind, down when ahead, nitro when trailing) - see ai/Difficulty.js
+// - Recovery: reverses out when stuck or when the line bends back inside the car's
+//   turning circle (a K-turn), and asks to be put back on the road when off it
+//   (or going nowhere) for too long
+// - All decisions come from a seeded stream (same seed => same race)
+
+const TWO_PI = Math.PI * 2;
+
+function wrapAngle(a) {
+    a = (a + Math.PI) % TWO_PI;
+    if (a < 0) a += TWO_PI;
+    return a - Math.PI;
+}
+
+// Signed curve-fraction difference wrapped into -0.5..0.5
+function wrapProgress(d) {
+    return d - Math.round(d);
+}
+
+export class AIDriver {
+    /**
+     * @param {Car} car the car this driver controls
+     * @param {Track} track track providing the curve and road width
+     * @param {object} opts
+     * @param {Random} [opts.rng] seeded stream for skill rolls and decisions
+     * @param {number} [opts.lane] preferred lateral offset of the racing line (+ = right)
+     * @param {object} [opts.config] tunables overriding the defaults below
+     */
+    constructor(car, track, opts = {}) {
+        this.car = car;
+        this.track = track;
+        this.curve = track.curve;
+        this.length = this.curve.getLength();
+
+        this.config = Object.assign({
+            pace: 0.95,               // fraction of the car's top speed aimed for on straights
+            paceSpread: 0.06,         // per-driver random pace reduction, so rivals don't run in formation
+            lookAheadMin: 12,         // steering target distance at standstill (units)
+            lookAheadTime: 0.35,      // extra steering look-ahead per unit/s of speed
+            steerGain: 2.2,           // steer per radian of heading error
+            brakeHorizon: 1.5,        // seconds of travel scanned for upcoming corners
+            cornerGrip: 160,          // lateral acceleration budget (units/s^2)
+            laneWidth: 4.5,           // racing line wanders this far around the preferred lane
+            laneSwitchInterval: { min: 2.5, max: 6 },
+            nitroDuration: { min: 1.5, max: 3.0 },
+            nitroCooldown: { min: 4, max: 12 },
+            nitroChance: 0.25,        // per second, when not trailing
+            rubberBand: null,         // { catchUp, slowDown, deadZone, range, nitroGap } or null for none
+            stuckTime: 1.0,           // seconds below crawling speed before reversing out
+            circlingTime: 0.75,       // seconds with the target inside the turning circle before a K-turn
+            reverseTime: 2.0,         // longest reverse before trying forwards again
+            offTrackRespawn: 4.0,     // seconds off the road before respawning
+            noProgressRespawn: 6.0    // seconds without gaining ground before respawning
+        }, opts.config);
+
+        this.preferredLane = opts.lane || 0;
+        this.input = createInputState();
+
+        // Racing line
+        this.progress = 0;
+        this.lane = this.preferredLane;
+        this.targetLane = this.preferredLane;
+
+        // Recovery
+        this.state = 'drive'; // drive, reverse
+        this.needsRespawn = false;
+
+        this._target = new THREE.Vector3();
+        this._t1 = new THREE.Vector3();
+        this._t2 = new THREE.Vector3();
+        this._t3 = new THREE.Vector3();
+
+        this.reseed(opts.rng || new Random());
+    }
+
+    // Re-roll the per-race decisions from a (seeded) stream and forget all state
+    reseed(rng) {
+        this.rng = rng;
+        const c = this.config;
+        this.paceScale = 1 - rng.range(0, c.paceSpread);
+        this._tLane = rng.range(c.laneSwitchInterval.min, c.laneSwitchInterval.max);
+        this._nitroTimer = 0;
+        this._nitroCooldown = rng.range(c.nitroCooldown.min, c.nitroCooldown.max);
+        this.reset();
+    }
+
+    // Call after the car was placed (grid, respawn)
+    reset() {
+        this.progress = this.track.getTrackProgress(this.car.mesh.position);
+        this.car.progress = this.progress;
+        this.lane = this.targetLane = this.preferredLane;
+        this.car.maxSpeed = this.car.config.maxSpeed; // no catch-up carried over
+        this.state = 'drive';
+        this.needsRespawn = false;
+        this._stateTimer = 0;
+        this._stuckTimer = 0;
+        this._circlingTimer = 0;
+        this._offTrackTimer = 0;
+        this._noProgressTimer = 0;
+        this._bestProgress = this.progress;
+    }
+
+    // Point on the racing line: curve fraction t, offset sideways (+ = right)
+    _linePoint(t, lateral, out) {
+        t = ((t % 1) + 1) % 1;
+        out.copy(this.curve.getPointAt(t));
+        const tangent = this.curve.getTangentAt(t, this._t2);
+        return out.set(out.x - tangent.z * lateral, out.y, out.z + tangent.x * lateral);
+    }
+
+    // Point `distance` units further along the racing line
+    _pursuitPoint(distance, out) {
+        return this._linePoint(this.progress + distance / this.length, this.lane, out);
+    }
+
+    // Heading error (radians, > 0 = to the left) towards a world point
+    _headingError(point) {
+        const pos = this.car.mesh.position;
+        return wrapAngle(Math.atan2(-(point.x - pos.x), -(point.z - pos.z)) - this.car.rotation);
+    }
+
+    // Tightest arc the car must drive to reach points within the braking horizon:
+    // the circle through the car, tangent to its heading, through each point
+    _minRadiusAhead(distance) {
+        const pos = this.car.mesh.position;
+        let minRadius = Infinity;
+        for (let i = 1; i <= 3; i++) {
+            const point = this._pursuitPoint((distance * i) / 3, this._t3);
+            const chord = Math.hypot(point.x - pos.x, point.z - pos.z);
+            const sin = Math.abs(Math.sin(Math.min(Math.PI / 2, Math.abs(this._headingError(point)))));
+            if (sin > 1e-4) minRadius = Math.min(minRadius, chord / (2 * sin));
+        }
+        return minRadius;
+    }
+
+    /**
+     * Decide this step's inputs.
+     * @param {number} dt step length
+     * @param {object} [options]
+     * @param {number} [options.playerGap] race distance the player is ahead by (units, < 0 = behind)
+     * @returns {object} input snapshot for Car.update
+     */
+    update(dt, options = {}) {
+        const c = this.config;
+        const car = this.car;
+        const input = this.input;
+
+        this.progress = this.track.getTrackProgress(car.mesh.position, this.progress);
+        car.progress = this.progress;
+
+        // Racing line: wander around the preferred lane
+        this._tLane -= dt;
+        if (this._tLane <= 0) {
+            this.targetLane = this.preferredLane + this.rng.range(-1, 1) * c.laneWidth;
+            this._tLane = this.rng.range(c.laneSwitchInterval.min, c.laneSwitchInterval.max);
+        }
+        this.lane = THREE.MathUtils.lerp(this.lane, this.targetLane, Math.min(1, dt * 1.5));
+
+        // Steering: aim at a point further down the line
+        const speed = car.speed * 60; // units per second
+        const lookAhead = c.lookAheadMin + Math.abs(speed) * c.lookAheadTime;
+        const error = this._headingError(this._pursuitPoint(lookAhead, this._target)); // > 0: target is to the left
+
+        // Corner speed from the tightest bend within the braking horizon
+        const radius = this._minRadiusAhead(Math.max(30, Math.abs(speed) * c.brakeHorizon));
+        // Catching up may take a rival past its car's top speed (by at most catchUp): the
+        // car's limit is lifted with it, otherwise catch-up would vanish at full pace
+        const paceLimit = c.rubberBand ? 1 + c.rubberBand.catchUp : 1;
+        const pace = Math.min(paceLimit, c.pace * this.paceScale * this._rubberBand(options.playerGap));
+        car.maxSpeed = car.config.maxSpeed * Math.max(1, pace);
+        const topSpeed = car.config.maxSpeed * pace;
+        const targetSpeed = Math.min(topSpeed, Math.sqrt(c.cornerGrip * radius) / 60);
+
+        this._updateRecovery(dt, error, this._target);
+
+        input.nitro = false;
+        input.handbrake = false;
+        if (this.state === 'reverse') {
+            // Backing up swaps steering direction: swing the nose towards the line.
+            // Slow reversing is enough and keeps the car from backing far away.
+            input.throttle = 0;
+            input.brake = car.speed > -0.25 ? 1 : 0;
+            input.steer = Math.sign(error) || 1;
+            this._nitroTimer = 0;
+            return input;
+        }
+
+        // (still rolling backwards after a K-turn: steering works the other way round)
+        input.steer = THREE.MathUtils.clamp(-error * c.steerGain, -1, 1) * (car.speed < 0 ? -1 : 1);
+        const excess = car.speed - targetSpeed;
+        if (excess > 0.02) {
+            input.throttle = 0;
+            input.brake = THREE.MathUtils.clamp(excess / 0.15, 0, 1);
+        } else {
+            input.throttle = THREE.MathUtils.clamp(-excess / 0.05, 0.3, 1);
+            input.brake = 0;
+        }
+        // Way off line at speed (spun, pushed): scrub speed before turning back
+        if (Math.abs(error) > 1.2 && car.speed > 0.4) input.handbrake = true;
+
+        input.nitro = this._updateNitro(dt, options, targetSpeed >= topSpeed && Math.abs(error) < 0.3);
+        return input;
+    }
+
+    // Is a point inside the circle the car drives on full lock towards it?
+    // (Steering rate scales with speed, so that radius is the same at any speed.)
+    _insideTurningCircle(point, error, margin = 1) {
+        const car = this.car;
+        const radius = (60 * car.maxSpeed) / car.steeringPower;
+        const side = Math.sign(error) || 1; // +1: circle on the left
+        const cx = car.mesh.position.x - Math.cos(car.rotation) * radius * side;
+        const cz = car.mesh.position.z + Math.sin(car.rotation) * radius * side;
+        return Math.hypot(point.x - cx, point.z - cz) < radius * margin;
+    }
+
+    _updateRecovery(dt, error, target) {
+        const c = this.config;
+        const car = this.car;
+
+        // Ground gained along the track (unwrapped)
+        const gained = wrapProgress(this.progress - this._bestProgress) * this.length;
+        if (gained > 10) {
+            this._bestProgress = this.progress;
+            this._noProgressTimer = 0;
+        } else {
+            this._noProgressTimer += dt;
+        }
+
+        // Off the road: further from the centreline than the road is wide
+        const center = this.curve.getPointAt(this.progress);
+        const dx = car.mesh.position.x - center.x;
+        const dz = car.mesh.position.z - center.z;
+        const offRoad = dx * dx + dz * dz > (this.track.getWidthAt(this.progress) * 1.5) ** 2;
+        this._offTrackTimer = offRoad ? this._offTrackTimer + dt : 0;
+
+        if (this._offTrackTimer > c.offTrackRespawn || this._noProgressTimer > c.noProgressRespawn) {
+            this.needsRespawn = true;
+        }
+
+        if (this.state === 'reverse') {
+            this._stateTimer -= dt;
+            const reachable = !this._insideTurningCircle(target, error, 1.2);
+            if (this._stateTimer <= 0 || (reachable && Math.abs(error) < 1.0)) {
+                this.state = 'drive';
+                this._stuckTimer = 0;
+            }
+            return;
+        }
+
+        // Stuck against something, or orbiting because the line bends back tighter
+        // than the car can turn (a target briefly inside the circle is normal)
+        const crawling = Math.abs(car.speed) < 0.05;
+        this._stuckTimer = crawling ? this._stuckTimer + dt : 0;
+        this._circlingTimer = this._insideTurningCircle(target, error) ? this._circlingTimer + dt : 0;
+        if (this._stuckTimer > c.stuckTime || this._circlingTimer > c.circlingTime) {
+            this.state = 'reverse';
+            this._stateTimer = c.reverseTime;
+            this._circlingTimer = 0;
+        }
+    }
+
+    // Pace multiplier from the distance to the player (1 without rubber banding)
+    _rubberBand(playerGap) {
+        const band = this.config.rubberBand;
+        if (!band || playerGap == null) return 1;
+        const over = Math.abs(playerGap) - band.deadZone;
+        if (over <= 0) return 1;
+        const amount = Math.min(1, over / band.range);
+        return playerGap > 0 ? 1 + band.catchUp * amount : 1 - band.slowDown * amount;
+    }
+
+    // Apply difficulty overrides (see ai/Difficulty.js); takes effect immediately
+    configure(overrides) {
+        Object.assign(this.config, overrides);
+    }
+
+    // Hold nitro for a rolled duration; trailing the player makes it fire sooner
+    _updateNitro(dt, options, straight) {
+        const c = this.config;
+        if (this._nitroTimer > 0) {
+            this._nitroTimer -= dt;
+            if (this._nitroTimer <= 0) this._nitroCooldown = this.rng.range(c.nitroCooldown.min, c.nitroCooldown.max);
+            return straight;
+        }
+        this._nitroCooldown = Math.max(0, this._nitroCooldown - dt);
+        if (this._nitroCooldown > 0 || !straight) return false;
+
+        const band = c.rubberBand;
+        const trailing = !!band && options.playerGap != null && options.playerGap > band.nitroGap;
+        if (trailing || this.rng.chance(c.nitroChance * dt)) {
+            this._nitroTimer = this.rng.range(c.nitroDuration.min, c.nitroDuration.max);
+            return true;
+        }
+        return false;
+    }
+}
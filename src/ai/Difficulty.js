@@ -0,0 +1,69 @@
+// AI difficulty presets
+// - Each preset is a set of AIDriver config overrides: base pace, cornering skill,
+//   nitro usage and rubber-banding strength
+// - Rubber-banding scales pace with the distance to the player: rivals behind speed
+//   up (catchUp), rivals ahead ease off (slowDown), both reaching full effect at `range`;
+//   catch-up can lift a rival up to catchUp past its car's top speed, so it still
+//   bites on presets that already run at full pace
+// - "Pure" races turn rubber-banding off entirely (no catch-up, no slow-down and
+//   no nitro aimed at the player), leaving only the preset's own pace
+
+export const DIFFICULTY_LEVELS = ['EASY', 'NORMAL', 'HARD', 'INSANE'];
+
+export const DEFAULT_DIFFICULTY = 'NORMAL';
+
+export const DIFFICULTY_PRESETS = {
+    EASY: {
+        pace: 0.82,
+        paceSpread: 0.08,
+        cornerGrip: 110,
+        steerGain: 1.8,
+        laneWidth: 6,
+        nitroChance: 0.1,
+        nitroCooldown: { min: 8, max: 16 },
+        rubberBand: { catchUp: 0.06, slowDown: 0.15, deadZone: 20, range: 250, nitroGap: 200 }
+    },
+    NORMAL: {
+        pace: 0.9,
+        paceSpread: 0.06,
+        cornerGrip: 140,
+        steerGain: 2.2,
+        laneWidth: 4.5,
+        nitroChance: 0.2,
+        nitroCooldown: { min: 5, max: 12 },
+        rubberBand: { catchUp: 0.08, slowDown: 0.08, deadZone: 30, range: 300, nitroGap: 120 }
+    },
+    HARD: {
+        pace: 0.96,
+        paceSpread: 0.04,
+        cornerGrip: 170,
+        steerGain: 2.4,
+        laneWidth: 3,
+        nitroChance: 0.3,
+        nitroCooldown: { min: 4, max: 9 },
+        rubberBand: { catchUp: 0.06, slowDown: 0.03, deadZone: 40, range: 350, nitroGap: 80 }
+    },
+    INSANE: {
+        pace: 1.0,
+        paceSpread: 0.02,
+        cornerGrip: 200,
+        steerGain: 2.6,
+        laneWidth: 2,
+        nitroChance: 0.45,
+        nitroCooldown: { min: 3, max: 6 },
+        rubberBand: { catchUp: 0.04, slowDown: 0, deadZone: 50, range: 400, nitroGap: 40 }
+    }
+};
+
+/**
+ * AIDriver config overrides for a difficulty level.
+ * @param {string} level one of DIFFICULTY_LEVELS (unknown levels fall back to the default)
+ * @param {object} [opts]
+ * @param {boolean} [opts.rubberBanding] false for a "pure" race
+ */
+export function difficultyConfig(level, opts = {}) {
+    const preset = DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+    const config = Object.assign({}, preset);
+    if (opts.rubberBanding === false) config.rubberBand = null;
+    return config;
+}
@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { noiseBuffer, noiseSource, envelope } from './Synth.js';
+
+// Synthesized engine for one car (Web Audio, no samples)
+// - Pitch follows the car's gearbox RPM (see Car._updateGearbox), so shifts are audible
+//   as the revs dropping into the next gear
+// - Harmonic layers of the firing frequency; throttle load brings in the upper ones and
+//   opens the lowpass, off-throttle the engine falls back to a dull, lumpy burble
+// - Turbo whistle that spools with load x rpm; blow-off hiss when the throttle is lifted
+//   with boost built up
+// - Nitro whoosh (band-passed noise) while the car burns nitro
+// - Backfire pops on a lift-off at high revs (not on the shift cuts)
+// - `pitch` scales every frequency (doppler shift of rivals, see WorldAudio.js)
+
+// Harmonics of the firing frequency: [multiple, waveform, gain off-throttle, gain on-throttle]
+const LAYERS = [
+    [1, 'sine', 0.55, 0.35],
+    [2, 'sawtooth', 0.18, 0.3],
+    [3, 'square', 0.03, 0.1],
+    [6, 'sawtooth', 0.0, 0.06]
+];
+const CYLINDERS = 4;    // firing frequency = rpm / 60 * cylinders / 2
+const SMOOTHING = 0.05; // setTargetAtTime constant for continuous parameters
+
+export class EngineSound {
+    /**
+     * @param {AudioContext} context
+     * @param {AudioNode} destination
+     * @param {object} [opts]
+     * @param {Random} [opts.rng] noise and backfire timing
+     * @param {number} [opts.volume]
+     */
+    constructor(context, destination, opts = {}) {
+        this.context = context;
+        this.rng = opts.rng;
+        this.volume = opts.volume !== undefined ? opts.volume : 0.3;
+        this.noise = noiseBuffer(context, this.rng);
+
+        this.pitch = 1;          // frequency multiplier
+        this.spool = 0;          // turbo boost 0..1
+        this._onThrottle = false;
+        this._nodes = [];        // started sources (stopped by dispose)
+
+        // Engine: layers -> lowpass -> lump (idle AM) -> output
+        this.output = context.createGain();
+        this.output.gain.value = 0;
+        this.output.connect(destination);
+
+        this.lump = context.createGain();
+        this.lump.connect(this.output);
+        this.filter = context.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = 300;
+        this.filter.connect(this.lump);
+
+        this.layers = LAYERS.map(([multiple, type]) => {
+            const osc = context.createOscillator();
+            osc.type = type;
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            osc.connect(gain);
+            gain.connect(this.filter);
+            osc.start();
+            this._nodes.push(osc);
+            return { osc, gain, multiple };
+        });
+
+        // Uneven idle: the gain wobbles at half the firing frequency, less as the revs rise
+        this.lumpLfo = context.createOscillator();
+        this.lumpDepth = context.createGain();
+        this.lumpDepth.gain.value = 0;
+        this.lumpLfo.connect(this.lumpDepth);
+        this.lumpDepth.connect(this.lump.gain);
+        this.lumpLfo.start();
+        this._nodes.push(this.lumpLfo);
+
+        // Turbo whistle
+        this.turbo = context.createOscillator();
+        this.turbo.type = 'sine';
+        this.turboGain = context.createGain();
+        this.turboGain.gain.value = 0;
+        this.turbo.connect(this.turboGain);
+        this.turboGain.connect(this.output);
+        this.turbo.start();
+        this._nodes.push(this.turbo);
+
+        // Nitro whoosh
+        const whoosh = noiseSource(context, this.noise, { loop: true });
+        this.nitroFilter = context.createBiquadFilter();
+        this.nitroFilter.type = 'bandpass';
+        this.nitroFilter.Q.value = 0.8;
+        this.nitroGain = context.createGain();
+        this.nitroGain.gain.value = 0;
+        whoosh.connect(this.nitroFilter);
+        this.nitroFilter.connect(this.nitroGain);
+        this.nitroGain.connect(this.output);
+        this._nodes.push(whoosh);
+    }
+
+    // -----------------------------
+    // Per-frame update
+    // -----------------------------
+    /**
+     * Follow the car's engine state.
+     * @param {Car} car reads rpm, engineLoad, shifting, nitroActive and the rpm range
+     * @param {number} dt frame seconds
+     */
+    update(car, dt) {
+        const now = this.context.currentTime;
+        const cfg = car.config;
+        const rev = THREE.MathUtils.clamp((car.rpm - cfg.idleRpm) / (cfg.redlineRpm - cfg.idleRpm), 0, 1);
+        const load = THREE.MathUtils.clamp(car.engineLoad, 0, 1);
+        const firing = car.rpm / 60 * CYLINDERS / 2 * this.pitch;
+
+        this.layers.forEach((layer, i) => {
+            const [, , offGain, onGain] = LAYERS[i];
+            layer.osc.frequency.setTargetAtTime(firing * layer.multiple, now, SMOOTHING * 0.5);
+            layer.gain.gain.setTargetAtTime(THREE.MathUtils.lerp(offGain, onGain, load), now, SMOOTHING);
+        });
+        this.filter.frequency.setTargetAtTime(250 + 1400 * rev + 3000 * load * (0.3 + rev), now, SMOOTHING);
+        this.filter.Q.setTargetAtTime(0.7 + 4 * load, now, SMOOTHING);
+        this.lumpLfo.frequency.setTargetAtTime(firing / 2, now, SMOOTHING);
+        this.lumpDepth.gain.setTargetAtTime(0.35 * (1 - rev), now, SMOOTHING);
+        this.output.gain.setTargetAtTime(this.volume * (0.6 + 0.4 * load), now, SMOOTHING);
+
+        // Turbo spools up with load at high revs and bleeds off quickly without it
+        const spoolTarget = load * rev;
+        const rate = spoolTarget > this.spool ? 1.5 : 3;
+        this.spool += (spoolTarget - this.spool) * Math.min(1, dt * rate);
+        this.turbo.frequency.setTargetAtTime((1800 + 4200 * this.spool) * this.pitch, now, SMOOTHING);
+        this.turboGain.gain.setTargetAtTime(0.03 * this.spool * this.spool, now, SMOOTHING);
+
+        this.nitroFilter.frequency.setTargetAtTime(600 + 900 * rev, now, SMOOTHING);
+        this.nitroGain.gain.setTargetAtTime(car.nitroActive ? 0.15 : 0, now, car.nitroActive ? 0.08 : 0.25);
+
+        // Lift-off (with hysteresis so a wobbly analog throttle does not retrigger)
+        if (load > 0.7) {
+            this._onThrottle = true;
+        } else if (load < 0.3 && this._onThrottle) {
+            this._onThrottle = false;
+            this.liftOff(rev, car.shifting);
+        }
+    }
+
+    // Fade out (car not in the race); update() brings it back
+    silence() {
+        this.output.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
+        this.nitroGain.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
+        this._onThrottle = false;
+        this.spool = 0;
+    }
+
+    // -----------------------------
+    // One-shots
+    // -----------------------------
+    liftOff(rev, shifting) {
+        if (this.spool > 0.4) this.blowOff(this.spool);
+        if (!shifting && rev > 0.55) this.backfire(this.rng.int(2, 4));
+        this.spool *= 0.3; // the blow-off valve dumps the boost
+    }
+
+    // Falling hiss of the blow-off valve
+    blowOff(strength) {
+        const t = this.context.currentTime;
+        const source = noiseSource(this.context, this.noise, { offset: this.rng.range(0, 1) });
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.Q.value = 2;
+        filter.frequency.setValueAtTime(3000, t);
+        filter.frequency.exponentialRampToValueAtTime(1200, t + 0.35);
+        const gain = this.context.createGain();
+        envelope(gain.gain, t, 0.12 * strength, 0.01, 0.4);
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.output);
+        source.stop(t + 0.45);
+    }
+
+    // A few short, low cracks spread over the next third of a second
+    backfire(count) {
+        const start = this.context.currentTime;
+        for (let i = 0; i < count; i++) {
+            const t = start + this.rng.range(0.02, 0.35);
+            const source = noiseSource(this.context, this.noise, { offset: this.rng.range(0, 1), when: t });
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = this.rng.range(600, 1100);
+            const gain = this.context.createGain();
+            envelope(gain.gain, t, this.rng.range(0.25, 0.4), 0.002, 0.06);
+            source.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.output);
+            source.stop(t + 0.1);
+        }
+    }
+
+    dispose() {
+        this._nodes.forEach(node => node.stop());
+        this._nodes = [];
+        this.output.disconnect();
+    }
+}
@@ -0,0 +1,289 @@
+import { noiseBuffer, noiseSource, envelope } from './Synth.js';
+
+// Adaptive synthwave soundtrack, sequenced and synthesized live (no assets)
+// - 16th-note step sequencer with lookahead scheduling on the audio clock
+//   (update() every frame tops up the next LOOKAHEAD seconds of notes)
+// - 4-bar loop over Am - F - C - G; every stem plays the same clock, so layers can come
+//   and go without ever drifting out of time
+// - Stems: menu (pad + slow echoing arpeggio), base (drums, octave bass, pad),
+//   intensity (16th hats, fast arpeggio) and finalLap (lead melody, open hats)
+// - setLayers() only records the wish: changes land on the next beat and crossfade
+//   over FADE_BEATS; the intensity stem stays at least HOLD_BEATS once in (nitro taps
+//   and position swaps must not make it flap)
+// - setMuffled() closes a lowpass over the whole mix (pause menu)
+
+const BPM = 112;
+const STEPS_PER_BEAT = 4;
+const STEPS_PER_BAR = 16;
+const LOOKAHEAD = 0.15; // seconds of notes scheduled ahead
+const FADE_BEATS = 2;
+const HOLD_BEATS = 8;
+
+// Chord per bar: root (MIDI) and triad intervals
+const PROGRESSION = [
+    { root: 45, triad: [0, 3, 7] }, // Am
+    { root: 41, triad: [0, 4, 7] }, // F
+    { root: 48, triad: [0, 4, 7] }, // C
+    { root: 43, triad: [0, 4, 7] }  // G
+];
+
+// Final-lap lead: per bar [step, MIDI note, length in steps]
+const MELODY = [
+    [[0, 76, 6], [6, 74, 2], [8, 72, 4], [12, 76, 4]],
+    [[0, 81, 6], [6, 79, 2], [8, 77, 4], [12, 72, 4]],
+    [[0, 79, 6], [6, 76, 2], [8, 72, 4], [12, 74, 4]],
+    [[0, 71, 4], [4, 74, 4], [8, 79, 8]]
+];
+
+// Stem mix levels and minimum time in (beats)
+const STEMS = {
+    menu: { level: 0.55, hold: 0 },
+    base: { level: 0.5, hold: 0 },
+    intensity: { level: 0.35, hold: HOLD_BEATS },
+    finalLap: { level: 0.35, hold: 0 }
+};
+
+function midiToFreq(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class Music {
+    /**
+     * @param {AudioContext} context
+     * @param {AudioNode} destination the music bus
+     * @param {object} [opts]
+     * @param {Random} [opts.rng] humanizes hat velocities
+     */
+    constructor(context, destination, opts = {}) {
+        this.context = context;
+        this.rng = opts.rng;
+        this.stepTime = 60 / BPM / STEPS_PER_BEAT;
+        this.noise = noiseBuffer(context, this.rng, 1);
+
+        // Mix: stems -> lowpass (muffle) -> destination, with a shared echo send
+        this.output = context.createBiquadFilter();
+        this.output.type = 'lowpass';
+        this.output.frequency.value = 18000;
+        this.output.connect(destination);
+
+        this.echo = context.createDelay(1);
+        this.echo.delayTime.value = this.stepTime * 3; // dotted 8th
+        const feedback = context.createGain();
+        feedback.gain.value = 0.35;
+        const echoTone = context.createBiquadFilter();
+        echoTone.type = 'lowpass';
+        echoTone.frequency.value = 2500;
+        this.echo.connect(echoTone);
+        echoTone.connect(feedback);
+        feedback.connect(this.echo);
+        echoTone.connect(this.output);
+
+        this.stems = {};
+        for (const [name, { level, hold }] of Object.entries(STEMS)) {
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.output);
+            const send = context.createGain();
+            send.gain.value = 0.3;
+            gain.connect(send);
+            send.connect(this.echo);
+            this.stems[name] = { gain, level, hold, on: false, want: false, heldUntil: 0, audibleUntil: 0 };
+        }
+
+        this.step = 0;
+        this.nextStepTime = context.currentTime + 0.1;
+    }
+
+    /**
+     * Stems wanted now (missing names = off). Applied on the next beat.
+     * @param {{menu?: boolean, base?: boolean, intensity?: boolean, finalLap?: boolean}} layers
+     */
+    setLayers(layers) {
+        for (const name of Object.keys(this.stems)) this.stems[name].want = !!layers[name];
+    }
+
+    setMuffled(muffled) {
+        this.output.frequency.setTargetAtTime(muffled ? 600 : 18000, this.context.currentTime, 0.2);
+    }
+
+    // -----------------------------
+    // Sequencer
+    // -----------------------------
+    // Schedule every step that starts within the lookahead window
+    update() {
+        const now = this.context.currentTime;
+        // After a stall (hidden tab) pick the clock up again instead of rushing to catch up
+        if (this.nextStepTime < now - 0.5) this.nextStepTime = now + 0.05;
+        while (this.nextStepTime < now + LOOKAHEAD) {
+            const t = this.nextStepTime;
+            if (this.step % STEPS_PER_BEAT === 0) this.applyLayers(t);
+            this.playStep(this.step, t);
+            this.step = (this.step + 1) % (STEPS_PER_BAR * PROGRESSION.length);
+            this.nextStepTime += this.stepTime;
+        }
+    }
+
+    // Beat boundary: start the crossfades of stems whose wish changed
+    applyLayers(t) {
+        const beat = this.stepTime * STEPS_PER_BEAT;
+        for (const stem of Object.values(this.stems)) {
+            if (stem.want === stem.on) continue;
+            if (!stem.want && t < stem.heldUntil) continue;
+            if (stem.want && t < stem.audibleUntil) continue; // let a fade-out finish first
+            stem.on = stem.want;
+            stem.gain.gain.cancelScheduledValues(t);
+            stem.gain.gain.setValueAtTime(stem.on ? 0 : stem.level, t);
+            stem.gain.gain.linearRampToValueAtTime(stem.on ? stem.level : 0, t + FADE_BEATS * beat);
+            if (stem.on) stem.heldUntil = t + stem.hold * beat;
+            else stem.audibleUntil = t + FADE_BEATS * beat;
+        }
+    }
+
+    // Notes are only scheduled for stems that can be heard
+    audible(name, t) {
+        const stem = this.stems[name];
+        return stem.on || t < stem.audibleUntil;
+    }
+
+    playStep(step, t) {
+        const bar = Math.floor(step / STEPS_PER_BAR);
+        const s = step % STEPS_PER_BAR;
+        const chord = PROGRESSION[bar];
+        const notes = chord.triad.map(i => chord.root + i);
+        const barLength = this.stepTime * STEPS_PER_BAR;
+
+        if (this.audible('menu', t)) {
+            const out = this.stems.menu.gain;
+            if (s === 0) this.pad(out, t, notes.map(n => n + 12), barLength);
+            if (s % 4 === 0) this.pluck(out, t, midiToFreq(notes[(s / 4) % 3] + 24), 'triangle', this.stepTime * 3, 0.12);
+        }
+        if (this.audible('base', t)) {
+            const out = this.stems.base.gain;
+            if (s % 4 === 0) this.kick(out, t);
+            if (s === 4 || s === 12) this.snare(out, t);
+            if (s % 2 === 0) this.bass(out, t, midiToFreq(chord.root - 12 + (s % 4 === 2 ? 12 : 0)), this.stepTime * 1.8);
+            if (s === 0) this.pad(out, t, notes.map(n => n + 12), barLength, 0.5);
+        }
+        if (this.audible('intensity', t)) {
+            const out = this.stems.intensity.gain;
+            this.hat(out, t, s % 2 === 1 ? 0.12 : this.rng.range(0.04, 0.07), 0.03);
+            this.pluck(out, t, midiToFreq(notes[s % 3] + 24 + (s % 6 >= 3 ? 12 : 0)), 'square', this.stepTime * 0.8, 0.06);
+        }
+        if (this.audible('finalLap', t)) {
+            const out = this.stems.finalLap.gain;
+            if (s % 4 === 2) this.hat(out, t, 0.1, 0.18);
+            MELODY[bar].forEach(([at, note, length]) => {
+                if (at === s) this.lead(out, t, midiToFreq(note), this.stepTime * length);
+            });
+        }
+    }
+
+    // -----------------------------
+    // Instruments
+    // -----------------------------
+    kick(out, t) {
+        const osc = this.context.createOscillator();
+        osc.frequency.setValueAtTime(150, t);
+        osc.frequency.exponentialRampToValueAtTime(45, t + 0.12);
+        osc.start(t);
+        this.voice(out, osc, t, 0.9, 0.002, 0.3);
+    }
+
+    snare(out, t) {
+        const body = this.context.createOscillator();
+        body.type = 'triangle';
+        body.frequency.setValueAtTime(220, t);
+        body.start(t);
+        this.voice(out, body, t, 0.25, 0.002, 0.1);
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 1500;
+        this.voice(out, noiseSource(this.context, this.noise, { offset: this.rng.range(0, 1), when: t }), t, 0.35, 0.002, 0.18, filter);
+    }
+
+    hat(out, t, level, decay) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = 7000;
+        this.voice(out, noiseSource(this.context, this.noise, { offset: this.rng.range(0, 1), when: t }), t, level, 0.001, decay, filter);
+    }
+
+    bass(out, t, freq, length) {
+        const osc = this.context.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = freq;
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(900, t);
+        filter.frequency.exponentialRampToValueAtTime(200, t + length);
+        osc.start(t);
+        this.voice(out, osc, t, 0.35, 0.005, length, filter);
+    }
+
+    // Slow detuned saw chord
+    pad(out, t, notes, length, level = 1) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1200;
+        filter.connect(out);
+        notes.forEach(note => {
+            [-8, 8].forEach(cents => {
+                const osc = this.context.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = midiToFreq(note);
+                osc.detune.value = cents;
+                const gain = this.context.createGain();
+                gain.gain.setValueAtTime(0.0001, t);
+                gain.gain.linearRampToValueAtTime(0.04 * level, t + length * 0.3);
+                gain.gain.linearRampToValueAtTime(0.0001, t + length);
+                osc.connect(gain);
+                gain.connect(filter);
+                osc.start(t);
+                osc.stop(t + length + 0.05);
+            });
+        });
+    }
+
+    pluck(out, t, freq, type, length, level) {
+        const osc = this.context.createOscillator();
+        osc.type = type;
+        osc.frequency.value = freq;
+        osc.start(t);
+        this.voice(out, osc, t, level, 0.003, length);
+    }
+
+    // Square lead with a little vibrato
+    lead(out, t, freq, length) {
+        const osc = this.context.createOscillator();
+        osc.type = 'square';
+        osc.frequency.value = freq;
+        const vibrato = this.context.createOscillator();
+        vibrato.frequency.value = 5.5;
+        const depth = this.context.createGain();
+        depth.gain.value = freq * 0.006;
+        vibrato.connect(depth);
+        depth.connect(osc.frequency);
+        vibrato.start(t);
+        vibrato.stop(t + length + 0.05);
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 3000;
+        osc.start(t);
+        this.voice(out, osc, t, 0.12, 0.01, length, filter);
+    }
+
+    // Started source (-> filter) -> envelope -> out, stopped once the envelope has died
+    voice(out, source, t, peak, attack, decay, filter = null) {
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        envelope(gain.gain, t, peak, attack, decay);
+        if (filter) {
+            source.connect(filter);
+            filter.connect(gain);
+        } else {
+            source.connect(gain);
+        }
+        gain.connect(out);
+        source.stop(t + attack + decay + 0.05);
+    }
+}
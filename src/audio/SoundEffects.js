@@ -0,0 +1,155 @@
+import { noiseBuffer, noiseSource, envelope } from './Synth.js';
+
+// Named one-shot sound effects
+// - Synthesized from the recipes below (no sample files)
+// - play(name, strength) scales loudness (and for impacts the weight of the sound)
+// - Voice limit: at most maxVoices at once, the oldest one is faded out to make room
+// - Everything goes into one destination (the SFX bus, see AudioManager)
+
+// Recipes: (sfx, voice, t, strength) => duration in seconds
+const RECIPES = {
+    // Car hitting something: low thump plus a crunch, heavier with the impulse
+    impact(sfx, voice, t, strength) {
+        const s = Math.min(1.5, Math.max(0.2, strength));
+        sfx.tone(voice, t, { type: 'sine', from: 90 + 30 * s, to: 40, peak: 0.5 * s, attack: 0.005, decay: 0.25 });
+        sfx.noise(voice, t, { filter: 'lowpass', from: 1200 + 800 * s, to: 300, peak: 0.4 * s, attack: 0.002, decay: 0.15 + 0.1 * s });
+        return 0.4;
+    },
+    // Crate smashed: woody crack, a rattle of splinters and a dull knock
+    crate(sfx, voice, t, strength) {
+        sfx.noise(voice, t, { filter: 'bandpass', from: 1800, q: 1, peak: 0.35 * strength, attack: 0.002, decay: 0.12 });
+        sfx.tone(voice, t, { type: 'triangle', from: 140, to: 60, peak: 0.3 * strength, attack: 0.003, decay: 0.15 });
+        for (let i = 0; i < 3; i++) {
+            sfx.noise(voice, t + sfx.rng.range(0.04, 0.2), { filter: 'highpass', from: sfx.rng.range(2000, 3500), peak: 0.12 * strength, attack: 0.001, decay: 0.04 });
+        }
+        return 0.35;
+    },
+    // Gate passed in order: quick rising two-note blip
+    checkpoint(sfx, voice, t, strength) {
+        sfx.tone(voice, t, { type: 'sine', from: 880, peak: 0.2 * strength, attack: 0.005, decay: 0.08 });
+        sfx.tone(voice, t + 0.08, { type: 'sine', from: 1320, peak: 0.2 * strength, attack: 0.005, decay: 0.12 });
+        return 0.25;
+    },
+    // Lap complete: major arpeggio
+    lap(sfx, voice, t, strength) {
+        [523, 659, 784, 1047].forEach((freq, i) => {
+            sfx.tone(voice, t + i * 0.09, { type: 'square', from: freq, peak: 0.1 * strength, attack: 0.005, decay: i === 3 ? 0.4 : 0.12 });
+        });
+        return 0.75;
+    },
+    // Lap thrown away (missed a gate): falling buzz
+    lapInvalid(sfx, voice, t, strength) {
+        sfx.tone(voice, t, { type: 'sawtooth', from: 220, to: 110, peak: 0.12 * strength, attack: 0.01, decay: 0.35 });
+        return 0.4;
+    },
+    // Start lights: short beeps, then a long high one on GO
+    countdown(sfx, voice, t, strength) {
+        sfx.tone(voice, t, { type: 'square', from: 440, peak: 0.12 * strength, attack: 0.005, decay: 0.18 });
+        return 0.2;
+    },
+    go(sfx, voice, t, strength) {
+        sfx.tone(voice, t, { type: 'square', from: 880, peak: 0.14 * strength, attack: 0.005, decay: 0.5 });
+        return 0.55;
+    },
+    // Menu button
+    click(sfx, voice, t, strength) {
+        sfx.tone(voice, t, { type: 'sine', from: 1200, to: 600, peak: 0.15 * strength, attack: 0.002, decay: 0.04 });
+        return 0.06;
+    }
+};
+
+export const SOUND_NAMES = Object.keys(RECIPES);
+
+export class SoundEffects {
+    /**
+     * @param {AudioContext} context
+     * @param {AudioNode} destination
+     * @param {object} [opts]
+     * @param {Random} [opts.rng] variation of the synthesized sounds
+     * @param {number} [opts.maxVoices]
+     */
+    constructor(context, destination, opts = {}) {
+        this.context = context;
+        this.destination = destination;
+        this.rng = opts.rng;
+        this.maxVoices = opts.maxVoices || 12;
+        this.noiseBuffer = noiseBuffer(context, this.rng, 1);
+        this.voices = [];         // { gain, sources, end }
+    }
+
+    /**
+     * Play a one-shot.
+     * @param {string} name recipe name (SOUND_NAMES)
+     * @param {number} [strength] loudness (1 = normal; impacts go up to 1.5)
+     * @returns {boolean} false for an unknown name
+     */
+    play(name, strength = 1) {
+        const recipe = RECIPES[name];
+        if (!recipe) {
+            console.warn(`SoundEffects: unknown sound "${name}"`);
+            return false;
+        }
+
+        const t = this.context.currentTime;
+        this.voices = this.voices.filter(v => v.end > t);
+        while (this.voices.length >= this.maxVoices) this.release(this.voices.shift(), t);
+
+        const voice = { gain: this.context.createGain(), sources: [], end: t };
+        voice.gain.connect(this.destination);
+        voice.end = t + recipe(this, voice, t, strength);
+        voice.sources.forEach(source => { source.onended = () => this.finish(voice); });
+        this.voices.push(voice);
+        return true;
+    }
+
+    // Fade a voice out quickly (voice stealing)
+    release(voice, t) {
+        voice.gain.gain.cancelScheduledValues(t);
+        voice.gain.gain.setTargetAtTime(0, t, 0.01);
+        voice.sources.forEach(source => source.stop(t + 0.05));
+    }
+
+    // A source of the voice ended; free the voice after its last one
+    finish(voice) {
+        voice.ended = (voice.ended || 0) + 1;
+        if (voice.ended < voice.sources.length) return;
+        voice.gain.disconnect();
+        this.voices = this.voices.filter(v => v !== voice);
+    }
+
+    // -----------------------------
+    // Recipe building blocks
+    // -----------------------------
+    // Oscillator with a pitch glide (from -> to) and an attack/decay envelope
+    tone(voice, t, { type, from, to = from, peak, attack, decay }) {
+        const osc = this.context.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(from, t);
+        if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, t + attack + decay);
+        osc.start(t);
+        this.shape(voice, osc, osc, t, peak, attack, decay);
+    }
+
+    // Filtered noise burst (filter cutoff can sweep from -> to)
+    noise(voice, t, { filter, from, to = from, q = 0.7, peak, attack, decay }) {
+        const source = noiseSource(this.context, this.noiseBuffer, { offset: this.rng.range(0, 1), when: t });
+        const biquad = this.context.createBiquadFilter();
+        biquad.type = filter;
+        biquad.Q.value = q;
+        biquad.frequency.setValueAtTime(from, t);
+        if (to !== from) biquad.frequency.exponentialRampToValueAtTime(to, t + attack + decay);
+        source.connect(biquad);
+        this.shape(voice, source, biquad, t, peak, attack, decay);
+    }
+
+    // Envelope gain from `output` into the voice; the started source stops after the decay
+    shape(voice, source, output, t, peak, attack, decay) {
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        envelope(gain.gain, t, peak, attack, decay);
+        output.connect(gain);
+        gain.connect(voice.gain);
+        source.stop(t + attack + decay + 0.02);
+        voice.sources.push(source);
+    }
+}
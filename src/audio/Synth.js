@@ -0,0 +1,42 @@
+// Small Web Audio building blocks shared by the synthesized sounds
+// - White-noise buffers (drawn from a seeded Random, like everything else in the game)
+// - One-shot envelopes on a gain node
+
+/**
+ * Buffer of white noise.
+ * @param {AudioContext} context
+ * @param {Random} rng
+ * @param {number} [seconds]
+ * @returns {AudioBuffer}
+ */
+export function noiseBuffer(context, rng, seconds = 2) {
+    const buffer = context.createBuffer(1, Math.floor(context.sampleRate * seconds), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = rng.next() * 2 - 1;
+    return buffer;
+}
+
+// Noise source reading the buffer, started at `when` (loops when asked, otherwise stops
+// on its own at the end of the buffer)
+export function noiseSource(context, buffer, { loop = false, offset = 0, when = context.currentTime } = {}) {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    source.start(when, offset % buffer.duration);
+    return source;
+}
+
+/**
+ * Attack/exponential-decay envelope on a gain parameter.
+ * @param {AudioParam} param
+ * @param {number} time start (context time)
+ * @param {number} peak
+ * @param {number} attack seconds
+ * @param {number} decay seconds to fall to silence
+ */
+export function envelope(param, time, peak, attack, decay) {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(0.0001, time);
+    param.linearRampToValueAtTime(peak, time + attack);
+    param.exponentialRampToValueAtTime(0.0001, time + attack + decay);
+}
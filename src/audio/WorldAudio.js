@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { EngineSound } from './EngineSound.js';
+
+// Positional sound sources in the world (THREE.PositionalAudio, heard through the
+// listener on the camera)
+// - Rival engines: one EngineSound per rival, panned and attenuated from its car, with a
+//   doppler-like pitch shift from the closing speed between car and listener (Web Audio
+//   panners have no doppler of their own)
+// - Neon hum from the track's flickering lights: a small pool of voices follows the
+//   lights nearest the listener (a track has dozens) and swells with each light's flicker
+// - Voices are created lazily, once audio has started, and rebuilt when the world changes;
+//   everything feeds the given bus instead of the listener's master input directly
+
+const SPEED_OF_SOUND = 343;   // units per second (a unit is roughly a metre)
+const MAX_CLOSING = 150;      // clamp for the doppler term (respawn teleports etc.)
+const HUM_VOICES = 6;
+const HUM_REASSIGN = 0.5;     // seconds between picking the nearest lights
+const HUM_INTENSITY = 70;     // light intensity at full hum (see Track.update)
+
+export class WorldAudio {
+    /**
+     * @param {THREE.AudioListener} listener (on the camera)
+     * @param {AudioNode} destination bus the voices play into
+     * @param {object} [opts]
+     * @param {Random} [opts.rng]
+     */
+    constructor(listener, destination, opts = {}) {
+        this.listener = listener;
+        this.context = listener.context;
+        this.destination = destination;
+        this.rng = opts.rng;
+
+        this.rivals = [];   // { car, audio, engine, lastPos }
+        this.lights = [];   // THREE.PointLight of the current track
+        this.hums = [];     // { audio, gain, light }
+        this._humTimer = 0;
+
+        this._listenerPos = new THREE.Vector3();
+        this._lastListenerPos = new THREE.Vector3();
+        this._listenerVel = new THREE.Vector3();
+        this._carPos = new THREE.Vector3();
+        this._carVel = new THREE.Vector3();
+        this._toListener = new THREE.Vector3();
+
+        this.createHums();
+    }
+
+    // PositionalAudio fed by a gain node (sources connect to the returned input)
+    createVoice({ refDistance, rolloff, maxDistance, model }) {
+        const audio = new THREE.PositionalAudio(this.listener);
+        const input = this.context.createGain();
+        audio.setNodeSource(input);
+        audio.gain.disconnect();
+        audio.gain.connect(this.destination);
+        audio.setRefDistance(refDistance);
+        audio.setRolloffFactor(rolloff);
+        audio.setMaxDistance(maxDistance);
+        audio.panner.panningModel = model;
+        return { audio, input };
+    }
+
+    // -----------------------------
+    // Rivals
+    // -----------------------------
+    /**
+     * Give every rival its own engine voice (replaces the previous set).
+     * @param {EnemyCar[]} rivals
+     */
+    setRivals(rivals) {
+        this.rivals.forEach(r => {
+            r.engine.dispose();
+            r.audio.disconnect();
+            r.audio.gain.disconnect();
+            r.audio.removeFromParent();
+        });
+        this.rivals = rivals.map((car, i) => {
+            const { audio, input } = this.createVoice({ refDistance: 8, rolloff: 1.2, maxDistance: 400, model: 'HRTF' });
+            car.mesh.add(audio);
+            const engine = new EngineSound(this.context, input, { rng: this.rng.fork(`rival-${i}`), volume: 0.35 });
+            return { car, audio, engine, lastPos: car.mesh.getWorldPosition(new THREE.Vector3()) };
+        });
+    }
+
+    updateRivals(dt) {
+        this.rivals.forEach(r => {
+            const pos = r.car.mesh.getWorldPosition(this._carPos);
+            this._carVel.subVectors(pos, r.lastPos).divideScalar(dt);
+            r.lastPos.copy(pos);
+            if (!r.car.mesh.visible) {
+                r.engine.silence();
+                return;
+            }
+
+            // Closing speed along the line to the listener (+ = approaching => higher)
+            this._toListener.subVectors(this._listenerPos, pos).normalize();
+            const closing = this._carVel.sub(this._listenerVel).dot(this._toListener);
+            const pitch = SPEED_OF_SOUND / (SPEED_OF_SOUND - THREE.MathUtils.clamp(closing, -MAX_CLOSING, MAX_CLOSING));
+            r.engine.pitch = THREE.MathUtils.lerp(r.engine.pitch, pitch, Math.min(1, dt * 10));
+            r.engine.update(r.car, dt);
+        });
+    }
+
+    // -----------------------------
+    // Light hum
+    // -----------------------------
+    createHums() {
+        for (let i = 0; i < HUM_VOICES; i++) {
+            const { audio, input } = this.createVoice({ refDistance: 6, rolloff: 2, maxDistance: 120, model: 'equalpower' });
+            // Mains hum and its buzzing harmonics, slightly detuned per voice
+            const base = 50 * (1 + (i - HUM_VOICES / 2) * 0.004);
+            const gain = this.context.createGain();
+            gain.gain.value = 0;
+            [[1, 'sine', 0.5], [2, 'sawtooth', 0.08], [6, 'square', 0.015]].forEach(([multiple, type, level]) => {
+                const osc = this.context.createOscillator();
+                osc.type = type;
+                osc.frequency.value = base * multiple;
+                const layer = this.context.createGain();
+                layer.gain.value = level;
+                osc.connect(layer);
+                layer.connect(gain);
+                osc.start();
+            });
+            gain.connect(input);
+            this.hums.push({ audio, gain, light: null });
+        }
+    }
+
+    // Lights of the (new) track
+    setLights(lights) {
+        this.lights = lights;
+        this.hums.forEach(h => { h.light = null; });
+        this._humTimer = 0;
+    }
+
+    // Point the hum voices at the lights nearest the listener
+    assignHums() {
+        const nearest = this.lights
+            .map(light => ({ light, d: light.getWorldPosition(this._carPos).distanceToSquared(this._listenerPos) }))
+            .sort((a, b) => a.d - b.d)
+            .slice(0, this.hums.length);
+        this.hums.forEach((hum, i) => {
+            hum.light = nearest[i] ? nearest[i].light : null;
+            if (!hum.light) return;
+            hum.light.getWorldPosition(hum.audio.position);
+            hum.audio.updateMatrixWorld(true);
+        });
+    }
+
+    updateHums(dt) {
+        this._humTimer -= dt;
+        if (this._humTimer <= 0) {
+            this._humTimer = HUM_REASSIGN;
+            this.assignHums();
+        }
+        const t = this.context.currentTime;
+        this.hums.forEach(hum => {
+            const level = hum.light ? Math.max(0, hum.light.intensity / HUM_INTENSITY) * 0.12 : 0;
+            hum.gain.gain.setTargetAtTime(level, t, 0.05);
+        });
+    }
+
+    // -----------------------------
+    // Per-frame update
+    // -----------------------------
+    /**
+     * @param {number} dt frame seconds
+     */
+    update(dt) {
+        if (!(dt > 0)) return;
+        this.listener.getWorldPosition(this._listenerPos);
+        this._listenerVel.subVectors(this._listenerPos, this._lastListenerPos).divideScalar(dt);
+        this._lastListenerPos.copy(this._listenerPos);
+
+        this.updateRivals(dt);
+        this.updateHums(dt);
+    }
+
+    // Everything quiet (no race on screen); update() brings it back
+    silence() {
+        this.rivals.forEach(r => r.engine.silence());
+        const t = this.context.currentTime;
+        this.hums.forEach(hum => hum.gain.gain.setTargetAtTime(0, t, 0.1));
+    }
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { TransformHistory } from '../core/TransformHistory.js';
+import { getSurface } from '../world/Surfaces.js';
 
 // Robust Car class with extra systems:
 // - health & damage
@@ -8,26 +10,105 @@ import * as THREE from 'three';
 // - bounding-sphere helper + debug draw
 // - serialization methods
 // - defensive guards and vector reuse for fewer allocations
+// - frame-rate independent: all motion is scaled by the fixed simulation step,
+//   timers use simulated time (no performance.now/setTimeout inside the sim)
+// - ground following (once given a track): rides the road height, pitches/rolls to the
+//   surface normal, goes airborne over crests (gravity) and detects falling off the road
+// - surface materials: grip, top speed and drift change per surface (asphalt, kerb,
+//   grass/dirt, boost pad), with a surfaceChanged event when the car crosses onto another
+// - 2D drift model: longitudinal + lateral velocity, tyre grip that saturates past a slip
+//   angle, handbrake that breaks rear traction, counter-steer to catch a slide
+// - visual build (body/cabin size, wheel placement, spoiler, colours) is data, so the
+//   vehicle roster (see Vehicles.js) can describe different cars
+// - gearbox: engine RPM from road speed through the gear ratios, automatic up/down
+//   shifts (gearChange event); gear, rpm and engine load are read by the HUD and the
+//   engine sound. The gearbox is cosmetic: acceleration does not depend on the gear, and
+//   the short "shift cut" only drops the engine load and revs the sound hears
+
+// Input snapshot used when update() is called without one (see core/Input.js)
+const NEUTRAL_INPUT = Object.freeze({ throttle: 0, brake: 0, steer: 0, nitro: false, handbrake: false });
+
+// Default handling config (vehicles in Vehicles.js override parts of it)
+export const CAR_DEFAULTS = Object.freeze({
+    maxSpeed: 1.4,
+    acceleration: 0.85,
+    friction: 0.97,
+    steeringPower: 2.2,
+    wheelRadius: 0.35,
+    mass: 1.0,
+    nitroCapacity: 100,
+    nitroPower: 1.6, // multiplier
+    nitroDrainRate: 30, // units per second
+    nitroRegenRate: 5, // units per second
+    nitroCooldownSec: 0.75, // after depleting
+    collisionRadius: 2.0,
+    gravity: 40,         // units per second^2 while airborne
+    edgeOverhang: 0.8,   // how far past the road edge the centre can go and still be held up
+    snapTolerance: 1.0,  // below the surface by at most this much still counts as on it
+    fallDepth: 6,        // this far below the road = fallen off (respawn)
+    boostAcceleration: 1.5, // extra acceleration during a boost-pad surge
+    boostFade: 1.2,      // per second: how fast a surge above top speed dies away
+    tyreGrip: 260,       // sideways grip limit (units/s^2)
+    peakSlip: 0.12,      // slip angle (rad) where the tyres reach that limit and start sliding
+    slideGrip: 0.45,     // share of the grip left once sliding well past the peak
+    oversteer: 2.0,      // how hard a loose rear swings the tail round (rad/s)
+    counterSteer: 1.6,   // extra steering authority when steering against a slide
+    handbrakeGrip: 0.35, // share of the grip left with the rear wheels locked
+    handbrakeDrag: 0.6,  // per second of speed lost with the handbrake on
+    driftThreshold: 0.15, // slip angle (rad) that counts as drifting ('drift' event)
+    gears: [0.3, 0.5, 0.7, 0.9, 1.15], // top of each gear at the redline, as a share of maxSpeed
+    reverseGear: 0.55,
+    idleRpm: 900,
+    redlineRpm: 7500,
+    shiftUpRpm: 7000,
+    shiftDownRpm: 3200,
+    shiftTime: 0.18      // seconds of (audible) load cut while changing gear
+});
+
+// Default visual build (sizes in units, wheel x/z are offsets from the centre)
+const DEFAULT_BUILD = {
+    paint: 0xff0066,
+    accent: 0x00ffff,       // rims and underglow
+    body: [1.2, 0.4, 2.6],  // width, height, length
+    cabin: [0.85, 0.35, 1.3],
+    cabinOffset: -0.1,
+    wheelX: 0.7,
+    wheelZ: 0.8,
+    wheelWidth: 0.3,
+    spoiler: 'wing',        // 'wing', 'ducktail' or 'none'
+    model: null             // glTF body path (see core/Assets.js), null = procedural only
+};
+
+// glTF node names taken as wheels, and names of groups that only hold the wheels
+const WHEEL_NAME = /wheel|tire|tyre/i;
+const WHEEL_GROUP_NAME = /(wheels|tires|tyres)$/i;
+
+// Top-most nodes named like wheels (groups of all wheels are searched inside)
+function findWheelNodes(root) {
+    const found = [];
+    const visit = (node) => {
+        if (WHEEL_NAME.test(node.name) && !WHEEL_GROUP_NAME.test(node.name)) {
+            found.push(node);
+            return;
+        }
+        node.children.forEach(visit);
+    };
+    root.children.forEach(visit);
+    return found;
+}
 
 export class Car {
-    constructor(scene, opts = {}) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} [opts] config overrides (handling, nitro, collision)
+     * @param {object} [build] visual build overrides (see DEFAULT_BUILD)
+     */
+    constructor(scene, opts = {}, build = {}) {
         this.scene = scene;
+        this.build = Object.assign({}, DEFAULT_BUILD, build);
 
         // --- Tunables / config (exposed for easy balancing) ---
-        this.config = Object.assign({
-            maxSpeed: 1.4,
-            acceleration: 0.85,
-            friction: 0.97,
-            steeringPower: 2.2,
-            wheelRadius: 0.35,
-            mass: 1.0,
-            nitroCapacity: 100,
-            nitroPower: 1.6, // multiplier
-            nitroDrainRate: 30, // units per second
-            nitroRegenRate: 5, // units per second
-            nitroCooldownSec: 0.75, // after depleting
-            collisionRadius: 2.0
-        }, opts);
+        this.config = Object.assign({}, CAR_DEFAULTS, opts);
 
         // --- Physical State ---
         this.speed = 0;
@@ -36,24 +117,54 @@ export class Car {
         this.friction = this.config.friction;
         this.rotation = 0; // yaw
         this.steeringPower = this.config.steeringPower;
-        this.driftFactor = 0;
+        this.lateralSpeed = 0; // sideways slide, units per 1/60 s (+ = right)
+        this.slipAngle = 0;    // angle between heading and direction of travel (rad, + = sliding right)
+        this.driftFactor = 0;  // = slipAngle (kept for listeners)
 
         // Health / Damage
         this.maxHealth = 100;
         this.health = this.maxHealth;
         this.invulnerable = false; // temporary invul after respawn
+        this._invulnerableTimer = 0;
 
         // Nitro
         this.nitroAmount = this.config.nitroCapacity;
         this.nitroCooldown = 0; // remaining cooldown seconds
+        this.nitroActive = false; // burning nitro this step
+
+        // Gearbox (see _updateGearbox): gear -1 = reverse, 1..gears.length forward
+        this.gear = 1;
+        this.rpm = this.config.idleRpm;
+        this.engineLoad = 0;  // 0..1, throttle actually reaching the wheels
+        this._shiftTimer = 0;
 
         // Progress tracking (external systems can set this)
         this.progress = 0;
 
+        // Ground following (see setTrack)
+        this.track = null;
+        this.verticalSpeed = 0; // units per second, + = up
+        this.airborne = false;
+        this.airTime = 0;
+        this.fallen = false;
+        this.surfaceNormal = new THREE.Vector3(0, 1, 0);
+        this._road = { point: new THREE.Vector3(), normal: new THREE.Vector3(), right: new THREE.Vector3() };
+        this._roadHint = -1;
+        this._groundY = 0;
+
+        // Surface under the wheels (see world/Surfaces.js)
+        this.surface = 'asphalt';
+        this.surfaceProps = getSurface(this.surface);
+        this.boostTime = 0;   // seconds of boost-pad surge left
+        this._surging = false; // above top speed because of a surge
+
         // For performance: reuse vectors
         this._v1 = new THREE.Vector3();
         this._v2 = new THREE.Vector3();
         this._v3 = new THREE.Vector3();
+        this._q1 = new THREE.Quaternion();
+        this._q2 = new THREE.Quaternion();
+        this._euler = new THREE.Euler();
 
         // Event callbacks
         this._events = {};
@@ -79,8 +190,12 @@ export class Car {
         // For wheel smoothing
         this._wheelSpinVel = 0;
 
-        // Last collision time (debounce)
-        this._lastCollisionTime = 0;
+        // Simulated clock (advanced by update) and last collision time (debounce)
+        this._simTime = 0;
+        this._lastCollisionTime = -Infinity;
+
+        // Previous/current transform for render interpolation
+        this.history = new TransformHistory(this.mesh);
     }
 
     // -----------------------------
@@ -100,29 +215,40 @@ export class Car {
     // Build/visual helpers
     // -----------------------------
     createCar() {
+        const b = this.build;
+        const [bodyW, bodyH, bodyL] = b.body;
+        const bodyY = 0.4 + bodyH / 2;
+        const topY = bodyY + bodyH / 2;
+
+        // Procedural body (replaced by a glTF model in applyModel); wheels, underglow
+        // and brake lights stay on the car itself
+        this.body = new THREE.Group();
+        this.mesh.add(this.body);
+
         // --- CHASSIS ---
-        this.paintMat = new THREE.MeshStandardMaterial({ color: 0xff0066, roughness: 0.1, metalness: 0.8 });
-        const body = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.4, 2.6), this.paintMat);
-        body.position.y = 0.6;
-        body.castShadow = true;
-        this.mesh.add(body);
+        this.paintMat = new THREE.MeshStandardMaterial({ color: b.paint, roughness: 0.1, metalness: 0.8 });
+        const chassis = new THREE.Mesh(new THREE.BoxGeometry(bodyW, bodyH, bodyL), this.paintMat);
+        chassis.position.y = bodyY;
+        chassis.castShadow = true;
+        this.body.add(chassis);
 
         // --- CABIN / COCKPIT ---
         const glassMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0, transparent: true, opacity: 0.9 });
-        const cabin = new THREE.Mesh(new THREE.BoxGeometry(0.85, 0.35, 1.3), glassMat);
-        cabin.position.set(0, 0.9, -0.1);
-        this.mesh.add(cabin);
+        const cabin = new THREE.Mesh(new THREE.BoxGeometry(...b.cabin), glassMat);
+        cabin.position.set(0, topY + b.cabin[1] / 2 - 0.075, b.cabinOffset);
+        this.body.add(cabin);
 
         // --- WHEELS with suspension groups ---
-        const wheelGeo = new THREE.CylinderGeometry(this.config.wheelRadius, this.config.wheelRadius, 0.3, 16);
+        const r = this.config.wheelRadius;
+        const wheelGeo = new THREE.CylinderGeometry(r, r, b.wheelWidth, 16);
         const wheelMat = new THREE.MeshStandardMaterial({ color: 0x111111 });
-        const rimMat = new THREE.MeshBasicMaterial({ color: 0x00ffff });
+        const rimMat = new THREE.MeshBasicMaterial({ color: b.accent });
 
         const wheelPositions = [
-            { x: 0.7, y: 0.35, z: 0.8 },  // Front Left
-            { x: -0.7, y: 0.35, z: 0.8 }, // Front Right
-            { x: 0.7, y: 0.35, z: -0.8 }, // Back Left
-            { x: -0.7, y: 0.35, z: -0.8 } // Back Right
+            { x: b.wheelX, y: r, z: b.wheelZ },   // Front Left
+            { x: -b.wheelX, y: r, z: b.wheelZ },  // Front Right
+            { x: b.wheelX, y: r, z: -b.wheelZ },  // Back Left
+            { x: -b.wheelX, y: r, z: -b.wheelZ }  // Back Right
         ];
 
         wheelPositions.forEach((pos, i) => {
@@ -131,7 +257,7 @@ export class Car {
             wheel.rotation.z = Math.PI / 2;
             wheel.castShadow = true;
 
-            const rim = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.65, 0.35), rimMat);
+            const rim = new THREE.Mesh(new THREE.BoxGeometry(0.1, r * 1.85, b.wheelWidth + 0.05), rimMat);
             rim.rotation.x = 0.2;
             wheel.add(rim);
 
@@ -139,11 +265,11 @@ export class Car {
             axle.position.set(pos.x, pos.y, pos.z);
             this.mesh.add(axle);
             this.wheels.push(axle);
-            this._wheelState.push({ spin: 0, steer: 0 });
+            this._wheelState.push({ spin: 0, steer: 0, front: i < 2, baseY: pos.y });
         });
 
         // --- NEON UNDERGLOW ---
-        this.underglow = new THREE.Mesh(new THREE.PlaneGeometry(1.4, 2.4), new THREE.MeshBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.15 }));
+        this.underglow = new THREE.Mesh(new THREE.PlaneGeometry(bodyW + 0.2, bodyL - 0.2), new THREE.MeshBasicMaterial({ color: b.accent, transparent: true, opacity: 0.15 }));
         this.underglow.rotation.x = -Math.PI / 2;
         this.underglow.position.y = 0.1;
         this.mesh.add(this.underglow);
@@ -151,27 +277,95 @@ export class Car {
         // --- LIGHTS ---
         const headLightGeo = new THREE.BoxGeometry(0.4, 0.1, 0.1);
         const headLightL = new THREE.Mesh(headLightGeo, new THREE.MeshBasicMaterial({ color: 0xffffff }));
-        headLightL.position.set(0.35, 0.6, 1.3);
-        this.mesh.add(headLightL);
+        headLightL.position.set(bodyW * 0.3, bodyY, bodyL / 2);
+        this.body.add(headLightL);
 
         const headLightR = headLightL.clone();
-        headLightR.position.x = -0.35;
-        this.mesh.add(headLightR);
+        headLightR.position.x = -bodyW * 0.3;
+        this.body.add(headLightR);
 
-        this.brakeLights = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.1, 0.1), new THREE.MeshBasicMaterial({ color: 0x550000 }));
-        this.brakeLights.position.set(0, 0.6, -1.3);
+        this.brakeLights = new THREE.Mesh(new THREE.BoxGeometry(bodyW - 0.2, 0.1, 0.1), new THREE.MeshBasicMaterial({ color: 0x550000 }));
+        this.brakeLights.position.set(0, bodyY, -bodyL / 2);
         this.mesh.add(this.brakeLights);
 
         // spoiler
-        const spoilerSupport = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.3, 0.1), this.paintMat);
-        spoilerSupport.position.set(0.4, 0.85, -1.1);
-        this.mesh.add(spoilerSupport);
-        const spoilerSupportR = spoilerSupport.clone();
-        spoilerSupportR.position.x = -0.4;
-        this.mesh.add(spoilerSupportR);
-        const wing = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.05, 0.4), this.paintMat);
-        wing.position.set(0, 1.0, -1.1);
-        this.mesh.add(wing);
+        const rearZ = -bodyL / 2 + 0.2;
+        if (b.spoiler === 'wing') {
+            const spoilerSupport = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.3, 0.1), this.paintMat);
+            spoilerSupport.position.set(bodyW / 3, topY + 0.05, rearZ);
+            this.body.add(spoilerSupport);
+            const spoilerSupportR = spoilerSupport.clone();
+            spoilerSupportR.position.x = -bodyW / 3;
+            this.body.add(spoilerSupportR);
+            const wing = new THREE.Mesh(new THREE.BoxGeometry(bodyW + 0.2, 0.05, 0.4), this.paintMat);
+            wing.position.set(0, topY + 0.2, rearZ);
+            this.body.add(wing);
+        } else if (b.spoiler === 'ducktail') {
+            const lip = new THREE.Mesh(new THREE.BoxGeometry(bodyW, 0.08, 0.35), this.paintMat);
+            lip.position.set(0, topY + 0.04, rearZ - 0.05);
+            lip.rotation.x = -0.3;
+            this.body.add(lip);
+        }
+    }
+
+    /**
+     * Swap the procedural body for a loaded glTF model (fitted to the build's body length,
+     * wheels on the ground). Wheel nodes are found by name and wrapped in axle groups, so
+     * spin, steer and suspension drive them; a model without wheels keeps the box wheels.
+     * A material named like "paint"/"body" becomes the paint (setColor recolours it).
+     * @param {THREE.Object3D} template loaded scene (cloned, never modified)
+     */
+    applyModel(template) {
+        const model = template.clone(true);
+        const box = new THREE.Box3().setFromObject(model);
+        const length = box.getSize(this._v1).z;
+        if (length > 0) model.scale.multiplyScalar(this.build.body[2] / length);
+        box.setFromObject(model);
+        box.getCenter(this._v1);
+        model.position.x -= this._v1.x;
+        model.position.y -= box.min.y;
+        model.position.z -= this._v1.z;
+        model.updateMatrixWorld(true);
+
+        // Paint: one shared clone per car so rivals can each have their own colour
+        let paint = null;
+        model.traverse(obj => {
+            if (!obj.isMesh) return;
+            obj.castShadow = true;
+            if (obj.material && /paint|body/i.test(obj.material.name)) {
+                if (!paint) {
+                    paint = obj.material.clone();
+                    paint.color.setHex(this.build.paint);
+                }
+                obj.material = paint;
+            }
+        });
+        if (paint) this.paintMat = paint;
+
+        this.mesh.remove(this.body);
+        this.body = model;
+        this.mesh.add(model);
+
+        const wheels = findWheelNodes(model);
+        if (!wheels.length) return;
+        this.wheels.forEach(axle => this.mesh.remove(axle));
+        this.wheels = [];
+        this._wheelState = [];
+        this.mesh.updateMatrixWorld(true);
+        wheels.forEach(node => {
+            // axle at the wheel centre -> spin group -> the wheel (world transform kept)
+            const centre = this.mesh.worldToLocal(new THREE.Box3().setFromObject(node).getCenter(new THREE.Vector3()));
+            const axle = new THREE.Group();
+            axle.position.copy(centre);
+            const spin = new THREE.Group();
+            axle.add(spin);
+            this.mesh.add(axle);
+            this.mesh.updateMatrixWorld(true);
+            spin.attach(node);
+            this.wheels.push(axle);
+            // the procedural front wheels sit on +z, so models follow the same layout
+            this._wheelState.push({ spin: 0, steer: 0, front: centre.z > 0, baseY: centre.y });
+        });
     }
 
     // -----------------------------
@@ -190,6 +384,18 @@ export class Car {
         this.mesh.rotation.y = yaw;
     }
 
+    // Remove from the scene (the car is not used afterwards)
+    dispose() {
+        this._disposeDebugBounds();
+        this.scene.remove(this.mesh);
+    }
+
+    // Road to follow (height, surface normal, fall-off); null = keep the current height
+    setTrack(track) {
+        this.track = track;
+        this._roadHint = -1;
+    }
+
     getBoundingSphere() {
         const center = this.mesh.position;
         return { center, radius: this.boundingRadius };
@@ -248,8 +454,8 @@ export class Car {
         // obj: collision entity (can carry info)
         // normal: collision normal (THREE.Vector3)
         // severity: multiplier
-        const now = performance.now();
-        if (now - this._lastCollisionTime < 100) return; // debounce
+        const now = this._simTime;
+        if (now - this._lastCollisionTime < 0.1) return; // debounce
         this._lastCollisionTime = now;
 
         const impulse = Math.abs(this.speed) * severity;
@@ -259,6 +465,7 @@ export class Car {
         const push = this._v1.copy(normal).multiplyScalar(0.8 * severity);
         this.mesh.position.add(push);
         this.speed *= -0.5;
+        this.lateralSpeed *= 0.5;
         this.cameraShake = 0.8;
 
         this.emit('collision', obj, impulse);
@@ -302,30 +509,46 @@ export class Car {
     update(input, dt) {
         // Defensive guards
         if (!dt || dt <= 0) return;
-        if (!input || !input.keys) input = { keys: {} };
+        if (!input) input = NEUTRAL_INPUT;
+
+        this._simTime += dt;
+        if (this._invulnerableTimer > 0) {
+            this._invulnerableTimer -= dt;
+            if (this._invulnerableTimer <= 0) this.invulnerable = false;
+        }
 
-        // 1. Acceleration & Braking
-        const accInput = input.keys.w ? 1 : 0;
-        const brakeInput = input.keys.s ? 1 : 0;
+        // 1. Acceleration & Braking (analog 0..1 from the input snapshot)
+        const accInput = input.throttle || 0;
+        const brakeInput = input.brake || 0;
+        const steerInput = THREE.MathUtils.clamp(input.steer || 0, -1, 1);
 
         // Smoothing acceleration and braking (simple lerp)
         this._accSmoothed = (this._accSmoothed || 0);
         this._accSmoothed = THREE.MathUtils.lerp(this._accSmoothed, accInput - brakeInput, Math.min(1, dt * 8));
 
-        // Apply forces
+        // Apply forces (scaled by the surface's grip; none while airborne)
+        const surface = this.surfaceProps;
+        const grip = this.airborne ? 0 : surface.grip;
         if (this._accSmoothed > 0.01) {
-            this.speed += this.acceleration * this._accSmoothed * dt;
+            this.speed += this.acceleration * this._accSmoothed * dt * grip;
             this.brakeLights.material.color.setHex(0x550000);
         } else if (this._accSmoothed < -0.01) {
-            this.speed += this.acceleration * this._accSmoothed * dt * 1.5; // stronger braking
+            this.speed += this.acceleration * this._accSmoothed * dt * 1.5 * grip; // stronger braking
             this.brakeLights.material.color.setHex(0xff0000);
         } else {
             this.brakeLights.material.color.setHex(0x550000);
         }
 
+        // Handbrake: locks the rear wheels (bleeds speed, breaks rear traction - see step 5)
+        if (input.handbrake) {
+            this.speed *= Math.max(0, 1 - dt * this.config.handbrakeDrag);
+            this.brakeLights.material.color.setHex(0xff0000);
+        }
+
         // 2. Nitro
-        const nitroKey = input.keys.shift;
+        const nitroKey = !!input.nitro;
         const isUsingNitro = nitroKey && this.nitroAmount > 0 && this.nitroCooldown <= 0;
+        this.nitroActive = isUsingNitro;
         if (isUsingNitro) {
             const used = this._useNitro(dt);
             if (used) this.speed = Math.min(this.maxSpeed * this.config.nitroPower, this.speed + this.acceleration * dt * 1.2);
@@ -333,36 +556,68 @@ export class Car {
             this._regenNitro(dt);
         }
 
-        // 3. Speed limiter
-        const currentMax = this.maxSpeed;
-        if (this.speed > currentMax) this.speed = currentMax;
+        // 3. Speed limiter (per surface: slow surfaces drag the car down to their top speed,
+        //    a boost-pad surge lifts the limit and then fades out instead of being cut)
+        let currentMax = this.maxSpeed * surface.maxSpeed;
+        if (this.boostTime > 0) {
+            this.boostTime = Math.max(0, this.boostTime - dt);
+            currentMax = Math.max(currentMax, this.maxSpeed * getSurface('boost').maxSpeed);
+            this.speed = Math.min(currentMax, this.speed + this.config.boostAcceleration * dt);
+        }
+        if (this.speed > currentMax) {
+            const drag = this._surging ? Math.max(surface.drag, this.config.boostFade) : surface.drag;
+            this.speed = drag > 0 ? THREE.MathUtils.lerp(this.speed, currentMax, Math.min(1, drag * dt)) : currentMax;
+        } else {
+            this._surging = this.boostTime > 0;
+        }
         if (this.speed < -currentMax / 2) this.speed = -currentMax / 2;
 
         // 4. Friction & damping
         this.speed *= Math.pow(this.friction, dt * 60 * 0.016); // scale friction to dt
 
-        // 5. Steering & drift
-        if (Math.abs(this.speed) > 0.03) {
+        // 5. Steering & tyres: heading and direction of travel are separate. Steering turns
+        //    the heading; the tyres pull the velocity back in line up to their grip limit and
+        //    anything beyond it is a slide (the slip angle is the drift)
+        const cfg = this.config;
+        const forwardSpeed = Math.abs(this.speed);
+        if (forwardSpeed > 0.03 && !this.airborne) {
             const steerSign = this.speed > 0 ? 1 : -1;
-            const steerScale = (Math.abs(this.speed) / this.maxSpeed);
-            let steerAmount = this.steeringPower * dt * steerSign * steerScale;
-
-            if (input.keys.a) {
-                this.rotation += steerAmount;
-                this.driftFactor = THREE.MathUtils.lerp(this.driftFactor, 0.25 * steerScale, Math.min(1, dt * 6));
-            } else if (input.keys.d) {
-                this.rotation -= steerAmount;
-                this.driftFactor = THREE.MathUtils.lerp(this.driftFactor, -0.25 * steerScale, Math.min(1, dt * 6));
-            } else {
-                this.driftFactor = THREE.MathUtils.lerp(this.driftFactor, 0, Math.min(1, dt * 6));
-            }
-        } else {
-            this.driftFactor = THREE.MathUtils.lerp(this.driftFactor, 0, Math.min(1, dt * 8));
+            const steerScale = forwardSpeed / this.maxSpeed;
+            // steer is -1 (left) .. 1 (right); positive yaw turns left
+            let steerYaw = -this.steeringPower * steerScale * steerSign * steerInput * grip;
+            // Rear stepping out (handbrake, or tyres past their peak) swings the tail further round
+            const rearLoose = input.handbrake ? 1 : (Math.abs(this.slipAngle) > cfg.peakSlip ? 0.5 : 0);
+            const slideYaw = cfg.oversteer * Math.sin(this.slipAngle) * rearLoose * surface.drift * steerScale;
+            // Counter-steer (steering against the slide) gets extra authority to catch it
+            if (slideYaw * steerYaw < 0) steerYaw *= cfg.counterSteer;
+
+            // Turn the heading; the velocity keeps its world direction, so re-split it
+            const turn = (steerYaw + slideYaw) * dt;
+            const c = Math.cos(turn);
+            const sn = Math.sin(turn);
+            const longitudinal = this.speed;
+            this.rotation += turn;
+            this.speed = longitudinal * c - this.lateralSpeed * sn;
+            this.lateralSpeed = this.lateralSpeed * c + longitudinal * sn;
+        }
+
+        // Tyre side force: grows with the slip angle up to the grip limit at peakSlip, then
+        // saturates and falls away to the sliding grip (which is what keeps a drift going)
+        if (!this.airborne) {
+            const limit = cfg.tyreGrip * surface.grip * (input.handbrake ? cfg.handbrakeGrip : 1);
+            const slip = Math.abs(Math.atan2(this.lateralSpeed, Math.max(0.01, Math.abs(this.speed))));
+            const peak = cfg.peakSlip;
+            const share = slip < peak ? slip / peak : THREE.MathUtils.lerp(1, cfg.slideGrip, Math.min(1, (slip - peak) / peak));
+            const correction = (limit * share * dt) / 60; // units/s^2 -> speed units
+            this.lateralSpeed -= Math.sign(this.lateralSpeed) * Math.min(Math.abs(this.lateralSpeed), correction);
         }
+        this.slipAngle = Math.abs(this.speed) > 0.03 || Math.abs(this.lateralSpeed) > 0.03
+            ? Math.atan2(this.lateralSpeed, Math.max(0.01, Math.abs(this.speed)))
+            : 0;
+        this.driftFactor = this.slipAngle;
 
-        // 6. Visual updates: rotation and tilt
-        this.mesh.rotation.y = this.rotation;
-        this.mesh.rotation.z = this.driftFactor * (this.speed / Math.max(0.001, this.maxSpeed));
+        // 6. Visual updates: yaw and drift tilt on top of the road surface orientation
+        this._applyOrientation();
 
         // 7. Wheel animation & suspension
         const wheelSpinTarget = this.speed * 4;
@@ -372,44 +627,206 @@ export class Car {
             // spin
             wheel.rotation.x += this._wheelSpinVel * dt * 60;
             // steer front wheels smoothly
-            if (i < 2) {
-                const desired = input.keys.a ? 0.4 : (input.keys.d ? -0.4 : 0);
+            if (this._wheelState[i].front) {
+                const desired = -0.4 * steerInput;
                 this._wheelState[i].steer = THREE.MathUtils.lerp(this._wheelState[i].steer, desired, Math.min(1, dt * 8));
                 axle.rotation.y = this._wheelState[i].steer * (this.speed >= 0 ? 1 : -1);
             }
             // small suspension bob while moving
-            const bob = Math.sin((performance.now() / 1000) * 10 + i) * 0.01 * Math.abs(this.speed);
-            axle.position.y = 0.35 + bob;
+            const bob = Math.sin(this._simTime * 10 + i) * 0.01 * Math.abs(this.speed);
+            axle.position.y = this._wheelState[i].baseY + bob;
         });
 
-        // 8. Movement in world
-        this._v2.set(0, 0, -1).applyQuaternion(this.mesh.quaternion);
-        this.mesh.position.addScaledVector(this._v2, this.speed);
+        // 8. Movement in world (speeds are tuned in units per 1/60 s); the road sets the height
+        this._velocity(this._v2);
+        this.mesh.position.addScaledVector(this._v2, dt * 60);
+        this._followGround(dt);
 
-        // 9. Emit drift event when threshold crossed
-        if (Math.abs(this.driftFactor) > 0.15) this.emit('drift', this.driftFactor);
+        // 9. Emit drift event while sliding past the threshold angle
+        if (Math.abs(this.driftFactor) > cfg.driftThreshold) this.emit('drift', this.driftFactor);
 
-        // 10. Update progress placeholder (external systems should set proper progress)
+        // 10. Gearbox / engine RPM from the resulting speed
+        this._updateGearbox(dt, accInput);
+
+        // 11. Update progress placeholder (external systems should set proper progress)
         this.progress = this.progress || 0;
 
-        // 11. Debug bounds follow car
+        // 12. Debug bounds follow car
         if (this.showDebugBounds && this._debugObjects.length) {
             this._debugObjects[0].position.copy(this.mesh.position);
         }
     }
 
     // -----------------------------
-    // Utilities
+    // Gearbox
     // -----------------------------
-    reset(x = 0, y = 5, z = 0) {
-        this.mesh.position.set(x, y, z);
+    // Gear change in progress (engine load cut for the sound; acceleration is unaffected)
+    get shifting() {
+        return this._shiftTimer > 0;
+    }
+
+    // RPM follows the wheels through the current gear; shifts up near the redline and down
+    // when it falls low, cutting the engine load (sound only) for shiftTime. Off the ground
+    // (or spinning up from a standstill) the engine revs freely with the throttle instead.
+    _updateGearbox(dt, throttle) {
+        const cfg = this.config;
+        const gears = cfg.gears;
+        const revRange = cfg.redlineRpm - cfg.idleRpm;
+        const wheelRpm = (gear) => cfg.redlineRpm * Math.abs(this.speed) / (this.maxSpeed * (gear < 0 ? cfg.reverseGear : gears[gear - 1]));
+
+        if (this._shiftTimer > 0) this._shiftTimer = Math.max(0, this._shiftTimer - dt);
+
+        const previous = this.gear;
+        if (this.speed < -0.02) {
+            this.gear = -1;
+        } else if (this.gear < 1) {
+            this.gear = 1;
+        } else if (this._shiftTimer <= 0) {
+            if (this.gear < gears.length && wheelRpm(this.gear) > cfg.shiftUpRpm) this.gear++;
+            else if (this.gear > 1 && wheelRpm(this.gear) < cfg.shiftDownRpm) this.gear--;
+        }
+        if (this.gear !== previous) {
+            if (previous > 0 && this.gear > 0) this._shiftTimer = cfg.shiftTime;
+            this.emit('gearChange', this.gear, previous);
+        }
+
+        const shifting = this.shifting;
+        const freeRev = cfg.idleRpm + revRange * throttle * (shifting ? 0.3 : 0.9);
+        const target = this.airborne
+            ? freeRev
+            : Math.max(wheelRpm(this.gear), this.gear === 1 ? cfg.idleRpm + revRange * throttle * 0.35 : cfg.idleRpm);
+        this.rpm += (THREE.MathUtils.clamp(target, cfg.idleRpm, cfg.redlineRpm) - this.rpm) * Math.min(1, dt * 12);
+        this.engineLoad = THREE.MathUtils.lerp(this.engineLoad, shifting ? 0 : throttle, Math.min(1, dt * 10));
+    }
+
+    // -----------------------------
+    // Ground following
+    // -----------------------------
+    // Ride the road: stick to it while it falls away slower than gravity, otherwise fly
+    _followGround(dt) {
+        if (!this.track) return;
+        const pos = this.mesh.position;
+        const cfg = this.config;
+        const road = this.track.sampleRoad(pos, this._roadHint, this._road);
+        this._roadHint = road.index;
+        const supported = Math.abs(road.lateral) <= road.edge + cfg.edgeOverhang && pos.y >= road.height - cfg.snapTolerance;
+
+        if (!this.airborne) {
+            const roadVy = (road.height - this._groundY) / dt;
+            if (supported && roadVy >= this.verticalSpeed - cfg.gravity * dt) {
+                pos.y = road.height;
+                this.verticalSpeed = roadVy;
+                this._groundY = road.height;
+                this.surfaceNormal.lerp(road.normal, Math.min(1, dt * 12)).normalize();
+                this._setSurface(road.surface || 'grass'); // (overhanging the outer edge)
+                return;
+            }
+            // Crest or road edge: keep the vertical speed and fly
+            this.airborne = true;
+            this.airTime = 0;
+        }
+
+        this.airTime += dt;
+        this.verticalSpeed -= cfg.gravity * dt;
+        pos.y += this.verticalSpeed * dt;
+
+        if (supported && pos.y <= road.height) {
+            pos.y = road.height;
+            this._groundY = road.height;
+            const impact = -this.verticalSpeed;
+            this.verticalSpeed = this._slopeSpeed(road.normal);
+            this.airborne = false;
+            this._setSurface(road.surface || 'grass');
+            this.emit('landed', this.airTime, impact);
+        } else if (!this.fallen && (pos.y < road.height - cfg.fallDepth || pos.y < this.track.getTerrainHeight(pos.x, pos.z))) {
+            this.fallen = true;
+            this.emit('falloff');
+        }
+    }
+
+    // Surface under the wheels changed: new handling, event for audio/particles/rumble
+    _setSurface(id) {
+        const props = getSurface(id);
+        if (props.boost > 0) {
+            this.boostTime = props.boost;
+            this._surging = true;
+        }
+        if (id === this.surface) return;
+        const previous = this.surface;
+        this.surface = id;
+        this.surfaceProps = props;
+        this.emit('surfaceChanged', id, previous);
+    }
+
+    // Horizontal velocity (units per 1/60 s): forward along the heading plus the sideways slide
+    _velocity(target) {
+        const sin = Math.sin(this.rotation);
+        const cos = Math.cos(this.rotation);
+        return target.set(-sin * this.speed + cos * this.lateralSpeed, 0, -cos * this.speed - sin * this.lateralSpeed);
+    }
+
+    // Vertical speed of driving along a surface with this normal at the current velocity
+    _slopeSpeed(normal) {
+        const v = this._velocity(this._v3);
+        return (-(normal.x * v.x + normal.z * v.z) / Math.max(0.1, normal.y)) * 60;
+    }
+
+    // Surface tilt (smoothed road normal) * yaw * body roll from the slide
+    _applyOrientation() {
+        const tilt = THREE.MathUtils.clamp(this.driftFactor, -0.3, 0.3) * (this.speed / Math.max(0.001, this.maxSpeed));
+        this._q1.setFromUnitVectors(this._v1.set(0, 1, 0), this.surfaceNormal);
+        this._q2.setFromEuler(this._euler.set(0, this.rotation, tilt));
+        this.mesh.quaternion.multiplyQuaternions(this._q1, this._q2);
+    }
+
+    /**
+     * Put the car down at a position facing yaw, standing still on the road under it
+     * (keeps damage and nitro; respawns use this).
+     */
+    placeAt(position, yaw) {
+        this.mesh.position.copy(position);
         this.speed = 0;
-        this.rotation = 0;
+        this.lateralSpeed = 0;
+        this.slipAngle = 0;
+        this.rotation = yaw;
+        this.driftFactor = 0;
+        this.verticalSpeed = 0;
+        this.airborne = false;
+        this.airTime = 0;
+        this.fallen = false;
+        this.surfaceNormal.set(0, 1, 0);
+        this.boostTime = 0;
+        this._surging = false;
+        this.gear = 1;
+        this.rpm = this.config.idleRpm;
+        this.engineLoad = 0;
+        this._shiftTimer = 0;
+        this.nitroActive = false;
+        this._roadHint = -1;
+        if (this.track) {
+            const road = this.track.sampleRoad(this.mesh.position, -1, this._road);
+            this._roadHint = road.index;
+            this.mesh.position.y = road.height;
+            this.surfaceNormal.copy(road.normal);
+            this._setSurface(road.surface || 'asphalt');
+        }
+        this._groundY = this.mesh.position.y;
+        this._applyOrientation();
+        this.history.snap();
+    }
+
+    // -----------------------------
+    // Utilities
+    // -----------------------------
+    reset(x = 0, y = 5, z = 0, yaw = 0) {
+        this._accSmoothed = 0;
+        this._wheelSpinVel = 0;
         this.health = this.maxHealth;
         this.nitroAmount = this.config.nitroCapacity;
         this.nitroCooldown = 0;
         this.invulnerable = true;
-        setTimeout(() => (this.invulnerable = false), 1000);
+        this._invulnerableTimer = 1.0;
+        this.placeAt(this._v3.set(x, y, z), yaw);
     }
 
     toJSON() {
@@ -417,6 +834,7 @@ export class Car {
             position: this.mesh.position.toArray(),
             rotation: this.rotation,
             speed: this.speed,
+            lateralSpeed: this.lateralSpeed,
             health: this.health,
             nitro: this.nitroAmount,
             progress: this.progress
@@ -427,6 +845,7 @@ export class Car {
         if (data.position) this.mesh.position.fromArray(data.position);
         if (typeof data.rotation === 'number') this.rotation = data.rotation;
         if (typeof data.speed === 'number') this.speed = data.speed;
+        if (typeof data.lateralSpeed === 'number') this.lateralSpeed = data.lateralSpeed;
         if (typeof data.health === 'number') this.health = data.health;
         if (typeof data.nitro === 'number') this.nitroAmount = data.nitro;
         if (typeof data.progress === 'number') this.progress = data.progress;
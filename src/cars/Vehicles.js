@@ -0,0 +1,142 @@
+import { Car, CAR_DEFAULTS } from './Car.js';
+
+// Vehicle roster
+// - Each vehicle is a Car config override (handling, nitro, size) plus a visual build
+//   (see Car.js DEFAULT_BUILD) and an unlock cost in credits (0 = owned from the start)
+// - build.model is an optional glTF body; until it has loaded (or if it fails) the
+//   procedural body is used
+// - Rivals keep the default Car config: the AI's cornering assumes its turning circle
+// - vehicleStats() condenses a config into 0..1 bars for the garage screen
+
+export const VEHICLES = [
+    {
+        id: 'vortex',
+        name: 'VORTEX',
+        description: 'Balanced all-rounder. Forgiving grip, easy to drift.',
+        cost: 0,
+        config: {},
+        build: { paint: 0xff0066, accent: 0x00ffff, model: 'models/car.glb' }
+    },
+    {
+        id: 'bulldog',
+        name: 'BULLDOG',
+        description: 'Heavy muscle. Slow to get going, glued to the road, huge nitro tank.',
+        cost: 1500,
+        config: {
+            maxSpeed: 1.3,
+            acceleration: 0.72,
+            steeringPower: 2.0,
+            wheelRadius: 0.42,
+            mass: 1.5,
+            nitroCapacity: 140,
+            nitroPower: 1.5,
+            collisionRadius: 2.3,
+            tyreGrip: 320,
+            slideGrip: 0.5,
+            oversteer: 1.6
+        },
+        build: { paint: 0xff8800, accent: 0xffff00, body: [1.4, 0.5, 2.9], cabin: [1.0, 0.35, 1.2], cabinOffset: -0.3, wheelX: 0.8, wheelZ: 0.95, wheelWidth: 0.4, spoiler: 'ducktail' }
+    },
+    {
+        id: 'wasp',
+        name: 'WASP',
+        description: 'Featherweight hatch. Instant throttle and a tight turn, but a twitchy tail.',
+        cost: 3000,
+        config: {
+            maxSpeed: 1.32,
+            acceleration: 1.05,
+            steeringPower: 2.6,
+            wheelRadius: 0.3,
+            mass: 0.75,
+            nitroCapacity: 80,
+            collisionRadius: 1.8,
+            tyreGrip: 230,
+            oversteer: 2.3
+        },
+        build: { paint: 0xffee00, accent: 0xff00ff, body: [1.1, 0.45, 2.2], cabin: [0.9, 0.4, 1.1], cabinOffset: -0.2, wheelX: 0.62, wheelZ: 0.7, wheelWidth: 0.26, spoiler: 'none' }
+    },
+    {
+        id: 'phantom',
+        name: 'PHANTOM',
+        description: 'Drift special. Breaks loose early and holds a slide for ever.',
+        cost: 6000,
+        config: {
+            maxSpeed: 1.45,
+            acceleration: 0.85,
+            steeringPower: 2.3,
+            tyreGrip: 240,
+            peakSlip: 0.1,
+            slideGrip: 0.35,
+            oversteer: 2.4,
+            counterSteer: 1.9
+        },
+        build: { paint: 0x8800ff, accent: 0x00ff88, body: [1.25, 0.38, 2.7], cabin: [0.8, 0.32, 1.2], spoiler: 'wing' }
+    },
+    {
+        id: 'apex',
+        name: 'APEX',
+        description: 'Hypercar. Highest top speed and the strongest nitro; wide turning circle.',
+        cost: 10000,
+        config: {
+            maxSpeed: 1.6,
+            acceleration: 0.92,
+            steeringPower: 2.3,
+            wheelRadius: 0.33,
+            nitroPower: 1.75,
+            tyreGrip: 290,
+            oversteer: 1.8
+        },
+        build: { paint: 0xffffff, accent: 0xff0033, body: [1.3, 0.32, 3.0], cabin: [0.8, 0.28, 1.1], cabinOffset: 0.1, wheelX: 0.72, wheelZ: 1.0, spoiler: 'wing' }
+    }
+];
+
+export const DEFAULT_VEHICLE_ID = 'vortex';
+
+// Vehicle by id (unknown ids fall back to the starter car)
+export function getVehicle(id) {
+    return VEHICLES.find(v => v.id === id) || VEHICLES.find(v => v.id === DEFAULT_VEHICLE_ID);
+}
+
+/**
+ * Build a Car of a roster vehicle.
+ * @param {THREE.Scene} scene
+ * @param {object} vehicle entry of VEHICLES
+ * @param {AssetLibrary} [assets] loaded models (the glTF body is used when available)
+ */
+export function createVehicle(scene, vehicle, assets = null) {
+    const car = new Car(scene, vehicle.config, vehicle.build);
+    const model = assets && assets.getModel(vehicle.build.model);
+    if (model) car.applyModel(model);
+    return car;
+}
+
+// Bar ranges [empty, full]; values outside are clamped
+const STAT_RANGE = {
+    speed: [1.1, 1.6],          // maxSpeed
+    acceleration: [0.5, 1.1],
+    grip: [180, 320],           // tyreGrip
+    steering: [1.6, 2.6],       // steeringPower
+    oversteer: [1.2, 2.5],
+    looseness: [0.3, 0.65],     // 1 - slideGrip: less slide grip = longer slides
+    nitro: [60, 245]            // nitroCapacity x nitroPower
+};
+
+/**
+ * Garage bars (0..1) from a vehicle's config over the Car defaults.
+ * @param {object} vehicle entry of VEHICLES
+ * @returns {{speed: number, acceleration: number, handling: number, drift: number, nitro: number}}
+ */
+export function vehicleStats(vehicle) {
+    const c = Object.assign({}, CAR_DEFAULTS, vehicle.config);
+    const bar = (key, value) => {
+        const [lo, hi] = STAT_RANGE[key];
+        return Math.max(0, Math.min(1, (value - lo) / (hi - lo)));
+    };
+    return {
+        speed: bar('speed', c.maxSpeed),
+        acceleration: bar('acceleration', c.acceleration),
+        handling: (bar('grip', c.tyreGrip) + bar('steering', c.steeringPower)) / 2,
+        drift: (bar('oversteer', c.oversteer) + bar('looseness', 1 - c.slideGrip)) / 2,
+        nitro: bar('nitro', c.nitroCapacity * c.nitroPower)
+    };
+}
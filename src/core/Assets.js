@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { HDRLoader } from 'three/examples/jsm/loaders/HDRLoader.js';
+
+// Asset pipeline for files shipped in public/
+// - glTF car bodies (GLTFLoader); Car.applyModel finds the wheel nodes by name
+// - HDR environment map (equirectangular .hdr -> PMREM) for image-based lighting
+// - Every asset is optional: a missing, empty or broken file resolves to null with a
+//   warning (and an itemError on the loading manager) and the game keeps its
+//   procedural fallback
+// - Paths are relative to the site base (vite `base`), so sub-path deploys work
+// - Loads are cached per path; getModel() reads the cache once a load has finished
+
+export class AssetLibrary {
+    /**
+     * @param {object} opts
+     * @param {THREE.LoadingManager} [opts.manager] progress tracking for every request
+     * @param {string} [opts.base] URL prefix of public/ files
+     */
+    constructor(opts = {}) {
+        this.manager = opts.manager || THREE.DefaultLoadingManager;
+        this.base = opts.base !== undefined ? opts.base : import.meta.env.BASE_URL;
+        this.gltfLoader = new GLTFLoader(this.manager);
+        this.hdrLoader = new HDRLoader(this.manager);
+
+        this._models = new Map();  // path -> THREE.Object3D template (or null)
+        this._pending = new Map(); // path -> Promise
+        this.environment = null;   // PMREM texture once loaded
+    }
+
+    url(path) {
+        return this.base + path.replace(/^\//, '');
+    }
+
+    /**
+     * Load a glTF model once.
+     * @param {string} path relative to public/
+     * @returns {Promise<THREE.Object3D|null>} template scene (clone it before use)
+     */
+    loadModel(path) {
+        if (!this._pending.has(path)) {
+            const promise = this.gltfLoader.loadAsync(this.url(path))
+                .then(gltf => {
+                    if (!gltf.scene || !gltf.scene.children.length) throw new Error('no meshes in the scene');
+                    return gltf.scene;
+                })
+                .catch(err => {
+                    console.warn(`Assets: could not load model "${path}", using the procedural car`, err);
+                    this.manager.itemError(this.url(path));
+                    return null;
+                })
+                .then(model => {
+                    this._models.set(path, model);
+                    return model;
+                });
+            this._pending.set(path, promise);
+        }
+        return this._pending.get(path);
+    }
+
+    // Finished model load (null while loading, on failure or for no path)
+    getModel(path) {
+        return (path && this._models.get(path)) || null;
+    }
+
+    /**
+     * Load an equirectangular HDR and prefilter it for PBR materials.
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {string} path relative to public/
+     * @returns {Promise<THREE.Texture|null>}
+     */
+    async loadEnvironment(renderer, path) {
+        try {
+            const hdr = await this.hdrLoader.loadAsync(this.url(path));
+            hdr.mapping = THREE.EquirectangularReflectionMapping;
+            const pmrem = new THREE.PMREMGenerator(renderer);
+            this.environment = pmrem.fromEquirectangular(hdr).texture;
+            hdr.dispose();
+            pmrem.dispose();
+        } catch (err) {
+            console.warn(`Assets: could not load environment "${path}", using scene lights only`, err);
+            this.manager.itemError(this.url(path));
+            this.environment = null;
+        }
+        return this.environment;
+    }
+}
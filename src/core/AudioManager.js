@@ -1,9 +1,47 @@
 import * as THREE from 'three';
+import { Random } from './Random.js';
+import { EngineSound } from '../audio/EngineSound.js';
+import { SoundEffects } from '../audio/SoundEffects.js';
+import { WorldAudio } from '../audio/WorldAudio.js';
+import { Music } from '../audio/Music.js';
+
+// Game audio (Web Audio through the THREE.AudioListener's context)
+// - Starts on the first key press / click (browser autoplay policy)
+// - Gain buses: music and SFX feed the listener's master gain; levels and mute come
+//   from Settings (masterVolume, musicVolume, sfxVolume, muted) and follow it live
+// - Player engine: see audio/EngineSound.js (gearbox RPM, load, turbo, nitro, backfire)
+// - Named one-shots (impact, crate, checkpoint, lap...), all synthesized: see
+//   audio/SoundEffects.js
+// - Tyre screech while drifting, louder with the slip angle
+// - The listener rides on the camera; rival engines and the track's light hum are
+//   positional (see audio/WorldAudio.js)
+// - Adaptive music on the music bus: the game picks the stems every frame (see
+//   audio/Music.js for the sequencer and the beat-synced crossfades)
+
+const AUDIO_SETTINGS = ['muted', 'masterVolume', 'musicVolume', 'sfxVolume'];
 
 export class AudioManager {
-    constructor(camera) {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {object} [opts]
+     * @param {Settings} [opts.settings] volumes and mute (defaults apply without one)
+     * @param {Random} [opts.rng] randomness of the synthesized sounds
+     */
+    constructor(camera, opts = {}) {
+        this.camera = camera;
+        this.settings = opts.settings || null;
+        this.rng = opts.rng || new Random('audio');
         this.enabled = false;
-        
+        this._drift = 0;          // slip angle reported this frame (setDrift)
+        this.rivals = [];         // cars and lights of the current world, handed to
+        this.lights = [];         // WorldAudio once started
+
+        if (this.settings) {
+            this.settings.on('change', (key) => {
+                if (AUDIO_SETTINGS.includes(key)) this.applyVolumes();
+            });
+        }
+
         // Wait for user interaction to start audio (Browser policy)
         window.addEventListener('keydown', () => this.init(), { once: true });
         window.addEventListener('click', () => this.init(), { once: true });
@@ -11,71 +49,158 @@ export class AudioManager {
 
     init() {
         if (this.enabled) return;
-        
+
         this.listener = new THREE.AudioListener();
-        // We assume camera is passed later or attached to listener manually if needed
-        // For simple synth, we use global AudioContext
+        this.camera.add(this.listener); // positional sources are heard from the camera
         this.context = this.listener.context;
-        
-        // --- ENGINE SOUND (Oscillators) ---
-        this.engineOsc = this.context.createOscillator();
-        this.engineOsc.type = 'sawtooth';
-        this.engineOsc.frequency.value = 100;
-
-        // Gain (Volume)
-        this.engineGain = this.context.createGain();
-        this.engineGain.gain.value = 0.1;
-
-        // Filter (Muffles the harsh saw wave)
-        this.engineFilter = this.context.createBiquadFilter();
-        this.engineFilter.type = 'lowpass';
-        this.engineFilter.frequency.value = 400;
-
-        // Connect graph: Osc -> Filter -> Gain -> Out
-        this.engineOsc.connect(this.engineFilter);
-        this.engineFilter.connect(this.engineGain);
-        this.engineGain.connect(this.context.destination);
-        
-        this.engineOsc.start();
-        
-        // --- DRIFT NOISE (Pink Noise) ---
-        // Simplified: We'll use a high pitch sine wave for screech for now
+
+        // --- BUSES (listener gain = master) ---
+        this.musicBus = this.context.createGain();
+        this.musicBus.connect(this.listener.getInput());
+        this.sfxBus = this.context.createGain();
+        this.sfxBus.connect(this.listener.getInput());
+
+        // --- ENGINE SOUND ---
+        this.engine = new EngineSound(this.context, this.sfxBus, { rng: this.rng.fork('engine') });
+
+        // --- ONE-SHOTS ---
+        this.sfx = new SoundEffects(this.context, this.sfxBus, { rng: this.rng.fork('sfx') });
+
+        // --- POSITIONAL SOURCES ---
+        this.world = new WorldAudio(this.listener, this.sfxBus, { rng: this.rng.fork('world') });
+        this.world.setRivals(this.rivals);
+        this.world.setLights(this.lights);
+
+        // --- MUSIC ---
+        this.music = new Music(this.context, this.musicBus, { rng: this.rng.fork('music') });
+
+        // --- DRIFT SCREECH ---
         this.driftOsc = this.context.createOscillator();
         this.driftOsc.type = 'square';
         this.driftOsc.frequency.value = 800;
-        
+
         this.driftGain = this.context.createGain();
         this.driftGain.gain.value = 0; // Silent by default
-        
+
         this.driftOsc.connect(this.driftGain);
-        this.driftGain.connect(this.context.destination);
+        this.driftGain.connect(this.sfxBus);
         this.driftOsc.start();
 
         this.enabled = true;
+        this.applyVolumes();
         console.log("Audio Initialized");
     }
 
-    update(speed, isDrifting, isNitro) {
+    // -----------------------------
+    // Levels
+    // -----------------------------
+    setting(key, fallback) {
+        const value = this.settings ? this.settings.get(key) : undefined;
+        return value !== undefined ? value : fallback;
+    }
+
+    get muted() {
+        return this.setting('muted', false);
+    }
+
+    applyVolumes() {
+        if (!this.enabled) return;
+        const t = this.context.currentTime;
+        const master = this.muted ? 0 : this.setting('masterVolume', 0.8);
+        this.listener.gain.gain.setTargetAtTime(master, t, 0.05);
+        this.musicBus.gain.setTargetAtTime(this.setting('musicVolume', 0.6), t, 0.05);
+        this.sfxBus.gain.setTargetAtTime(this.setting('sfxVolume', 0.8), t, 0.05);
+    }
+
+    // Flip mute (saved with the settings); returns the new state
+    toggleMute() {
+        const muted = !this.muted;
+        if (this.settings) this.settings.set('muted', muted);
+        return muted;
+    }
+
+    // -----------------------------
+    // Sound effects
+    // -----------------------------
+    /**
+     * Play a named one-shot (see SOUND_NAMES in audio/SoundEffects.js).
+     * @param {string} name
+     * @param {number} [strength] loudness / weight (impacts: the collision impulse)
+     */
+    playSound(name, strength = 1) {
+        if (!this.enabled) return;
+        this.sfx.play(name, strength);
+    }
+
+    // -----------------------------
+    // World
+    // -----------------------------
+    // Cars with their own positional engine voice (the rivals of the current world)
+    setRivals(rivals) {
+        this.rivals = rivals;
+        if (this.enabled) this.world.setRivals(rivals);
+    }
+
+    // Flickering lights that hum (Track.lights)
+    setLights(lights) {
+        this.lights = lights;
+        if (this.enabled) this.world.setLights(lights);
+    }
+
+    // -----------------------------
+    // Per-frame update
+    // -----------------------------
+    /**
+     * Music for this frame (call every frame, in every state: it also runs the sequencer).
+     * @param {object} layers stems wanted (menu, base, intensity, finalLap)
+     * @param {boolean} [muffled] dull the mix (pause)
+     */
+    updateMusic(layers, muffled = false) {
         if (!this.enabled) return;
+        this.music.setLayers(layers);
+        if (muffled !== this._muffled) {
+            this._muffled = muffled;
+            this.music.setMuffled(muffled);
+        }
+        this.music.update();
+    }
+
+    // Slip angle of a drift this frame (the car's 'drift' event)
+    setDrift(angle) {
+        this._drift = Math.max(this._drift, angle);
+    }
+
+    /**
+     * @param {Car} car the player's car (engine state, speed)
+     * @param {boolean} isDrifting
+     * @param {number} dt frame seconds
+     */
+    update(car, isDrifting, dt) {
+        if (!this.enabled) return;
+
+        // 1. Engine (RPM, load, turbo, nitro)
+        this.engine.update(car, dt);
+
+        // 2. Rivals and world (positional)
+        this.world.update(dt);
 
-        // 1. Engine Pitch (RPM)
-        // Base idle is 80Hz, adds 600Hz based on speed
-        const targetFreq = 80 + (Math.abs(speed) * 800);
-        
-        // Smooth transition
-        this.engineOsc.frequency.setTargetAtTime(targetFreq, this.context.currentTime, 0.1);
-        
-        // Filter opens up as you go faster (sound gets brighter)
-        this.engineFilter.frequency.setTargetAtTime(200 + (Math.abs(speed) * 1000), this.context.currentTime, 0.1);
-
-        // 2. Drift Screech
-        if (isDrifting && Math.abs(speed) > 0.3) {
-            this.driftGain.gain.setTargetAtTime(0.1, this.context.currentTime, 0.1);
+        // 3. Drift Screech (louder and higher the wider the slide)
+        const t = this.context.currentTime;
+        if (isDrifting && Math.abs(car.speed) > 0.3) {
+            const slide = Math.min(1, this._drift / 0.6);
+            this.driftGain.gain.setTargetAtTime(0.05 + 0.07 * slide, t, 0.1);
+            this.driftOsc.frequency.setTargetAtTime(700 + 300 * slide, t, 0.1);
         } else {
-            this.driftGain.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
+            this.driftGain.gain.setTargetAtTime(0, t, 0.1);
         }
+        this._drift = 0;
+    }
 
-        // 3. Nitro Whistle (High pitch sine)
-        // (Optional: can add later)
+    // Nothing on the road to hear (menus, pause): engines, screech and world fade out
+    quiet() {
+        if (!this.enabled) return;
+        this.engine.silence();
+        this.world.silence();
+        this.driftGain.gain.setTargetAtTime(0, this.context.currentTime, 0.1);
     }
-}
\ No newline at end of file
+}
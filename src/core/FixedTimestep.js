@@ -0,0 +1,47 @@
+// Fixed-timestep simulation clock
+// - Accumulates real frame time and runs the simulation in constant steps
+// - Same inputs per step => same results, independent of refresh rate
+// - Exposes alpha (0..1) so rendering can interpolate between the last two states
+// - Clamps huge frame gaps (tab switches) to avoid the "spiral of death"
+
+export class FixedTimestep {
+    constructor(opts = {}) {
+        this.step = opts.step || 1 / 120;
+        this.maxStepsPerFrame = opts.maxStepsPerFrame || 15;
+
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.time = 0; // simulated seconds
+        this.tick = 0; // simulated steps
+    }
+
+    /**
+     * Advance by a real frame duration and run as many fixed steps as fit.
+     * @param {number} frameDt real seconds since last frame
+     * @param {(step: number, tick: number) => void} stepFn simulation callback
+     * @returns {number} number of steps run this frame
+     */
+    advance(frameDt, stepFn) {
+        if (!(frameDt > 0)) frameDt = 0;
+        this.accumulator += Math.min(frameDt, this.step * this.maxStepsPerFrame);
+
+        let steps = 0;
+        while (this.accumulator >= this.step) {
+            stepFn(this.step, this.tick);
+            this.accumulator -= this.step;
+            this.time += this.step;
+            this.tick++;
+            steps++;
+        }
+
+        this.alpha = this.accumulator / this.step;
+        return steps;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.time = 0;
+        this.tick = 0;
+    }
+}
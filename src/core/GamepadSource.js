@@ -0,0 +1,183 @@
+// Gamepad input source
+// - Polls navigator.getGamepads() once per frame (the Gamepad API has no input events)
+// - Left stick / d-pad -> steer, right trigger -> throttle, left trigger -> brake
+// - Per-device dead zones and sensitivity curves, persisted per gamepad id
+// - Rumble through vibrationActuator (Chrome) or hapticActuators (Firefox)
+// - getGamepads can be injected, so a plain mocked Gamepad object is enough for tests
+
+const STORAGE_KEY = 'turboDrift.gamepadProfiles';
+
+// Button indices of the W3C "standard" gamepad layout
+export const PAD_BUTTON = {
+    A: 0, B: 1, X: 2, Y: 3,
+    LB: 4, RB: 5, LT: 6, RT: 7,
+    SELECT: 8, START: 9,
+    DPAD_UP: 12, DPAD_DOWN: 13, DPAD_LEFT: 14, DPAD_RIGHT: 15
+};
+
+export const DEFAULT_PAD_MAPPING = {
+    steerAxis: 0,
+    throttle: [PAD_BUTTON.RT],
+    brake: [PAD_BUTTON.LT],
+    nitro: [PAD_BUTTON.A, PAD_BUTTON.RB],
+    handbrake: [PAD_BUTTON.X, PAD_BUTTON.LB],
+    pause: [PAD_BUTTON.START],
+    camera: [PAD_BUTTON.Y, PAD_BUTTON.SELECT]
+};
+
+export const DEFAULT_PAD_PROFILE = {
+    steerDeadZone: 0.12,     // stick travel ignored around centre
+    steerCurve: 1.6,         // exponent: >1 gives finer control near centre
+    steerSensitivity: 1.0,   // output scale after the curve
+    triggerDeadZone: 0.04,
+    triggerCurve: 1.0,
+    rumble: 1.0              // 0 disables vibration for this device
+};
+
+/**
+ * Rescale an axis value outside the dead zone to 0..1 and apply a response curve.
+ * Keeps the sign, so it works for sticks (-1..1) and triggers (0..1).
+ */
+export function shapeAxis(value, deadZone = 0, curve = 1, sensitivity = 1) {
+    const mag = Math.abs(value);
+    if (mag <= deadZone) return 0;
+    const normalized = Math.min(1, (mag - deadZone) / Math.max(1e-6, 1 - deadZone));
+    return Math.sign(value) * Math.min(1, Math.pow(normalized, curve) * sensitivity);
+}
+
+// Older implementations expose buttons as plain numbers
+function buttonValue(button) {
+    if (button == null) return 0;
+    return typeof button === 'object' ? (button.value || (button.pressed ? 1 : 0)) : button;
+}
+
+function buttonPressed(button) {
+    if (button == null) return false;
+    return typeof button === 'object' ? !!button.pressed : button > 0.5;
+}
+
+function defaultGetGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return navigator.getGamepads();
+}
+
+export class GamepadSource {
+    constructor(opts = {}) {
+        this.getGamepads = opts.getGamepads || defaultGetGamepads;
+        this.storage = opts.storage || null;
+        this.mapping = Object.assign({}, DEFAULT_PAD_MAPPING, opts.mapping);
+        this.profiles = this.loadProfiles();
+        this.enabled = true;
+
+        // Pads seen on the last poll (used for rumble and UI)
+        this.activePads = [];
+    }
+
+    // -----------------------------
+    // Per-device profiles
+    // -----------------------------
+    getProfile(id) {
+        return Object.assign({}, DEFAULT_PAD_PROFILE, this.profiles[id]);
+    }
+
+    setProfile(id, values) {
+        this.profiles[id] = Object.assign({}, this.profiles[id], values);
+        this.saveProfiles();
+    }
+
+    loadProfiles() {
+        if (!this.storage) return {};
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (err) {
+            console.warn('GamepadSource: ignoring corrupt profiles', err);
+            return {};
+        }
+    }
+
+    saveProfiles() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profiles));
+        } catch (err) {
+            console.warn('GamepadSource: could not save profiles', err);
+        }
+    }
+
+    // -----------------------------
+    // Polling
+    // -----------------------------
+    _anyPressed(pad, indices) {
+        for (let i = 0; i < indices.length; i++) {
+            if (buttonPressed(pad.buttons[indices[i]])) return true;
+        }
+        return false;
+    }
+
+    _maxValue(pad, indices) {
+        let v = 0;
+        for (let i = 0; i < indices.length; i++) v = Math.max(v, buttonValue(pad.buttons[indices[i]]));
+        return v;
+    }
+
+    sample(out) {
+        this.activePads.length = 0;
+        if (!this.enabled) return;
+
+        const pads = this.getGamepads() || [];
+        const m = this.mapping;
+        for (let i = 0; i < pads.length; i++) {
+            const pad = pads[i];
+            if (!pad || pad.connected === false) continue;
+            this.activePads.push(pad);
+            const p = this.getProfile(pad.id);
+
+            // Steering: stick with curve, d-pad as digital fallback
+            let steer = shapeAxis(pad.axes[m.steerAxis] || 0, p.steerDeadZone, p.steerCurve, p.steerSensitivity);
+            if (buttonPressed(pad.buttons[PAD_BUTTON.DPAD_LEFT])) steer = -1;
+            if (buttonPressed(pad.buttons[PAD_BUTTON.DPAD_RIGHT])) steer = 1;
+            if (Math.abs(steer) > Math.abs(out.steer)) out.steer = steer;
+
+            const throttle = shapeAxis(this._maxValue(pad, m.throttle), p.triggerDeadZone, p.triggerCurve);
+            const brake = shapeAxis(this._maxValue(pad, m.brake), p.triggerDeadZone, p.triggerCurve);
+            out.throttle = Math.max(out.throttle, throttle);
+            out.brake = Math.max(out.brake, brake);
+
+            if (this._anyPressed(pad, m.nitro)) out.nitro = true;
+            if (this._anyPressed(pad, m.handbrake)) out.handbrake = true;
+            if (this._anyPressed(pad, m.pause)) out.pause = true;
+            if (this._anyPressed(pad, m.camera)) out.camera = true;
+        }
+    }
+
+    // -----------------------------
+    // Haptics
+    // -----------------------------
+    /**
+     * Vibrate every active pad.
+     * @param {number} strong 0..1 low-frequency motor
+     * @param {number} weak 0..1 high-frequency motor
+     * @param {number} durationMs
+     */
+    rumble(strong, weak = strong, durationMs = 150) {
+        for (const pad of this.activePads) {
+            const scale = this.getProfile(pad.id).rumble;
+            if (scale <= 0) continue;
+            const strongMagnitude = Math.min(1, strong * scale);
+            const weakMagnitude = Math.min(1, weak * scale);
+            try {
+                const actuator = pad.vibrationActuator;
+                if (actuator && actuator.playEffect) {
+                    const p = actuator.playEffect('dual-rumble', { startDelay: 0, duration: durationMs, strongMagnitude, weakMagnitude });
+                    if (p && p.catch) p.catch(() => {});
+                } else if (pad.hapticActuators && pad.hapticActuators[0] && pad.hapticActuators[0].pulse) {
+                    const p = pad.hapticActuators[0].pulse(Math.max(strongMagnitude, weakMagnitude), durationMs);
+                    if (p && p.catch) p.catch(() => {});
+                }
+            } catch (err) {
+                // Haptics are best-effort; never let them break the frame
+            }
+        }
+    }
+}
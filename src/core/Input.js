@@ -1,84 +1,365 @@
-export class Input {
+import { GamepadSource } from './GamepadSource.js';
+
+// Action-based input layer
+// - Every device is a "source" that writes into one shared snapshot per frame
+// - Analog actions: throttle / brake (0..1), steer (-1..1, positive = right)
+// - Digital actions: nitro, handbrake (held) and pause, camera, mute (pressed this frame)
+// - Keyboard bindings are rebindable and persisted to localStorage
+// - Car and UI read the same snapshot, so there is a single source of truth
+// - Emits 'gamepadconnected' / 'gamepaddisconnected' for the UI
+
+const STORAGE_KEY = 'turboDrift.bindings';
+
+// Keyboard actions that can be bound (steer is split into two digital halves)
+export const BINDABLE_ACTIONS = ['throttle', 'brake', 'steerLeft', 'steerRight', 'nitro', 'handbrake', 'pause', 'camera', 'mute'];
+
+export const DEFAULT_BINDINGS = {
+    throttle: ['KeyW', 'ArrowUp'],
+    brake: ['KeyS', 'ArrowDown'],
+    steerLeft: ['KeyA', 'ArrowLeft'],
+    steerRight: ['KeyD', 'ArrowRight'],
+    nitro: ['ShiftLeft', 'ShiftRight'],
+    handbrake: ['Space'],
+    pause: ['KeyP', 'Escape'],
+    camera: ['KeyC'],
+    mute: ['KeyM']
+};
+
+// Actions that are reported only on the frame they were pressed
+const EDGE_ACTIONS = ['pause', 'camera', 'mute'];
+
+export function createInputState() {
+    return {
+        throttle: 0,
+        brake: 0,
+        steer: 0,
+        nitro: false,
+        handbrake: false,
+        pause: false,
+        camera: false,
+        mute: false
+    };
+}
+
+// Analog merge: the source pushing hardest wins
+function mergeAxis(current, value) {
+    return Math.abs(value) > Math.abs(current) ? value : current;
+}
+
+// Typing into a menu field must not drive the car
+function isTextEntry(el) {
+    if (!el || !el.tagName) return false;
+    return el.isContentEditable || el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT';
+}
+
+function cloneBindings(src) {
+    const out = {};
+    for (const action of BINDABLE_ACTIONS) out[action] = (src[action] || []).slice();
+    return out;
+}
+
+// -----------------------------
+// Keyboard source
+// -----------------------------
+export class KeyboardSource {
+    constructor(input) {
+        this.input = input;
+        this.down = new Set();
+        this.tapped = new Set(); // pressed since last sample (catches sub-frame taps)
+    }
+
+    onKeyDown(code) {
+        if (!this.down.has(code)) this.tapped.add(code);
+        this.down.add(code);
+    }
+
+    onKeyUp(code) {
+        this.down.delete(code);
+    }
+
+    clear() {
+        this.down.clear();
+        this.tapped.clear();
+    }
+
+    isActionHeld(action) {
+        const codes = this.input.bindings[action];
+        if (!codes) return false;
+        for (let i = 0; i < codes.length; i++) {
+            if (this.down.has(codes[i]) || this.tapped.has(codes[i])) return true;
+        }
+        return false;
+    }
+
+    sample(out) {
+        if (this.isActionHeld('throttle')) out.throttle = Math.max(out.throttle, 1);
+        if (this.isActionHeld('brake')) out.brake = Math.max(out.brake, 1);
+        const steer = (this.isActionHeld('steerRight') ? 1 : 0) - (this.isActionHeld('steerLeft') ? 1 : 0);
+        out.steer = mergeAxis(out.steer, steer);
+        if (this.isActionHeld('nitro')) out.nitro = true;
+        if (this.isActionHeld('handbrake')) out.handbrake = true;
+        if (this.isActionHeld('pause')) out.pause = true;
+        if (this.isActionHeld('camera')) out.camera = true;
+        if (this.isActionHeld('mute')) out.mute = true;
+        this.tapped.clear();
+    }
+}
+
+// -----------------------------
+// Touch source (buttons are created by the UI and call press())
+// -----------------------------
+export class TouchSource {
     constructor() {
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            space: false,
-            shift: false,
-            // Mapping specific keys to match the Car.js logic
-            w: false,
-            a: false,
-            s: false,
-            d: false
-        };
-
-        document.addEventListener('keydown', (e) => this.onKeyDown(e));
-        document.addEventListener('keyup', (e) => this.onKeyUp(e));
-    }
-
-    onKeyDown(e) {
-        switch(e.code) {
-            case 'ArrowUp':
-            case 'KeyW':
-                this.keys.forward = true;
-                this.keys.w = true;
-                break;
-            case 'ArrowDown':
-            case 'KeyS':
-                this.keys.backward = true;
-                this.keys.s = true;
-                break;
-            case 'ArrowLeft':
-            case 'KeyA':
-                this.keys.left = true;
-                this.keys.a = true;
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                this.keys.right = true;
-                this.keys.d = true;
-                break;
-            case 'Space':
-                this.keys.space = true;
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                this.keys.shift = true;
-                break;
+        this.buttons = { left: false, right: false, nitro: false };
+        this.active = false; // becomes true once the player has touched the controls
+    }
+
+    press(name, pressed) {
+        if (!(name in this.buttons)) return;
+        this.buttons[name] = pressed;
+        if (pressed) this.active = true;
+    }
+
+    clear() {
+        this.buttons.left = this.buttons.right = this.buttons.nitro = false;
+    }
+
+    sample(out) {
+        if (!this.active) return;
+        // Touch layout has no pedals, so touch players get auto-throttle
+        out.throttle = Math.max(out.throttle, 1);
+        const steer = (this.buttons.right ? 1 : 0) - (this.buttons.left ? 1 : 0);
+        out.steer = mergeAxis(out.steer, steer);
+        if (this.buttons.nitro) out.nitro = true;
+    }
+}
+
+// -----------------------------
+// Gyroscope source (tilt to steer)
+// -----------------------------
+export class GyroSource {
+    constructor(opts = {}) {
+        this.maxTilt = opts.maxTilt || 30; // degrees of tilt for full lock
+        this.deadZone = opts.deadZone != null ? opts.deadZone : 0.08;
+        this.tilt = null;
+        this.enabled = true;
+    }
+
+    onOrientation(gamma) {
+        this.tilt = gamma;
+    }
+
+    sample(out) {
+        if (!this.enabled || this.tilt === null) return;
+        let steer = Math.max(-1, Math.min(1, this.tilt / this.maxTilt));
+        if (Math.abs(steer) < this.deadZone) steer = 0;
+        out.steer = mergeAxis(out.steer, steer);
+    }
+}
+
+// -----------------------------
+// Input manager
+// -----------------------------
+export class Input {
+    constructor(opts = {}) {
+        this.target = opts.target || window;
+        this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.bindings = this.loadBindings();
+
+        // Per-frame snapshot (reused, read by Car and UI)
+        this.state = createInputState();
+        this._held = createInputState(); // raw merged state before edge detection
+        this._prevEdge = {};
+
+        // Sources
+        this.keyboard = new KeyboardSource(this);
+        this.touch = new TouchSource();
+        this.gyro = new GyroSource();
+        this.gamepad = new GamepadSource({ storage: this.storage, getGamepads: opts.getGamepads });
+        this.sources = [this.keyboard, this.touch, this.gyro, this.gamepad];
+
+        // Event callbacks
+        this._events = {};
+
+        // Pending rebind capture
+        this._capture = null;
+
+        this._onKeyDown = (e) => this.handleKeyDown(e);
+        this._onKeyUp = (e) => this.keyboard.onKeyUp(e.code);
+        this._onBlur = () => this.clear();
+        this._onOrientation = (e) => { if (e.gamma !== null) this.gyro.onOrientation(e.gamma); };
+        this._onPadConnected = (e) => this.emit('gamepadconnected', e.gamepad);
+        this._onPadDisconnected = (e) => this.emit('gamepaddisconnected', e.gamepad);
+
+        this.target.addEventListener('keydown', this._onKeyDown);
+        this.target.addEventListener('keyup', this._onKeyUp);
+        this.target.addEventListener('blur', this._onBlur);
+        this.target.addEventListener('gamepadconnected', this._onPadConnected);
+        this.target.addEventListener('gamepaddisconnected', this._onPadDisconnected);
+        if (typeof window !== 'undefined' && window.DeviceOrientationEvent) {
+            this.target.addEventListener('deviceorientation', this._onOrientation);
         }
     }
 
-    onKeyUp(e) {
-        switch(e.code) {
-            case 'ArrowUp':
-            case 'KeyW':
-                this.keys.forward = false;
-                this.keys.w = false;
-                break;
-            case 'ArrowDown':
-            case 'KeyS':
-                this.keys.backward = false;
-                this.keys.s = false;
-                break;
-            case 'ArrowLeft':
-            case 'KeyA':
-                this.keys.left = false;
-                this.keys.a = false;
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                this.keys.right = false;
-                this.keys.d = false;
-                break;
-            case 'Space':
-                this.keys.space = false;
-                break;
-            case 'ShiftLeft':
-            case 'ShiftRight':
-                this.keys.shift = false;
-                break;
+    dispose() {
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
+        this.target.removeEventListener('blur', this._onBlur);
+        this.target.removeEventListener('deviceorientation', this._onOrientation);
+        this.target.removeEventListener('gamepadconnected', this._onPadConnected);
+        this.target.removeEventListener('gamepaddisconnected', this._onPadDisconnected);
+    }
+
+    // Event emitter
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    addSource(source) {
+        this.sources.push(source);
+        return source;
+    }
+
+    handleKeyDown(e) {
+        if (this._capture) {
+            e.preventDefault();
+            const capture = this._capture;
+            this._capture = null;
+            if (e.code === 'Escape') capture.resolve(null);
+            else {
+                this.bind(capture.action, e.code, capture.slot);
+                capture.resolve(e.code);
+            }
+            return;
         }
+        if (e.repeat || isTextEntry(e.target)) return;
+        this.keyboard.onKeyDown(e.code);
+        if (this.isBound(e.code)) e.preventDefault();
     }
-}
\ No newline at end of file
+
+    clear() {
+        for (const source of this.sources) if (source.clear) source.clear();
+    }
+
+    // Force feedback on every device that supports it (see GamepadSource.rumble)
+    rumble(strong, weak = strong, durationMs = 150) {
+        for (const source of this.sources) if (source.rumble) source.rumble(strong, weak, durationMs);
+    }
+
+    /**
+     * Poll every source and build this frame's snapshot.
+     * Call exactly once per rendered frame.
+     */
+    update() {
+        const held = this._held;
+        held.throttle = 0;
+        held.brake = 0;
+        held.steer = 0;
+        held.nitro = false;
+        held.handbrake = false;
+        held.pause = false;
+        held.camera = false;
+        held.mute = false;
+
+        for (let i = 0; i < this.sources.length; i++) this.sources[i].sample(held);
+
+        const s = this.state;
+        s.throttle = Math.min(1, held.throttle);
+        s.brake = Math.min(1, held.brake);
+        s.steer = Math.max(-1, Math.min(1, held.steer));
+        s.nitro = held.nitro;
+        s.handbrake = held.handbrake;
+        for (const action of EDGE_ACTIONS) {
+            s[action] = held[action] && !this._prevEdge[action];
+            this._prevEdge[action] = held[action];
+        }
+        return s;
+    }
+
+    // -----------------------------
+    // Bindings
+    // -----------------------------
+    loadBindings() {
+        const bindings = cloneBindings(DEFAULT_BINDINGS);
+        if (!this.storage) return bindings;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (saved && typeof saved === 'object') {
+                for (const action of BINDABLE_ACTIONS) {
+                    if (Array.isArray(saved[action])) bindings[action] = saved[action].filter(c => typeof c === 'string');
+                }
+            }
+        } catch (err) {
+            console.warn('Input: ignoring corrupt key bindings', err);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (err) {
+            console.warn('Input: could not save key bindings', err);
+        }
+    }
+
+    isBound(code) {
+        for (const action of BINDABLE_ACTIONS) {
+            if (this.bindings[action].includes(code)) return true;
+        }
+        return false;
+    }
+
+    // Assign a key to an action slot; the key is removed from any other action
+    bind(action, code, slot = 0) {
+        if (!BINDABLE_ACTIONS.includes(action)) throw new Error(`Input: unknown action "${action}"`);
+        for (const other of BINDABLE_ACTIONS) {
+            this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        }
+        const codes = this.bindings[action];
+        if (slot >= codes.length) codes.push(code);
+        else codes[slot] = code;
+        this.keyboard.clear();
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this.keyboard.clear();
+        this.saveBindings();
+    }
+
+    // Resolves with the next pressed key code (or null when cancelled with Escape)
+    captureBinding(action, slot = 0) {
+        if (this._capture) this._capture.resolve(null);
+        return new Promise(resolve => {
+            this._capture = { action, slot, resolve };
+        });
+    }
+
+    cancelCapture() {
+        if (!this._capture) return;
+        this._capture.resolve(null);
+        this._capture = null;
+    }
+
+    describeAction(action) {
+        return (this.bindings[action] || []).map(formatKeyCode).join(' / ') || 'unbound';
+    }
+}
+
+export function formatKeyCode(code) {
+    if (!code) return '';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return code.slice(5) + ' Arrow';
+    if (code === 'ShiftLeft' || code === 'ShiftRight') return 'Shift';
+    return code;
+}
@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+
+// Loading progress for the loading screen
+// - One THREE.LoadingManager counts every file request (models, HDR): hand `manager`
+//   to the loaders
+// - Procedural generation steps (Track city, props, details...) are items too:
+//   expect() announces them up front so the bar never runs backwards, step() completes one
+// - Failed items are collected (by URL/name, reported once each) and still count as done,
+//   so a broken optional asset never blocks the game
+// - Events: 'progress' (fraction 0..1, item), 'error' (item, error)
+
+export class LoadingTracker {
+    constructor() {
+        this.manager = new THREE.LoadingManager();
+        this.total = 0;
+        this.loaded = 0;
+        this.failures = []; // { item, error }
+        this._failed = new Set();
+        this._events = {};
+
+        this.manager.onStart = (item, loaded, total) => this._count(item, loaded, total);
+        this.manager.onProgress = (item, loaded, total) => this._count(item, loaded, total);
+        this.manager.onError = (item) => this.fail(item);
+    }
+
+    // Event emitter ('progress', 'error')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    get progress() {
+        return this.total > 0 ? this.loaded / this.total : 1;
+    }
+
+    _count(item, loaded, total) {
+        this.loaded = loaded;
+        this.total = total;
+        this.emit('progress', this.progress, item);
+    }
+
+    // Announce generation steps before running them (one item each)
+    expect(names) {
+        names.forEach(name => this.manager.itemStart(name));
+    }
+
+    // A generation step announced with expect() has finished
+    step(name) {
+        this.manager.itemEnd(name);
+    }
+
+    // Record a failed item (the same item is only reported once). File requests fail
+    // without an error (the asset is optional); generation steps fail with theirs
+    fail(item, error = null) {
+        if (this._failed.has(item)) return;
+        this._failed.add(item);
+        this.failures.push({ item, error });
+        this.emit('error', item, error);
+    }
+}
+
+// Resolves on the next animation frame (lets the loading screen repaint between steps)
+export function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
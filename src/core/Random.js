@@ -0,0 +1,79 @@
+// Seedable pseudo random number generator (mulberry32)
+// - Same seed => same sequence on every machine/browser
+// - fork(label) derives an independent stream per subsystem, so adding draws in
+//   one system (e.g. more buildings) never shifts another (e.g. AI decisions)
+// - Seeds can be numbers or strings (strings are hashed)
+
+const UINT32 = 0x100000000;
+
+// FNV-1a hash for strings -> uint32
+export function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(Math.abs(seed)) % UINT32;
+    if (typeof seed === 'string' && seed.length) {
+        const n = Number(seed);
+        return Number.isInteger(n) && n >= 0 ? n % UINT32 : hashString(seed);
+    }
+    return randomSeed();
+}
+
+// The only place that intentionally uses Math.random: picking a fresh seed
+export function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+// Reads ?seed=1234 from a URL query string; returns null when absent/empty
+export function seedFromUrl(search = (typeof location !== 'undefined' ? location.search : '')) {
+    const value = new URLSearchParams(search).get('seed');
+    return value ? normalizeSeed(value) : null;
+}
+
+export class Random {
+    constructor(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+    }
+
+    // Uniform float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Uniform integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+    }
+
+    // Independent child stream, stable for a given (seed, label)
+    fork(label) {
+        return new Random(hashString(`${this.seed}:${label}`));
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
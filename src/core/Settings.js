@@ -0,0 +1,152 @@
+// Player settings (graphics, camera, race, audio)
+// - Plain values with defaults; unknown keys, values of the wrong type and values
+//   outside their range / choices are ignored
+// - Quality presets set the graphics values in one go; the current preset is derived
+//   from those values ('custom' once one of them is changed by hand)
+// - Persists to localStorage on every change
+// - Emits 'change' (key, value) so systems can apply a setting live
+
+const STORAGE_KEY = 'turboDrift.settings';
+
+export const SHADOW_QUALITIES = ['off', 'low', 'medium', 'high'];
+export const SPEED_UNITS = ['kmh', 'mph'];
+
+export const DEFAULT_SETTINGS = Object.freeze({
+    // Graphics
+    pixelRatio: 2,          // cap on the device pixel ratio
+    shadows: 'high',        // SHADOW_QUALITIES
+    drawDistance: 1,        // fog and far plane scale
+    buildingDensity: 1,     // share of the backdrop city (and stars) that is built
+    // Camera
+    fov: 75,                // degrees at standstill (speed widens it)
+    cameraShake: 1,
+    // Race
+    laps: 3,
+    units: 'kmh',           // SPEED_UNITS
+    // Audio
+    muted: false,
+    masterVolume: 0.8,
+    musicVolume: 0.6,
+    sfxVolume: 0.8
+});
+
+// Allowed values beyond the type: [min, max] for numbers, the choices for strings
+const LIMITS = {
+    pixelRatio: [0.5, 2],
+    shadows: SHADOW_QUALITIES,
+    drawDistance: [0.4, 1],
+    buildingDensity: [0.2, 1],
+    fov: [60, 100],
+    cameraShake: [0, 1.5],
+    laps: [1, 10],
+    units: SPEED_UNITS,
+    masterVolume: [0, 1],
+    musicVolume: [0, 1],
+    sfxVolume: [0, 1]
+};
+const INTEGER_SETTINGS = ['fov', 'laps'];
+
+export const QUALITY_PRESETS = Object.freeze({
+    low: { pixelRatio: 1, shadows: 'off', drawDistance: 0.5, buildingDensity: 0.4 },
+    medium: { pixelRatio: 1.5, shadows: 'medium', drawDistance: 0.8, buildingDensity: 0.7 },
+    high: { pixelRatio: 2, shadows: 'high', drawDistance: 1, buildingDensity: 1 }
+});
+
+export class Settings {
+    constructor(opts = {}) {
+        this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.values = Object.assign({}, DEFAULT_SETTINGS);
+        this._events = {};
+        this.load();
+    }
+
+    // Event emitter ('change')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Change one setting, save and notify.
+     * @returns {boolean} false when the key is unknown or the value is invalid
+     */
+    set(key, value) {
+        return this.update({ [key]: value });
+    }
+
+    /**
+     * Change several settings at once (saved once, 'change' for each that changed).
+     * @param {object} changes key -> value
+     * @returns {boolean} false (and nothing changes) when any of them is invalid
+     */
+    update(changes) {
+        if (!Object.keys(changes).every(key => isValid(key, changes[key]))) return false;
+        const changed = Object.keys(changes).filter(key => this.values[key] !== changes[key]);
+        if (!changed.length) return true;
+        Object.assign(this.values, changes);
+        this.save();
+        changed.forEach(key => this.emit('change', key, this.values[key]));
+        return true;
+    }
+
+    // -----------------------------
+    // Quality presets
+    // -----------------------------
+    // Preset matching the current graphics values, or 'custom'
+    get quality() {
+        const name = Object.keys(QUALITY_PRESETS).find(preset => {
+            const values = QUALITY_PRESETS[preset];
+            return Object.keys(values).every(key => this.values[key] === values[key]);
+        });
+        return name || 'custom';
+    }
+
+    applyPreset(name) {
+        if (!QUALITY_PRESETS[name]) return false;
+        return this.update(QUALITY_PRESETS[name]);
+    }
+
+    // -----------------------------
+    // Persistence
+    // -----------------------------
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!saved || typeof saved !== 'object') return;
+            for (const key of Object.keys(DEFAULT_SETTINGS)) {
+                if (isValid(key, saved[key])) this.values[key] = saved[key];
+            }
+        } catch (err) {
+            console.warn('Settings: ignoring corrupt save', err);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (err) {
+            console.warn('Settings: could not save', err);
+        }
+    }
+}
+
+function isValid(key, value) {
+    if (!(key in DEFAULT_SETTINGS)) return false;
+    if (typeof value !== typeof DEFAULT_SETTINGS[key]) return false;
+    const limit = LIMITS[key];
+    if (typeof value === 'string') return !limit || limit.includes(value);
+    if (typeof value !== 'number') return true;
+    if (!Number.isFinite(value)) return false;
+    if (INTEGER_SETTINGS.includes(key) && !Number.isInteger(value)) return false;
+    return !limit || (value >= limit[0] && value <= limit[1]);
+}
@@ -0,0 +1,43 @@
+import * as THREE from 'three';
+
+// Render interpolation helper for fixed-step objects
+// - capture() before each simulation step stores the previous transform
+// - apply(alpha) blends previous -> current for drawing
+// - restore() puts the authoritative simulation transform back after rendering
+
+export class TransformHistory {
+    constructor(object3d) {
+        this.object = object3d;
+        this.prevPosition = new THREE.Vector3().copy(object3d.position);
+        this.prevQuaternion = new THREE.Quaternion().copy(object3d.quaternion);
+        this._simPosition = new THREE.Vector3();
+        this._simQuaternion = new THREE.Quaternion();
+        this._applied = false;
+    }
+
+    capture() {
+        this.prevPosition.copy(this.object.position);
+        this.prevQuaternion.copy(this.object.quaternion);
+    }
+
+    // Forget the previous state (after teleports/respawns) so nothing is smeared
+    snap() {
+        this.capture();
+    }
+
+    apply(alpha) {
+        if (this._applied) return;
+        this._simPosition.copy(this.object.position);
+        this._simQuaternion.copy(this.object.quaternion);
+        this.object.position.lerpVectors(this.prevPosition, this._simPosition, alpha);
+        this.object.quaternion.slerpQuaternions(this.prevQuaternion, this._simQuaternion, alpha);
+        this._applied = true;
+    }
+
+    restore() {
+        if (!this._applied) return;
+        this.object.position.copy(this._simPosition);
+        this.object.quaternion.copy(this._simQuaternion);
+        this._applied = false;
+    }
+}
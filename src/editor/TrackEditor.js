@@ -0,0 +1,449 @@
+import * as THREE from 'three';
+import { Track } from '../world/Track.js';
+import { buildTrackCurve, parseTrackDefinition, serializeTrackDefinition } from '../world/TrackDefinition.js';
+import { parseTrackJSON } from '../world/TrackLoader.js';
+
+// Track editor
+// - Top-down orthographic view of a track definition, one draggable handle per control point
+// - Drag a handle to move its point in x/z; the side panel edits height, width, bank and
+//   tension of the selected point; insert after / delete the selected point (minimum 4)
+// - The road is rebuilt live (Track preview mode), at most once per rendered frame
+// - Mouse wheel zooms, dragging empty space pans, Delete removes the selected point
+// - Export / import the track JSON; TEST DRIVE hands the edited definition to the game
+// - Emits 'testDrive' (definition) and 'exit'
+
+const MIN_POINTS = 4;
+const HANDLE_PIXELS = 7;   // handle radius on screen
+const PICK_PIXELS = 14;    // how close a click has to be to grab a handle
+const OVERLAY_Y = 500;     // handles and centreline float above any road height
+
+export class TrackEditor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer shared with the game (the editor has its own scene)
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.canvas = renderer.domElement;
+        this.definition = null; // working copy being edited
+        this.selected = -1;
+        this.dirty = false;
+        this.preview = null;    // road-only Track of the working copy
+
+        // Scene: looking straight down, x to the right and z down the screen
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x20242c);
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, 5000);
+        this.camera.up.set(0, 0, -1);
+        this.camera.position.set(0, 2000, 0);
+        this.camera.lookAt(0, 0, 0);
+        this.viewHeight = 1200; // world units visible top to bottom at zoom 1
+
+        const grid = new THREE.GridHelper(4000, 80, 0x3a4658, 0x2a303c);
+        grid.position.y = -200;
+        this.scene.add(grid);
+
+        this.handles = new THREE.Group();
+        this.scene.add(this.handles);
+        this.handleGeo = new THREE.SphereGeometry(1, 12, 8);
+        this.handleMats = {
+            normal: new THREE.MeshBasicMaterial({ color: 0xffffff }),
+            start: new THREE.MeshBasicMaterial({ color: 0x00ff66 }),
+            selected: new THREE.MeshBasicMaterial({ color: 0xff0066 })
+        };
+        this.centreline = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: 0xffff00 }));
+        this.scene.add(this.centreline);
+
+        this._drag = null;
+        this._v = new THREE.Vector3();
+        this._events = {};
+
+        this._onPointerDown = (e) => this.onPointerDown(e);
+        this._onPointerMove = (e) => this.onPointerMove(e);
+        this._onPointerUp = (e) => this.onPointerUp(e);
+        this._onWheel = (e) => this.onWheel(e);
+        this._onKeyDown = (e) => this.onKeyDown(e);
+
+        this.createPanel();
+        this.resize();
+    }
+
+    // Event emitter ('testDrive', 'exit')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    // -----------------------------
+    // Open / close
+    // -----------------------------
+    /**
+     * Start editing a copy of a definition.
+     * @param {object} definition parsed track definition
+     */
+    open(definition) {
+        this.definition = copyDefinition(definition);
+        this.selected = 0;
+        this.dirty = true;
+        this.fitView();
+        this.refreshPanel();
+        this.setStatus('');
+        this.panel.style.display = 'flex';
+
+        this.canvas.addEventListener('pointerdown', this._onPointerDown);
+        this.canvas.addEventListener('pointermove', this._onPointerMove);
+        this.canvas.addEventListener('pointerup', this._onPointerUp);
+        this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    close() {
+        this._drag = null;
+        this.panel.style.display = 'none';
+
+        this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+        this.canvas.removeEventListener('pointermove', this._onPointerMove);
+        this.canvas.removeEventListener('pointerup', this._onPointerUp);
+        this.canvas.removeEventListener('wheel', this._onWheel);
+        window.removeEventListener('keydown', this._onKeyDown);
+
+        if (this.preview) this.preview.dispose();
+        this.preview = null;
+    }
+
+    // -----------------------------
+    // Rendering
+    // -----------------------------
+    render() {
+        if (this.dirty) this.rebuild();
+
+        // Constant on-screen handle size at any zoom
+        const size = HANDLE_PIXELS * this.worldPerPixel();
+        this.handles.children.forEach((h, i) => {
+            h.scale.setScalar(size);
+            h.material = i === this.selected ? this.handleMats.selected : (i === 0 ? this.handleMats.start : this.handleMats.normal);
+        });
+
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    rebuild() {
+        this.dirty = false;
+        if (this.preview) this.preview.dispose();
+        this.preview = new Track(this.scene, { definition: this.definition, seed: 1, preview: true });
+
+        const line = this.preview.curve.getSpacedPoints(400).map(p => p.setY(OVERLAY_Y - 1));
+        this.centreline.geometry.dispose();
+        this.centreline.geometry = new THREE.BufferGeometry().setFromPoints(line);
+
+        while (this.handles.children.length > this.definition.points.length) this.handles.remove(this.handles.children[this.handles.children.length - 1]);
+        while (this.handles.children.length < this.definition.points.length) this.handles.add(new THREE.Mesh(this.handleGeo, this.handleMats.normal));
+        this.definition.points.forEach((p, i) => this.handles.children[i].position.set(p.x, OVERLAY_Y, p.z));
+
+        this.updateLengthLabel();
+    }
+
+    resize() {
+        const aspect = window.innerWidth / window.innerHeight;
+        const half = this.viewHeight / 2;
+        this.camera.left = -half * aspect;
+        this.camera.right = half * aspect;
+        this.camera.top = half;
+        this.camera.bottom = -half;
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Centre and zoom so every control point is on screen (the panel covers the right side)
+    fitView() {
+        const points = this.definition.points;
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minZ = Math.min(...zs), maxZ = Math.max(...zs);
+        const aspect = window.innerWidth / window.innerHeight;
+        const span = Math.max(maxZ - minZ, (maxX - minX) / aspect) + 200;
+
+        this.camera.position.set((minX + maxX) / 2 + span * aspect * 0.1, 2000, (minZ + maxZ) / 2);
+        this.camera.zoom = this.viewHeight / span;
+        this.camera.updateProjectionMatrix();
+    }
+
+    worldPerPixel() {
+        return this.viewHeight / this.camera.zoom / this.canvas.clientHeight;
+    }
+
+    // Pointer -> world x/z on the ground plane
+    pointerToWorld(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this._v.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1, 0);
+        return this._v.unproject(this.camera);
+    }
+
+    // Index of the handle under the pointer, or -1
+    pickHandle(e) {
+        const world = this.pointerToWorld(e);
+        const reach = PICK_PIXELS * this.worldPerPixel();
+        let best = -1;
+        let bestDist = reach * reach;
+        this.definition.points.forEach((p, i) => {
+            const d = (p.x - world.x) ** 2 + (p.z - world.z) ** 2;
+            if (d < bestDist) {
+                bestDist = d;
+                best = i;
+            }
+        });
+        return best;
+    }
+
+    // -----------------------------
+    // Mouse & keyboard
+    // -----------------------------
+    onPointerDown(e) {
+        if (e.button !== 0 && e.button !== 1) return;
+        const index = e.button === 0 ? this.pickHandle(e) : -1;
+        if (index >= 0) {
+            this.select(index);
+            this._drag = { type: 'point', index };
+        } else {
+            this._drag = { type: 'pan', x: e.clientX, y: e.clientY };
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    onPointerMove(e) {
+        const drag = this._drag;
+        if (!drag) return;
+        if (drag.type === 'point') {
+            const world = this.pointerToWorld(e);
+            const p = this.definition.points[drag.index];
+            p.x = Math.round(world.x);
+            p.z = Math.round(world.z);
+            this.dirty = true;
+            this.refreshPanel();
+        } else {
+            const scale = this.worldPerPixel();
+            this.camera.position.x -= (e.clientX - drag.x) * scale;
+            this.camera.position.z -= (e.clientY - drag.y) * scale;
+            drag.x = e.clientX;
+            drag.y = e.clientY;
+        }
+    }
+
+    onPointerUp(e) {
+        this._drag = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) this.canvas.releasePointerCapture(e.pointerId);
+    }
+
+    onWheel(e) {
+        e.preventDefault();
+        this.camera.zoom = THREE.MathUtils.clamp(this.camera.zoom * Math.exp(-e.deltaY * 0.001), 0.2, 20);
+        this.camera.updateProjectionMatrix();
+    }
+
+    onKeyDown(e) {
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            e.preventDefault();
+            this.deletePoint();
+        } else if (e.code === 'Insert') {
+            this.insertPoint();
+        }
+    }
+
+    // -----------------------------
+    // Editing
+    // -----------------------------
+    select(index) {
+        this.selected = index;
+        this.refreshPanel();
+    }
+
+    // New point halfway along the spline to the next point, blending width/bank/tension
+    insertPoint() {
+        const points = this.definition.points;
+        const i = this.selected < 0 ? points.length - 1 : this.selected;
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const mid = buildTrackCurve(this.definition).getPoint((i + 0.5) / points.length);
+        points.splice(i + 1, 0, {
+            x: Math.round(mid.x),
+            y: Math.round(mid.y),
+            z: Math.round(mid.z),
+            width: (a.width + b.width) / 2,
+            bank: (a.bank + b.bank) / 2,
+            tension: (a.tension + b.tension) / 2
+        });
+        this.dirty = true;
+        this.select(i + 1);
+    }
+
+    deletePoint() {
+        const points = this.definition.points;
+        if (this.selected < 0) return;
+        if (points.length <= MIN_POINTS) {
+            this.setStatus(`A track needs at least ${MIN_POINTS} points.`);
+            return;
+        }
+        points.splice(this.selected, 1);
+        this.dirty = true;
+        this.select(Math.min(this.selected, points.length - 1));
+    }
+
+    // Panel field -> selected point (ignores half-typed values)
+    setPointValue(key, value, min = -Infinity) {
+        const p = this.definition.points[this.selected];
+        const n = parseFloat(value);
+        if (!p || !Number.isFinite(n)) return;
+        p[key] = Math.max(min, n);
+        this.dirty = true;
+    }
+
+    // Validated copy of the working definition (throws with a readable message)
+    exportDefinition() {
+        const d = this.definition;
+        d.name = this.fields.name.value.trim() || d.id;
+        d.id = this.fields.id.value.trim();
+        return parseTrackDefinition(JSON.parse(serializeTrackDefinition(d)));
+    }
+
+    exportJSON() {
+        let def;
+        try {
+            def = this.exportDefinition();
+        } catch (err) {
+            this.setStatus(`Export failed: ${err.message}`);
+            return;
+        }
+        const blob = new Blob([serializeTrackDefinition(def)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${def.id}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.setStatus(`Exported ${def.id}.json`);
+    }
+
+    async importJSON(file) {
+        try {
+            const def = parseTrackJSON(await file.text());
+            this.definition = copyDefinition(def);
+        } catch (err) {
+            this.setStatus(`Import failed: ${err.message}`);
+            return;
+        }
+        this.selected = 0;
+        this.dirty = true;
+        this.fitView();
+        this.refreshPanel();
+        this.setStatus(`Imported "${this.definition.name}".`);
+    }
+
+    testDrive() {
+        let def;
+        try {
+            def = this.exportDefinition();
+        } catch (err) {
+            this.setStatus(`Cannot drive: ${err.message}`);
+            return;
+        }
+        this.emit('testDrive', def);
+    }
+
+    // -----------------------------
+    // Panel
+    // -----------------------------
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'editor-panel';
+        panel.style.cssText = `
+            position: absolute; top: 0; right: 0; width: 280px; height: 100%; box-sizing: border-box;
+            background: rgba(0,0,0,0.85); border-left: 1px solid #0ff; display: none; flex-direction: column;
+            gap: 8px; padding: 16px; font-family: 'Courier New', monospace; color: #0ff; z-index: 200;
+            overflow-y: auto;
+        `;
+        const input = (id, attrs = '') => `<input id="${id}" ${attrs} style="width: 110px; font-family: inherit; background: transparent; border: 1px solid #0ff; color: #0ff; padding: 3px 6px;">`;
+        const row = (label, field) => `<label style="display: flex; justify-content: space-between; align-items: center;">${label} ${field}</label>`;
+        const button = (id, text, color = '#0ff') => `<button id="${id}" style="font-family: inherit; font-size: 1rem; padding: 6px 10px; background: transparent; border: 1px solid ${color}; color: ${color}; cursor: pointer;">${text}</button>`;
+        panel.innerHTML = `
+            <h2 style="margin: 0 0 8px;">TRACK EDITOR</h2>
+            ${row('NAME', input('editor-name', 'type="text"'))}
+            ${row('ID', input('editor-id', 'type="text"'))}
+            <div id="editor-length" style="color: #aaa; font-size: 0.9rem;"></div>
+            <div id="editor-point" style="margin-top: 10px; color: #fff;"></div>
+            ${row('HEIGHT', input('editor-y', 'type="number" step="1"'))}
+            ${row('WIDTH', input('editor-width', 'type="number" step="0.5" min="4"'))}
+            ${row('BANK', input('editor-bank', 'type="number" step="1" min="-30" max="30"'))}
+            ${row('TENSION', input('editor-tension', 'type="number" step="0.05" min="0" max="2"'))}
+            <div style="display: flex; gap: 8px;">${button('editor-insert-btn', 'INSERT')} ${button('editor-delete-btn', 'DELETE', '#f06')}</div>
+            <div style="display: flex; gap: 8px; margin-top: 10px;">${button('editor-export-btn', 'EXPORT')} ${button('editor-import-btn', 'IMPORT')}</div>
+            <input id="editor-file-input" type="file" accept=".json,application/json" style="display: none;">
+            ${button('editor-drive-btn', 'TEST DRIVE', '#0f6')}
+            ${button('editor-exit-btn', 'EXIT', '#fff')}
+            <p id="editor-status" style="min-height: 1.2em; color: #fff; font-size: 0.9rem;"></p>
+            <p style="color: #888; font-size: 0.8rem;">Drag points to move them, drag empty space to pan, wheel to zoom. Del removes the selected point. Green = start line.</p>
+        `;
+        document.body.appendChild(panel);
+        this.panel = panel;
+
+        const $ = (id) => document.getElementById(id);
+        this.fields = {
+            name: $('editor-name'),
+            id: $('editor-id'),
+            length: $('editor-length'),
+            point: $('editor-point'),
+            y: $('editor-y'),
+            width: $('editor-width'),
+            bank: $('editor-bank'),
+            tension: $('editor-tension'),
+            status: $('editor-status')
+        };
+        this.fields.y.addEventListener('input', () => this.setPointValue('y', this.fields.y.value));
+        this.fields.width.addEventListener('input', () => this.setPointValue('width', this.fields.width.value, 4));
+        this.fields.bank.addEventListener('input', () => this.setPointValue('bank', this.fields.bank.value));
+        this.fields.tension.addEventListener('input', () => this.setPointValue('tension', this.fields.tension.value, 0));
+
+        $('editor-insert-btn').addEventListener('click', () => this.insertPoint());
+        $('editor-delete-btn').addEventListener('click', () => this.deletePoint());
+        $('editor-export-btn').addEventListener('click', () => this.exportJSON());
+        const file = $('editor-file-input');
+        $('editor-import-btn').addEventListener('click', () => file.click());
+        file.addEventListener('change', () => {
+            if (file.files[0]) this.importJSON(file.files[0]);
+            file.value = '';
+        });
+        $('editor-drive-btn').addEventListener('click', () => this.testDrive());
+        $('editor-exit-btn').addEventListener('click', () => this.emit('exit'));
+    }
+
+    refreshPanel() {
+        const f = this.fields;
+        const def = this.definition;
+        if (document.activeElement !== f.name) f.name.value = def.name;
+        if (document.activeElement !== f.id) f.id.value = def.id;
+
+        const p = def.points[this.selected];
+        f.point.innerText = p ? `POINT ${this.selected + 1}/${def.points.length}  (${p.x}, ${p.z})` : 'NO POINT SELECTED';
+        [f.y, f.width, f.bank, f.tension].forEach(el => { el.disabled = !p; });
+        if (!p) return;
+        f.y.value = p.y;
+        f.width.value = p.width;
+        f.bank.value = p.bank;
+        f.tension.value = p.tension;
+    }
+
+    updateLengthLabel() {
+        this.fields.length.innerText = `${(this.preview.curve.getLength() / 1000).toFixed(2)} KM - ${this.definition.points.length} POINTS`;
+    }
+
+    setStatus(text) {
+        this.fields.status.innerText = text;
+    }
+}
+
+// Deep copy so edits never touch the built-in definitions
+function copyDefinition(def) {
+    return parseTrackDefinition(JSON.parse(serializeTrackDefinition(def)));
+}
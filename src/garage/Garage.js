@@ -0,0 +1,93 @@
+import { VEHICLES, DEFAULT_VEHICLE_ID, getVehicle } from '../cars/Vehicles.js';
+
+// Garage state: credits, owned vehicles and the selected one
+// - Race scores pay out as credits (see Game.finishRace); vehicles with a cost are
+//   bought with them, free ones are always owned
+// - Persists to localStorage so the selection and unlocks survive a reload
+
+const STORAGE_KEY = 'turboDrift.garage';
+
+export class Garage {
+    constructor(opts = {}) {
+        this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.credits = 0;
+        this.owned = new Set(VEHICLES.filter(v => v.cost === 0).map(v => v.id));
+        this.selected = DEFAULT_VEHICLE_ID;
+        this.load();
+    }
+
+    get vehicle() {
+        return getVehicle(this.selected);
+    }
+
+    isOwned(id) {
+        return this.owned.has(id);
+    }
+
+    canAfford(id) {
+        return this.credits >= getVehicle(id).cost;
+    }
+
+    // Add race winnings
+    earn(amount) {
+        if (!(amount > 0)) return;
+        this.credits += Math.floor(amount);
+        this.save();
+    }
+
+    /**
+     * Unlock a vehicle with credits.
+     * @returns {boolean} true when it is owned afterwards
+     */
+    buy(id) {
+        if (this.isOwned(id)) return true;
+        const vehicle = getVehicle(id);
+        if (vehicle.id !== id || this.credits < vehicle.cost) return false;
+        this.credits -= vehicle.cost;
+        this.owned.add(id);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Make an owned vehicle the one raced.
+     * @returns {boolean} false when it is locked
+     */
+    select(id) {
+        if (!this.isOwned(id)) return false;
+        this.selected = id;
+        this.save();
+        return true;
+    }
+
+    // -----------------------------
+    // Persistence
+    // -----------------------------
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (!saved || typeof saved !== 'object') return;
+            if (Number.isFinite(saved.credits) && saved.credits > 0) this.credits = Math.floor(saved.credits);
+            if (Array.isArray(saved.owned)) {
+                saved.owned.filter(id => VEHICLES.some(v => v.id === id)).forEach(id => this.owned.add(id));
+            }
+            if (this.isOwned(saved.selected)) this.selected = saved.selected;
+        } catch (err) {
+            console.warn('Garage: ignoring corrupt save', err);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({
+                credits: this.credits,
+                owned: [...this.owned],
+                selected: this.selected
+            }));
+        } catch (err) {
+            console.warn('Garage: could not save', err);
+        }
+    }
+}
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+import { VEHICLES, createVehicle, vehicleStats } from '../cars/Vehicles.js';
+
+// Garage screen
+// - The roster on a slowly rotating turntable (own scene, shared renderer like the editor);
+//   each car is built once on first show and kept, browsing only swaps which one is visible
+// - Browse with the arrows (or Left/Right keys), stat bars and description per car
+// - Owned cars can be selected, locked ones bought with credits (see Garage.js)
+// - Emits 'select' (vehicle id) whenever the raced car changes, and 'exit'
+
+const STAT_LABELS = [
+    ['speed', 'TOP SPEED'],
+    ['acceleration', 'ACCELERATION'],
+    ['handling', 'HANDLING'],
+    ['drift', 'DRIFT'],
+    ['nitro', 'NITRO']
+];
+
+export class GarageScreen {
+    /**
+     * @param {THREE.WebGLRenderer} renderer shared with the game
+     * @param {Garage} garage credits / owned / selected state
+     * @param {AssetLibrary} [assets] loaded car models and environment map
+     */
+    constructor(renderer, garage, assets = null) {
+        this.renderer = renderer;
+        this.garage = garage;
+        this.assets = assets;
+        this.index = 0;
+        this.car = null; // preview Car of the vehicle on show
+        this.previews = new Map(); // vehicle id -> preview Car
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x05050a);
+        this.camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 100);
+        this.camera.position.set(5.5, 2.6, 6.5);
+        this.camera.lookAt(0, 0.6, 0);
+        if (assets && assets.environment) this.scene.environment = assets.environment;
+
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+        const key = new THREE.DirectionalLight(0xffffff, 2.0);
+        key.position.set(4, 8, 6);
+        this.scene.add(key);
+        const rim = new THREE.PointLight(0xff00ff, 30, 20);
+        rim.position.set(-4, 3, -4);
+        this.scene.add(rim);
+
+        // Turntable: dark disc with a neon ring
+        this.turntable = new THREE.Group();
+        const disc = new THREE.Mesh(new THREE.CylinderGeometry(3.2, 3.2, 0.15, 48), new THREE.MeshStandardMaterial({ color: 0x111118, roughness: 0.4, metalness: 0.6 }));
+        disc.position.y = -0.075;
+        this.turntable.add(disc);
+        const ring = new THREE.Mesh(new THREE.TorusGeometry(3.2, 0.04, 8, 64), new THREE.MeshBasicMaterial({ color: 0x00ffff }));
+        ring.rotation.x = Math.PI / 2;
+        this.turntable.add(ring);
+        this.scene.add(this.turntable);
+
+        this._onKeyDown = (e) => this.onKeyDown(e);
+        this._events = {};
+
+        this.createPanel();
+    }
+
+    // Event emitter ('select', 'exit')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    // -----------------------------
+    // Open / close
+    // -----------------------------
+    open() {
+        this.index = Math.max(0, VEHICLES.findIndex(v => v.id === this.garage.selected));
+        this.show(this.index);
+        this.resize();
+        this.panel.style.display = 'flex';
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.setPreview(null);
+    }
+
+    onKeyDown(e) {
+        if (e.code === 'ArrowLeft') this.step(-1);
+        else if (e.code === 'ArrowRight') this.step(1);
+        else if (e.code === 'Enter') this.activate();
+        else if (e.code === 'Escape') this.emit('exit');
+    }
+
+    // -----------------------------
+    // Rendering
+    // -----------------------------
+    render(dt) {
+        this.turntable.rotation.y += dt * 0.5;
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    resize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Swap the car on the turntable (null = empty)
+    setPreview(vehicle) {
+        if (this.car) this.car.mesh.visible = false;
+        this.car = null;
+        if (!vehicle) return;
+        this.car = this.previews.get(vehicle.id);
+        if (!this.car) {
+            this.car = createVehicle(this.scene, vehicle, this.assets);
+            this.turntable.add(this.car.mesh); // re-parented so it turns with the table
+            this.previews.set(vehicle.id, this.car);
+        }
+        this.car.mesh.visible = true;
+    }
+
+    // -----------------------------
+    // Browsing
+    // -----------------------------
+    step(direction) {
+        this.show((this.index + direction + VEHICLES.length) % VEHICLES.length);
+    }
+
+    show(index) {
+        this.index = index;
+        this.setPreview(VEHICLES[index]);
+        this.refreshPanel();
+    }
+
+    // Select an owned car, or buy a locked one the player can afford
+    activate() {
+        const vehicle = VEHICLES[this.index];
+        if (!this.garage.isOwned(vehicle.id) && !this.garage.buy(vehicle.id)) {
+            this.setStatus(`NEED ${vehicle.cost - this.garage.credits} MORE CREDITS`);
+            return;
+        }
+        if (this.garage.selected !== vehicle.id) {
+            this.garage.select(vehicle.id);
+            this.emit('select', vehicle.id);
+        }
+        this.setStatus('');
+        this.refreshPanel();
+    }
+
+    // -----------------------------
+    // Panel
+    // -----------------------------
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'garage-panel';
+        panel.style.cssText = `
+            position: absolute; top: 0; left: 0; width: 100%; height: 100%; box-sizing: border-box;
+            display: none; flex-direction: column; justify-content: space-between; align-items: center;
+            padding: 30px; font-family: 'Courier New', monospace; color: #0ff; z-index: 200; pointer-events: none;
+        `;
+        const button = (id, text, color = '#0ff') => `<button id="${id}" style="font-family: inherit; font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid ${color}; color: ${color}; cursor: pointer; pointer-events: auto;">${text}</button>`;
+        panel.innerHTML = `
+            <div style="text-align: center;">
+                <h1 style="font-size: 3rem; margin: 0;">GARAGE</h1>
+                <div style="font-size: 1.2rem; color: #fff;">CREDITS: <span id="garage-credits">0</span></div>
+            </div>
+            <div style="display: flex; width: 100%; justify-content: space-between; align-items: center;">
+                ${button('garage-prev-btn', '&lt;')}
+                ${button('garage-next-btn', '&gt;')}
+            </div>
+            <div style="display: flex; gap: 40px; align-items: flex-end; background: rgba(0,0,0,0.7); padding: 16px 24px; border: 1px solid #0ff;">
+                <div style="width: 320px;">
+                    <div id="garage-name" style="font-size: 2rem; color: #fff;"></div>
+                    <div id="garage-description" style="font-size: 0.95rem; color: #ccc; min-height: 2.4em;"></div>
+                    <div id="garage-state" style="font-size: 1.1rem; margin-top: 8px;"></div>
+                </div>
+                <div id="garage-stats" style="width: 300px; font-size: 0.9rem;"></div>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    ${button('garage-action-btn', 'SELECT', '#0f6')}
+                    ${button('garage-back-btn', 'BACK', '#fff')}
+                </div>
+            </div>
+            <p id="garage-status" style="min-height: 1.2em; margin: 6px 0 0; color: #ff3355;"></p>
+        `;
+        document.body.appendChild(panel);
+        this.panel = panel;
+
+        const $ = (id) => document.getElementById(id);
+        this.fields = {
+            credits: $('garage-credits'),
+            name: $('garage-name'),
+            description: $('garage-description'),
+            state: $('garage-state'),
+            stats: $('garage-stats'),
+            action: $('garage-action-btn'),
+            status: $('garage-status')
+        };
+        $('garage-prev-btn').addEventListener('click', () => this.step(-1));
+        $('garage-next-btn').addEventListener('click', () => this.step(1));
+        this.fields.action.addEventListener('click', () => this.activate());
+        $('garage-back-btn').addEventListener('click', () => this.emit('exit'));
+    }
+
+    refreshPanel() {
+        const f = this.fields;
+        const vehicle = VEHICLES[this.index];
+        const owned = this.garage.isOwned(vehicle.id);
+        const selected = this.garage.selected === vehicle.id;
+
+        f.credits.innerText = this.garage.credits;
+        f.name.innerText = `${vehicle.name}  ${this.index + 1}/${VEHICLES.length}`;
+        f.description.innerText = vehicle.description;
+        f.state.innerText = selected ? 'SELECTED' : (owned ? 'OWNED' : `LOCKED - ${vehicle.cost} CREDITS`);
+        f.state.style.color = selected ? '#0f6' : (owned ? '#fff' : '#ff3355');
+        f.action.innerText = owned ? 'SELECT' : 'BUY';
+        f.action.disabled = selected;
+        f.action.style.opacity = selected ? 0.4 : 1;
+
+        const stats = vehicleStats(vehicle);
+        f.stats.innerHTML = STAT_LABELS.map(([key, label]) => `
+            <div style="display: flex; align-items: center; gap: 8px; margin: 3px 0;">
+                <span style="width: 110px;">${label}</span>
+                <div style="flex: 1; height: 8px; background: #222;">
+                    <div style="width: ${Math.round(stats[key] * 100)}%; height: 100%; background: #0ff; box-shadow: 0 0 6px #0ff;"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    setStatus(text) {
+        this.fields.status.innerText = text;
+    }
+}
@@ -1,26 +1,104 @@
 import * as THREE from 'three';
-import { Car } from './cars/Car.js';
+import { VEHICLES, DEFAULT_VEHICLE_ID, createVehicle, getVehicle } from './cars/Vehicles.js';
 import { EnemyCar } from './cars/EnemyCar.js';
-import { Track } from './world/Track.js';
+import { TRACKS, DEFAULT_TRACK_ID, getTrackDefinition, loadTrack, loadTrackStepwise, trackFromUrl } from './world/TrackLoader.js';
+import { buildTrackCurve, trackLayoutHash } from './world/TrackDefinition.js';
+import { getSurface } from './world/Surfaces.js';
+import { TrackEditor } from './editor/TrackEditor.js';
+import { Garage } from './garage/Garage.js';
+import { GarageScreen } from './garage/GarageScreen.js';
 import { AudioManager } from './core/AudioManager.js';
+import { Settings, QUALITY_PRESETS, SHADOW_QUALITIES } from './core/Settings.js';
+import { AssetLibrary } from './core/Assets.js';
+import { LoadingTracker } from './core/Loading.js';
+import { Input, BINDABLE_ACTIONS, formatKeyCode } from './core/Input.js';
+import { FixedTimestep } from './core/FixedTimestep.js';
+import { Random, normalizeSeed, randomSeed, seedFromUrl } from './core/Random.js';
+import { Ghost } from './replay/Ghost.js';
+import { GhostRecorder } from './replay/GhostRecorder.js';
+import { GhostPlayer } from './replay/GhostPlayer.js';
+import { GhostStore } from './replay/GhostStore.js';
+import { SectorTimer } from './race/SectorTimer.js';
+import { DriftCombo } from './race/DriftCombo.js';
+import { CheckpointSystem } from './race/CheckpointSystem.js';
+import { Standings } from './race/Standings.js';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY, difficultyConfig } from './ai/Difficulty.js';
+
+// Equirectangular HDR for image-based lighting (public/, optional)
+const ENVIRONMENT_MAP = 'env/industrial_sunset_01.hdr';
+
+// Camera far plane at full draw distance (the settings scale it down with the fog)
+const CAMERA_FAR = 4000;
+
+// Moon shadow map resolution per shadow quality setting
+const SHADOW_MAP_SIZES = { off: 0, low: 512, medium: 1024, high: 2048 };
+
+// Speed readout: simulation units per 1/60 s -> km/h, and the unit labels
+const KMH_PER_SPEED = 220;
+const MPH_PER_KMH = 0.621371;
+const SPEED_UNIT_LABELS = { kmh: 'km/h', mph: 'mph' };
+
+// Names of the rebindable actions on the settings screen
+const ACTION_LABELS = {
+    throttle: 'ACCELERATE',
+    brake: 'BRAKE / REVERSE',
+    steerLeft: 'STEER LEFT',
+    steerRight: 'STEER RIGHT',
+    nitro: 'NITRO',
+    handbrake: 'HANDBRAKE',
+    pause: 'PAUSE',
+    camera: 'CAMERA',
+    mute: 'SOUND ON/OFF'
+};
+
+// Rival grid: colour and preferred lane offset
+const RIVAL_SETUP = [
+    { name: 'VOLT', color: 0x00ffcc, lane: -4.5 },
+    { name: 'BLAZE', color: 0xffff00, lane: 4.5 },
+    { name: 'VIPER', color: 0xff00ff, lane: 0 },
+    { name: 'NOVA', color: 0x0066ff, lane: -8.0 }
+];
 
 /**
  * TURBO DRIFT 3D - GOLD MASTER ENGINE
  * Enhanced with:
  * - Proper game states (MENU, PLAYING, PAUSED, GAMEOVER)
  * - Advanced UI (speed, nitro, lap, rank, timer)
- * - Touch controls & gyroscope support
- * - AI with track following and ranking
- * - Scoring system (drift, overtakes)
+ * - Action-mapped input (keyboard, gamepad, touch & gyroscope) with rebindable keys
+ * - AI rivals driving the same Car physics as the player (racing line, braking, recovery)
+ * - Drift combos: angle x speed points, multiplier from chained drifts and near-misses,
+ *   banked after a grace period, lost on a crash (HUD popup + results breakdown)
+ * - Fixed 120 Hz simulation with interpolated rendering (refresh-rate independent)
+ * - Seeded world & AI (?seed=1234 or menu) so the same seed replays identically
+ * - Ghost replays of the best lap per track + seed (IndexedDB, import/export)
+ * - Time Trial mode with sector splits and delta-to-best
+ * - Ordered checkpoint gates: lap validation, invalid laps, wrong-way warning
+ * - Distance-based standings with gaps, live leaderboard and final classification
+ * - AI difficulty presets (Easy..Insane) with optional rubber-banding
+ * - Data-driven circuits (JSON track definitions) with a track-select screen (?track=id)
+ * - Track editor (drag spline points top-down, live road rebuild, JSON export/import, test drive)
+ * - Ground-following cars (road height, pitch/roll, airtime over crests, fall-off respawn)
+ * - Surface materials (asphalt, kerbs, grass/dirt shoulders, boost pads) with per-surface handling
+ * - Vehicle roster with distinct handling, bought with race credits in the garage (3D preview)
+ * - glTF car bodies (wheel nodes found by name) and HDR environment lighting, procedural fallback
  * - Debug overlay (FPS, position)
- * - Loading screen with progress
+ * - Loading screen with real progress (asset requests + track generation steps, failures listed)
+ * - Synthesized engine audio: gearbox RPM, throttle load, turbo/blow-off, nitro, backfire (gear + tach on the HUD)
+ * - Sound effects (impacts, crates, gates, laps, start countdown, menu clicks) on master/music/SFX
+ *   buses with a voice limit; mute (M / menu) saved in the settings
+ * - Positional audio from the camera: rival engines (doppler pitch) and humming track lights
+ * - Adaptive synthwave music: menu loop, race base, intensity (nitro / close fight) and
+ *   final-lap stems, crossfaded on the beat as the game state changes
+ * - Settings screen (menu and pause): quality presets, shadows, draw distance, building
+ *   density, FOV, camera shake, volumes, laps, speed units and key bindings; saved, and
+ *   applied live except where the world has to be rebuilt
  */
 class Game {
     constructor() {
         // --- CORE RENDER PROPERTIES ---
         this.canvas = document.querySelector('canvas');
         this.scene = new THREE.Scene();
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 4000);
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, CAMERA_FAR);
         
         this.renderer = new THREE.WebGLRenderer({ 
             antialias: true, 
@@ -31,21 +109,48 @@ class Game {
 
         // --- SYSTEMS & MANAGERS ---
         this.clock = new THREE.Clock();
-        this.input = { keys: {}, touch: { left: false, right: false, nitro: false }, gyroLane: 1 };
+        this.timestep = new FixedTimestep({ step: 1 / 120 });
+        this.input = new Input();
+        this.controls = this.input.state; // per-frame input snapshot shared by Car and UI
+        this.settings = new Settings(); // graphics, camera, race and audio options (persisted)
         this.particles = [];
         this.uiElements = {};
 
+        // --- SEEDED RANDOMNESS ---
+        this.seed = seedFromUrl() ?? randomSeed();
+        this.trackId = trackFromUrl() ?? DEFAULT_TRACK_ID; // circuit picked in the menu
+        this.customTrack = null;  // definition from the track editor (raced when trackId matches)
+        this.testDriving = false; // quitting a test drive returns to the editor
+        this.rng = null;   // root stream, rebuilt with the world
+        this.fxRng = null; // cosmetic effects (particles, shake)
+
+        // --- GHOST REPLAYS ---
+        this.ghostStore = new GhostStore();
+        this.ghostRecorder = new GhostRecorder();
+        this.ghostPlayer = null;   // created with the scene in init
+        this.bestGhost = null;     // ghost raced against this session
+        this.importedGhost = null; // last imported ghost, raced against when its track/seed match
+
         // --- GAME STATE ---
-        this.gameState = 'LOADING'; // LOADING, MENU, PLAYING, PAUSED, GAMEOVER
-        this.nitroAmount = 100;
-        this.maxNitro = 100;
+        this.gameState = 'LOADING'; // LOADING, MENU, EDITOR, GARAGE, COUNTDOWN, PLAYING, PAUSED, GAMEOVER
+        this.mode = 'RACE'; // RACE (vs rivals) or TIME_TRIAL (solo, sector timing)
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.rubberBanding = true; // off = "pure" race
         this.score = 0;
         this.lap = 1;
-        this.maxLaps = 3;
-        this.checkpointReached = false;
+        this.maxLaps = this.settings.get('laps'); // taken from the settings at every race start
+        this.raceTime = 0; // simulated seconds since the race started
+        this.countdown = 0; // seconds of start countdown left (COUNTDOWN state)
+        this.pausedFrom = 'PLAYING'; // state the pause menu resumes into
         this.lapStartTime = 0;
         this.bestLapTime = Infinity;
         this.currentLapTime = 0;
+        this.lapRecords = []; // { lap, time, valid } for every lap attempt
+        this.sectorTimer = new SectorTimer({ sectorCount: 3 });
+        this.timeTrialLaps = []; // completed laps of the current time trial
+        this.driftCombo = new DriftCombo();
+        this.garage = new Garage(); // credits, unlocked cars and the selected one
+        this.nearMissTargets = new Set(); // pillars/rivals currently inside the near-miss zone
         this.lastCollisionTime = 0;
         this.frame = 0;
         this.debug = { fps: 0, lastTime: performance.now() };
@@ -53,13 +158,19 @@ class Game {
         // Camera dynamics
         this.cameraShake = 0;
         this.targetFOV = 75;
+        this.cameraModes = [
+            { name: 'chase', offset: new THREE.Vector3(0, 5, 11), lookAhead: 10, follow: 0.1 },
+            { name: 'far', offset: new THREE.Vector3(0, 9, 20), lookAhead: 14, follow: 0.08 },
+            { name: 'hood', offset: new THREE.Vector3(0, 1.4, 0.2), lookAhead: 30, follow: 0.6 }
+        ];
+        this.cameraModeIndex = 0;
 
-        // Positions from track
-        this.startLinePos = null;
-        this.halfwayPos = null;
+        // Lap gates (built with the track) and the player's lap tracker
+        this.checkpoints = null;
+        this.playerLap = null;
 
         // --- INITIALIZE ---
-        this.init();
+        this.init().catch(err => this.reportStartupFailure(err));
     }
 
     async init() {
@@ -68,89 +179,287 @@ class Game {
 
         // Renderer setup
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.settings.get('pixelRatio')));
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.setClearColor(0x010101);
         this.renderer.outputColorSpace = THREE.SRGBColorSpace;
         document.body.appendChild(this.renderer.domElement);
+        this.camera.far = CAMERA_FAR * this.settings.get('drawDistance');
+        this.camera.updateProjectionMatrix();
 
-        // World generation
-        this.track = new Track(this.scene);
-        this.scene.fog = new THREE.FogExp2(0x020202, 0.0012);
-
-        // Populate checkpoint positions
-        if (this.track) {
-            this.startLinePos = this.track.startLinePos ? this.track.startLinePos.clone() : new THREE.Vector3(0,0,0);
-            this.halfwayPos = this.track.halfwayPos ? this.track.halfwayPos.clone() : new THREE.Vector3(0,0,0);
+        // Loading: every file request goes through the tracker's LoadingManager and the
+        // first track is generated step by step alongside; the menu opens once all is done
+        this.loading = new LoadingTracker();
+        this.loading.on('progress', (fraction, item) => this.updateLoadingProgress(fraction * 100, item));
+        this.loading.on('error', (item, error) => this.reportLoadingFailure(item, error));
+        this.assets = new AssetLibrary({ manager: this.loading.manager });
+        this.audioManager = new AudioManager(this.camera, { settings: this.settings });
+        const [track] = await Promise.all([
+            loadTrackStepwise(this.scene, this.trackDefinition(this.trackId), Object.assign({ rng: new Random(this.seed).fork('track') }, this.trackDetail()), this.loading),
+            ...VEHICLES.filter(v => v.build.model).map(v => this.assets.loadModel(v.build.model)),
+            this.assets.loadEnvironment(this.renderer, ENVIRONMENT_MAP)
+        ]);
+
+        // Lighting, fog and sky colour come with the track theme (buildWorld);
+        // the HDR only adds image-based lighting/reflections on top
+        if (this.assets.environment) {
+            this.scene.environment = this.assets.environment;
+            this.scene.environmentIntensity = 0.35; // keep the night-time neon look
         }
 
-        // Lighting
-        const ambient = new THREE.AmbientLight(0xffffff, 0.15);
-        this.scene.add(ambient);
-
-        const moonLight = new THREE.DirectionalLight(0x00ffff, 0.45);
-        moonLight.position.set(200, 400, 100);
-        moonLight.castShadow = true;
-        moonLight.shadow.mapSize.width = 2048;
-        moonLight.shadow.mapSize.height = 2048;
-        this.scene.add(moonLight);
-
         // Entities
-        this.player = new Car(this.scene);
-        this.audioManager = new AudioManager(this.camera);
-
-        // Rivals with distinct colors and lane offsets
-        this.rivals = [
-            new EnemyCar(this.scene, this.track.curve, 0x00ffcc, -4.5),
-            new EnemyCar(this.scene, this.track.curve, 0xffff00, 4.5),
-            new EnemyCar(this.scene, this.track.curve, 0xff00ff, 0),
-            new EnemyCar(this.scene, this.track.curve, 0x0066ff, -8.0)
-        ];
+        this.createPlayer();
+        this.ghostPlayer = new GhostPlayer(this.scene);
+        this.editor = new TrackEditor(this.renderer);
+        this.editor.on('testDrive', (def) => this.testDrive(def));
+        this.editor.on('exit', () => {
+            this.editor.close();
+            this.gameState = 'MENU';
+            this.showMenu();
+        });
+        this.garageScreen = new GarageScreen(this.renderer, this.garage, this.assets);
+        this.garageScreen.on('select', () => this.createPlayer());
+        this.garageScreen.on('exit', () => {
+            this.garageScreen.close();
+            this.gameState = 'MENU';
+            this.showMenu();
+        });
 
-        // Wire events
-        if (this.player && this.player.on) {
-            this.player.on('collision', (obj, impulse) => {
-                this.cameraShake = Math.max(this.cameraShake, 0.8);
-                this.audioManager.playSound('collision', impulse);
-            });
-            this.player.on('drift', (factor) => {
-                if (this.audioManager && this.audioManager.setDrift) this.audioManager.setDrift(Math.abs(factor));
-                this.score += Math.floor(Math.abs(factor) * 10); // drift score
-            });
-        }
+        // World (track generated during loading + rivals) from the current track + seed
+        this.buildWorld(this.seed, track);
 
-        this.rivals.forEach(r => {
-            if (r && r.on) {
-                r.on('collision', (obj) => {
-                    this.cameraShake = Math.max(this.cameraShake, 0.6);
-                });
-            }
+        // Drift combo: banked points go to the score, the popup shows the outcome
+        this.driftCombo.on('banked', (value) => {
+            this.score += value;
+            this.flashCombo(`+${value}`, '#00ff66');
+        });
+        this.driftCombo.on('failed', (value) => {
+            this.flashCombo(value > 0 ? `COMBO LOST -${value}` : 'COMBO LOST', '#ff3355');
+            this.input.rumble(0.6, 0.6, 250);
         });
+        this.driftCombo.on('nearMiss', () => this.input.rumble(0.2, 0, 80));
 
         // Create UI
         this.createUI();
         this.createTouchControls();
 
-        // Input listeners
-        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
-        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        // Settings apply as they change (the world above was built with the saved ones)
+        this.settings.on('change', (key, value) => this.applySetting(key, value));
+
+        this.input.on('gamepadconnected', () => this.showMessage('CONTROLLER CONNECTED'));
+        this.input.on('gamepaddisconnected', () => this.showMessage('CONTROLLER DISCONNECTED'));
+
+        // Window listeners (keyboard/touch/gyro are handled by Input)
         window.addEventListener('resize', () => this.onResize());
         window.addEventListener('blur', () => {
-            if (this.gameState === 'PLAYING') this.togglePause();
+            if (this.gameState === 'PLAYING' || this.gameState === 'COUNTDOWN') this.togglePause();
         });
 
-        // Start loading complete, show menu
-        setTimeout(() => {
-            this.hideLoadingScreen();
-            this.gameState = 'MENU';
-            this.showMenu();
-        }, 1500);
+        // Every button (menus, garage, editor) ticks when clicked
+        document.addEventListener('click', (e) => {
+            if (e.target.closest && e.target.closest('button')) this.audioManager.playSound('click');
+        });
+
+        // Everything is ready: show the menu (failed assets stay listed a moment longer)
+        this.hideLoadingScreen(this.loading.failures.length ? 2000 : 0);
+        this.gameState = 'MENU';
+        this.showMenu();
 
         // Start game loop
         this.animate();
     }
 
+    // --- World ---
+    // (Re)generate track and rivals; the same track + seed always yields the same world
+    // (a track already generated from this seed's 'track' stream can be handed in)
+    buildWorld(seed, track = null) {
+        if (this.track) this.track.dispose();
+        if (this.rivals) this.rivals.forEach(r => r.dispose());
+
+        this.seed = seed;
+        this.rng = new Random(seed);
+        this.fxRng = this.rng.fork('fx');
+
+        this.track = track || loadTrack(this.scene, this.trackDefinition(this.trackId), Object.assign({ rng: this.rng.fork('track') }, this.trackDetail()));
+        this.trackId = this.track.id;
+        this.player.setTrack(this.track);
+        this.renderer.setClearColor(this.track.theme.background);
+
+        // Ordered lap gates from the track definition
+        this.checkpoints = new CheckpointSystem(this.track);
+        this.standings = new Standings(this.track, { laps: this.maxLaps });
+
+        // Rivals with distinct colors and lane offsets (default car config, starter car's body)
+        const model = this.assets.getModel(getVehicle(DEFAULT_VEHICLE_ID).build.model);
+        this.rivals = RIVAL_SETUP.map((r, i) => new EnemyCar(this.scene, this.track, r.color, r.lane, { rng: this.rng.fork(`rival-${i}`), model }));
+        this.rivals.forEach(r => {
+            r.on('collision', (obj) => {
+                if (obj === this.player.mesh) this.cameraShake = Math.max(this.cameraShake, 0.6);
+            });
+        });
+
+        // Positional audio: rival engines and the humming lights of this track
+        this.audioManager.setRivals(this.rivals);
+        this.audioManager.setLights(this.track.lights);
+    }
+
+    // Player car of the garage selection (rebuilt when another car is picked)
+    createPlayer() {
+        if (this.player) this.player.dispose();
+        this.player = createVehicle(this.scene, this.garage.vehicle, this.assets);
+        if (this.track) this.player.setTrack(this.track);
+        const name = document.getElementById('car-name');
+        if (name) name.innerText = this.garage.vehicle.name;
+
+        this.player.on('collision', (obj, impulse) => {
+            this.cameraShake = Math.max(this.cameraShake, 0.8);
+            this.input.rumble(Math.min(1, 0.4 + impulse * 0.4), 0.3, 220);
+            this.audioManager.playSound('impact', impulse);
+        });
+        this.player.on('damage', (amount) => {
+            this.input.rumble(0, Math.min(1, amount / 15), 120);
+        });
+        this.player.on('drift', (factor) => {
+            if (this.audioManager && this.audioManager.setDrift) this.audioManager.setDrift(Math.abs(factor));
+        });
+        this.player.on('landed', (airTime, impact) => {
+            if (airTime < 0.2) return; // ignore small hops over crests
+            this.cameraShake = Math.max(this.cameraShake, Math.min(0.8, impact * 0.03));
+            this.input.rumble(Math.min(1, impact * 0.04), 0.2, 150);
+        });
+        this.player.on('surfaceChanged', (surface) => {
+            const props = getSurface(surface);
+            if (props.rumble > 0) this.input.rumble(props.rumble, props.rumble, 200);
+            if (props.boost > 0) this.cameraShake = Math.max(this.cameraShake, 0.3);
+            if (this.audioManager && this.audioManager.setSurface) this.audioManager.setSurface(surface);
+        });
+    }
+
+    // Graphics settings a track is generated with (Track opts)
+    trackDetail() {
+        return {
+            buildingDensity: this.settings.get('buildingDensity'),
+            shadowMapSize: SHADOW_MAP_SIZES[this.settings.get('shadows')],
+            drawDistance: this.settings.get('drawDistance')
+        };
+    }
+
+    // Seed typed and track picked in the menu; regenerates the world when either changed
+    // (or when the building density setting no longer matches the city)
+    applyWorldFromMenu() {
+        const field = document.getElementById('seed-input');
+        const seed = normalizeSeed(field && field.value.trim() ? field.value.trim() : this.seed);
+        const density = this.settings.get('buildingDensity');
+        if (seed !== this.seed || this.trackId !== this.track.id || density !== this.track.buildingDensity) {
+            this.buildWorld(seed);
+            this.bestGhost = null;
+        }
+        if (field) field.value = this.seed;
+
+        // Keep the URL shareable
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.seed);
+        url.searchParams.set('track', this.trackId);
+        window.history.replaceState(null, '', url);
+    }
+
+    // Built-in circuit, or the editor's track while it is selected
+    trackDefinition(id) {
+        return this.customTrack && this.customTrack.id === id ? this.customTrack : getTrackDefinition(id);
+    }
+
+    // Track picked on the track-select screen (the world is rebuilt when the race starts)
+    selectTrack(id) {
+        this.trackId = this.trackDefinition(id).id;
+        document.getElementById('track-name').innerText = this.trackDefinition(this.trackId).name;
+        document.querySelectorAll('.track-card').forEach(card => {
+            card.style.borderColor = card.dataset.track === this.trackId ? '#0ff' : '#333';
+        });
+    }
+
+    // --- Ghosts ---
+    // Id that ghosts and sector bests are kept under: built-in circuits by their id, editor
+    // tracks by id + layout hash, so moving a point starts over instead of racing a ghost
+    // (and splits) of the old layout
+    recordId(def = this.track.definition) {
+        return TRACKS.includes(def) ? def.id : `${def.id}-${trackLayoutHash(def)}`;
+    }
+
+    // Pick the ghost to race against for the current track + seed
+    async loadGhost() {
+        const trackId = this.recordId();
+        const seed = this.seed;
+        const imported = this.importedGhost;
+        let ghost = (imported && imported.trackId === trackId && imported.seed === seed) ? imported : null;
+        const stored = await this.ghostStore.getBest(trackId, seed);
+        if (stored && (!ghost || stored.lapTime < ghost.lapTime)) ghost = stored;
+
+        // Ignore the result if the world changed while IndexedDB was busy
+        if (this.recordId() !== trackId || this.seed !== seed) return;
+        if (ghost && (!this.bestGhost || ghost.lapTime < this.bestGhost.lapTime)) {
+            this.bestGhost = ghost;
+            this.ghostPlayer.setGhost(ghost);
+        }
+    }
+
+    // Called on every completed lap: keep the faster ghost and start a new recording
+    onLapRecorded(lapTime) {
+        const ghost = this.ghostRecorder.finish(this.player, lapTime, { trackId: this.recordId(), seed: this.seed });
+        if (ghost && (!this.bestGhost || ghost.lapTime < this.bestGhost.lapTime)) {
+            this.bestGhost = ghost;
+            this.ghostStore.saveIfBest(ghost);
+        }
+        this.ghostPlayer.setGhost(this.bestGhost);
+        this.ghostRecorder.start();
+    }
+
+    setGhostStatus(text) {
+        const el = document.getElementById('ghost-status');
+        if (el) el.innerText = text;
+    }
+
+    async exportGhost(format) {
+        const seedField = document.getElementById('seed-input');
+        const seed = normalizeSeed(seedField && seedField.value.trim() ? seedField.value.trim() : this.seed);
+        const ghost = await this.ghostStore.getBest(this.recordId(this.trackDefinition(this.trackId)), seed);
+        if (!ghost) {
+            this.setGhostStatus(`No ghost saved for seed ${seed} yet.`);
+            return;
+        }
+        const name = `ghost-${ghost.trackId}-${ghost.seed}`;
+        const blob = format === 'json'
+            ? new Blob([JSON.stringify(ghost)], { type: 'application/json' })
+            : new Blob([ghost.toBinary()], { type: 'application/octet-stream' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = format === 'json' ? `${name}.json` : `${name}.tdghost`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        this.setGhostStatus(`Exported ${this.formatTime(ghost.lapTime)} lap (seed ${ghost.seed}).`);
+    }
+
+    async importGhost(file) {
+        let ghost;
+        try {
+            ghost = Ghost.decode(await file.arrayBuffer());
+        } catch (err) {
+            this.setGhostStatus(`Import failed: ${err.message}`);
+            return;
+        }
+        // Built-in circuits, or the editor's track in the layout the ghost was driven on
+        const custom = this.customTrack && this.recordId(this.customTrack) === ghost.trackId;
+        if (!custom && !TRACKS.some(t => t.id === ghost.trackId)) {
+            this.setGhostStatus(`That ghost was recorded on an unknown track "${ghost.trackId}".`);
+            return;
+        }
+        const trackId = custom ? this.customTrack.id : ghost.trackId;
+        if (trackId !== this.trackId) this.selectTrack(trackId);
+        this.importedGhost = ghost;
+        const isBest = await this.ghostStore.saveIfBest(ghost);
+        document.getElementById('seed-input').value = ghost.seed;
+        this.setGhostStatus(`Imported ${this.formatTime(ghost.lapTime)} lap for seed ${ghost.seed}${isBest ? ' (new best)' : ''}.`);
+    }
+
     // --- UI Creation ---
     createLoadingScreen() {
         const div = document.createElement('div');
@@ -166,22 +475,44 @@ class Game {
             <div style="width: 300px; height: 10px; background: #333; margin: 20px;">
                 <div id="loading-progress" style="width: 0%; height: 100%; background: #0ff;"></div>
             </div>
-            <p>Loading assets...</p>
+            <p id="loading-item">Loading assets...</p>
+            <div id="loading-errors" style="font-size: 0.9rem; color: #ff3355; text-align: center;"></div>
         `;
         document.body.appendChild(div);
         this.loadingProgress = document.getElementById('loading-progress');
-        this.updateLoadingProgress(30);
+        this.loadingItem = document.getElementById('loading-item');
+        this.updateLoadingProgress(0);
     }
 
-    updateLoadingProgress(percent) {
+    updateLoadingProgress(percent, item = null) {
         if (this.loadingProgress) this.loadingProgress.style.width = percent + '%';
+        if (this.loadingItem && item) this.loadingItem.innerText = `${Math.round(percent)}% - ${item.replace(/^.*\//, '')}`;
+    }
+
+    // Failed assets are optional (procedural fallbacks), but say which ones; a failed
+    // generation step comes with its error
+    reportLoadingFailure(item, error = null) {
+        const list = document.getElementById('loading-errors');
+        if (!list) return;
+        const row = document.createElement('div');
+        row.innerText = `FAILED: ${item.replace(/^.*\//, '')} ${error ? `- ${error.message}` : '(using fallback)'}`;
+        list.appendChild(row);
     }
 
-    hideLoadingScreen() {
+    // Startup threw (e.g. a track generation step): stay on the loading screen with the reason
+    reportStartupFailure(err) {
+        console.error('Game: startup failed', err);
+        if (this.loading && !this.loading.failures.some(f => f.error === err)) this.loading.fail('startup', err);
+        if (this.loadingItem) this.loadingItem.innerText = 'Could not start the game - reload to try again';
+    }
+
+    hideLoadingScreen(delayMs = 0) {
         const el = document.getElementById('loading-screen');
         if (el) {
-            el.style.opacity = '0';
-            setTimeout(() => el.remove(), 500);
+            setTimeout(() => {
+                el.style.opacity = '0';
+                setTimeout(() => el.remove(), 500);
+            }, delayMs);
         }
     }
 
@@ -196,12 +527,23 @@ class Game {
         `;
         hud.innerHTML = `
             <div style="position: absolute; top: 0; left: 0;">
-                <div>SPEED: <span id="speed-text">000</span> km/h</div>
+                <div>SPEED: <span id="speed-text">000</span> <span id="speed-unit">${SPEED_UNIT_LABELS[this.settings.get('units')]}</span></div>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    GEAR: <span id="gear-text" style="width: 1ch;">1</span>
+                    <div style="width: 120px; height: 8px; background: #222; border: 1px solid #0ff;">
+                        <div id="rpm-fill" style="width: 0%; height: 100%; background: #0ff;"></div>
+                    </div>
+                </div>
                 <div>LAP: <span id="lap-text">1/3</span></div>
                 <div>TIME: <span id="timer-text">0:00.0</span></div>
                 <div>BEST: <span id="best-lap-text">-:--.-</span></div>
                 <div>SCORE: <span id="score-text">0</span></div>
-                <div>RANK: <span id="rank-text">1/4</span></div>
+                <div id="rank-row">RANK: <span id="rank-text">1/4</span></div>
+                <div id="leaderboard" style="margin-top: 12px; font-size: 0.9rem;"></div>
+            </div>
+            <div id="sector-panel" style="position: absolute; top: 0; left: 50%; transform: translateX(-50%); text-align: center; display: none;">
+                <div id="sector-rows" style="font-size: 1.1rem;"></div>
+                <div id="delta-text" style="font-size: 2rem; margin-top: 6px; visibility: hidden;">+0.00</div>
             </div>
             <div style="position: absolute; top: 0; right: 0; text-align: right;">
                 <div>NITRO</div>
@@ -212,19 +554,36 @@ class Game {
             <div style="position: absolute; bottom: 50px; left: 50%; transform: translateX(-50%); text-align: center;">
                 <div id="message" style="font-size: 2rem; display: none;"></div>
             </div>
+            <div id="combo-popup" style="position: absolute; top: 22%; left: 50%; transform: translateX(-50%); text-align: center; text-shadow: 0 0 15px #f0f; display: none;">
+                <div id="combo-points" style="font-size: 2.5rem;">0</div>
+                <div id="combo-multiplier" style="font-size: 1.3rem; color: #f0f;"></div>
+            </div>
+            <div id="wrongway" style="position: absolute; top: 35%; left: 50%; transform: translateX(-50%); font-size: 3rem; color: #ff3355; text-shadow: 0 0 20px #f00; display: none;">WRONG WAY</div>
         `;
         document.body.appendChild(hud);
 
         // Cache elements
         this.uiElements = {
             speed: document.getElementById('speed-text'),
+            speedUnit: document.getElementById('speed-unit'),
+            gear: document.getElementById('gear-text'),
+            rpmFill: document.getElementById('rpm-fill'),
             lap: document.getElementById('lap-text'),
             timer: document.getElementById('timer-text'),
             bestLap: document.getElementById('best-lap-text'),
             score: document.getElementById('score-text'),
             rank: document.getElementById('rank-text'),
+            rankRow: document.getElementById('rank-row'),
+            leaderboard: document.getElementById('leaderboard'),
+            sectorPanel: document.getElementById('sector-panel'),
+            sectorRows: document.getElementById('sector-rows'),
+            delta: document.getElementById('delta-text'),
             nitroFill: document.getElementById('nitro-fill'),
-            message: document.getElementById('message')
+            message: document.getElementById('message'),
+            wrongWay: document.getElementById('wrongway'),
+            combo: document.getElementById('combo-popup'),
+            comboPoints: document.getElementById('combo-points'),
+            comboMultiplier: document.getElementById('combo-multiplier')
         };
 
         // Menu overlay
@@ -238,13 +597,105 @@ class Game {
         `;
         menu.innerHTML = `
             <h1 style="font-size: 4rem; margin-bottom: 50px;">TURBO DRIFT 3D</h1>
+            <div style="font-size: 1.2rem; margin-bottom: 20px;">
+                TRACK <span id="track-name" style="color: #fff; margin: 0 10px;"></span>
+                <button id="track-select-btn" style="font-size: 1rem; padding: 5px 10px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">CHANGE</button>
+            </div>
+            <div style="font-size: 1.2rem; margin-bottom: 20px;">
+                CAR <span id="car-name" style="color: #fff; margin: 0 10px;"></span>
+                <button id="garage-btn" style="font-size: 1rem; padding: 5px 10px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">GARAGE</button>
+            </div>
+            <div style="font-size: 1.2rem; margin-bottom: 20px;">
+                SEED <input id="seed-input" type="text" inputmode="numeric" style="width: 140px; font-family: inherit; font-size: 1.2rem; background: transparent; border: 1px solid #0ff; color: #0ff; padding: 4px 8px;">
+                <button id="seed-random-btn" style="font-size: 1rem; padding: 5px 10px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">RANDOM</button>
+            </div>
+            <div style="font-size: 1.2rem; margin-bottom: 20px;">
+                AI <select id="difficulty-select" style="font-family: inherit; font-size: 1.2rem; background: #000; border: 1px solid #0ff; color: #0ff; padding: 4px 8px;">
+                    ${DIFFICULTY_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('')}
+                </select>
+                <label style="margin-left: 15px; cursor: pointer;"><input id="rubberband-input" type="checkbox" checked> RUBBER-BANDING</label>
+            </div>
             <button id="start-btn" style="font-size: 2rem; padding: 15px 30px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">START RACE</button>
-            <button id="controls-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">CONTROLS</button>
+            <button id="timetrial-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">TIME TRIAL</button>
+            <button id="editor-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">TRACK EDITOR</button>
+            <div>
+                <button id="settings-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">SETTINGS</button>
+                <button id="mute-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">${this.audioManager.muted ? 'SOUND: OFF' : 'SOUND: ON'}</button>
+            </div>
+            <div style="margin-top: 30px;">
+                <button id="ghost-export-btn" style="font-size: 1rem; padding: 6px 12px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">EXPORT GHOST</button>
+                <button id="ghost-export-json-btn" style="font-size: 1rem; padding: 6px 12px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">EXPORT JSON</button>
+                <button id="ghost-import-btn" style="font-size: 1rem; padding: 6px 12px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer;">IMPORT GHOST</button>
+                <input id="ghost-file-input" type="file" accept=".tdghost,.json,application/json" style="display: none;">
+            </div>
+            <p id="ghost-status" style="font-size: 1rem; min-height: 1.2em; color: #fff;"></p>
         `;
         document.body.appendChild(menu);
 
-        document.getElementById('start-btn').addEventListener('click', () => this.startRace());
-        document.getElementById('controls-btn').addEventListener('click', () => this.showControls());
+        document.getElementById('start-btn').addEventListener('click', () => this.startRace('RACE'));
+        document.getElementById('timetrial-btn').addEventListener('click', () => this.startRace('TIME_TRIAL'));
+        document.getElementById('seed-input').value = this.seed;
+        const difficultySelect = document.getElementById('difficulty-select');
+        difficultySelect.value = this.difficulty;
+        difficultySelect.addEventListener('change', () => { this.difficulty = difficultySelect.value; });
+        const rubberBandInput = document.getElementById('rubberband-input');
+        rubberBandInput.checked = this.rubberBanding;
+        rubberBandInput.addEventListener('change', () => { this.rubberBanding = rubberBandInput.checked; });
+        document.getElementById('seed-random-btn').addEventListener('click', () => {
+            document.getElementById('seed-input').value = randomSeed();
+        });
+        document.getElementById('settings-btn').addEventListener('click', () => this.openSettings());
+        document.getElementById('mute-btn').addEventListener('click', () => this.toggleMute());
+        document.getElementById('editor-btn').addEventListener('click', () => this.openEditor());
+        document.getElementById('garage-btn').addEventListener('click', () => this.openGarage());
+        document.getElementById('car-name').innerText = this.garage.vehicle.name;
+        document.getElementById('track-select-btn').addEventListener('click', () => {
+            document.getElementById('track-select-overlay').style.display = 'flex';
+        });
+
+        const ghostFile = document.getElementById('ghost-file-input');
+        document.getElementById('ghost-export-btn').addEventListener('click', () => this.exportGhost('binary'));
+        document.getElementById('ghost-export-json-btn').addEventListener('click', () => this.exportGhost('json'));
+        document.getElementById('ghost-import-btn').addEventListener('click', () => ghostFile.click());
+        ghostFile.addEventListener('change', () => {
+            if (ghostFile.files[0]) this.importGhost(ghostFile.files[0]);
+            ghostFile.value = '';
+        });
+
+        // Track select overlay: one card per circuit with a top-down preview
+        const trackSelect = document.createElement('div');
+        trackSelect.id = 'track-select-overlay';
+        trackSelect.style.cssText = `
+            position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.95); display: none; flex-direction: column;
+            justify-content: center; align-items: center; font-family: 'Courier New', monospace;
+            color: #0ff; z-index: 250;
+        `;
+        trackSelect.innerHTML = `
+            <h1 style="font-size: 3rem; margin-bottom: 30px;">SELECT TRACK</h1>
+            <div id="track-cards" style="display: flex; flex-wrap: wrap; justify-content: center; gap: 20px; max-width: 1000px;">
+                ${TRACKS.map(t => `
+                    <div class="track-card" data-track="${t.id}" style="width: 280px; padding: 12px; border: 2px solid #333; cursor: pointer; background: rgba(255,255,255,0.03);">
+                        <canvas width="256" height="160" style="display: block; width: 256px; height: 160px; background: #000;"></canvas>
+                        <div style="font-size: 1.4rem; margin-top: 8px; color: #fff;">${t.name}</div>
+                        <div style="font-size: 0.9rem; color: #aaa;">${(buildTrackCurve(t).getLength() / 1000).toFixed(2)} KM - ${t.checkpoints.length} GATES</div>
+                        <div style="font-size: 0.85rem; margin-top: 6px; color: #ccc;">${t.description}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <button id="track-back-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer; margin-top: 30px;">BACK</button>
+        `;
+        document.body.appendChild(trackSelect);
+
+        trackSelect.querySelectorAll('.track-card').forEach(card => {
+            this.drawTrackPreview(card.querySelector('canvas'), getTrackDefinition(card.dataset.track));
+            card.addEventListener('click', () => {
+                this.selectTrack(card.dataset.track);
+                trackSelect.style.display = 'none';
+            });
+        });
+        document.getElementById('track-back-btn').addEventListener('click', () => { trackSelect.style.display = 'none'; });
+        this.selectTrack(this.trackId);
 
         // Pause overlay
         const pause = document.createElement('div');
@@ -258,13 +709,100 @@ class Game {
         pause.innerHTML = `
             <h1 style="font-size: 4rem;">PAUSED</h1>
             <button id="resume-btn" style="font-size: 2rem; padding: 15px 30px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">RESUME</button>
+            <button id="pause-settings-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">SETTINGS</button>
             <button id="quit-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">QUIT</button>
         `;
         document.body.appendChild(pause);
 
         document.getElementById('resume-btn').addEventListener('click', () => this.togglePause());
+        document.getElementById('pause-settings-btn').addEventListener('click', () => this.openSettings());
         document.getElementById('quit-btn').addEventListener('click', () => this.quitToMenu());
 
+        // Settings overlay (over the menu or the pause screen): every [data-setting]
+        // control edits the setting of that name, changes apply and save at once
+        const slider = (key, label, min, max, step, format, note = '') => `
+            <label style="display: flex; justify-content: space-between; align-items: center; gap: 12px; margin: 6px 0;">
+                <span>${label}${note ? ` <span style="font-size: 0.8rem; color: #888;">${note}</span>` : ''}</span>
+                <span>
+                    <input data-setting="${key}" type="range" min="${min}" max="${max}" step="${step}" style="width: 150px; vertical-align: middle;">
+                    <span data-setting-value="${key}" data-format="${format}" style="display: inline-block; width: 5ch; text-align: right; color: #fff;"></span>
+                </span>
+            </label>`;
+        const select = (attribute, label, options, note = '') => `
+            <label style="display: flex; justify-content: space-between; align-items: center; gap: 12px; margin: 6px 0;">
+                <span>${label}${note ? ` <span style="font-size: 0.8rem; color: #888;">${note}</span>` : ''}</span>
+                <select ${attribute} style="font-family: inherit; font-size: 1rem; background: #000; border: 1px solid #0ff; color: #0ff; padding: 2px 6px;">
+                    ${options.map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+                </select>
+            </label>`;
+        const heading = (text) => `<h2 style="font-size: 1.4rem; margin: 16px 0 6px; border-bottom: 1px solid #0ff;">${text}</h2>`;
+        const upper = (value) => [value, value.toUpperCase()];
+
+        const settingsOverlay = document.createElement('div');
+        settingsOverlay.id = 'settings-overlay';
+        settingsOverlay.style.cssText = `
+            position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.95); display: none; flex-direction: column;
+            justify-content: center; align-items: center; font-family: 'Courier New', monospace;
+            color: #0ff; z-index: 350;
+        `;
+        settingsOverlay.innerHTML = `
+            <h1 style="font-size: 3rem; margin-bottom: 10px;">SETTINGS</h1>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 0 50px; width: 90%; max-width: 1000px; max-height: 70vh; overflow-y: auto; font-size: 1.1rem;">
+                <div>
+                    ${heading('GRAPHICS')}
+                    ${select('id="quality-select"', 'QUALITY', [...Object.keys(QUALITY_PRESETS).map(upper), ['custom', 'CUSTOM']])}
+                    ${slider('pixelRatio', 'RESOLUTION', 0.5, 2, 0.25, 'ratio')}
+                    ${select('data-setting="shadows"', 'SHADOWS', SHADOW_QUALITIES.map(upper))}
+                    ${slider('drawDistance', 'DRAW DISTANCE', 0.4, 1, 0.1, 'percent')}
+                    ${slider('buildingDensity', 'BUILDINGS', 0.2, 1, 0.1, 'percent', 'NEXT RACE')}
+                    ${heading('CAMERA')}
+                    ${slider('fov', 'FIELD OF VIEW', 60, 100, 1, 'degrees')}
+                    ${slider('cameraShake', 'CAMERA SHAKE', 0, 1.5, 0.1, 'percent')}
+                    ${heading('RACE')}
+                    ${select('data-setting="laps"', 'LAPS', Array.from({ length: 10 }, (_, i) => [i + 1, i + 1]), 'NEXT RACE')}
+                    ${select('data-setting="units"', 'SPEED UNITS', Object.entries(SPEED_UNIT_LABELS).map(([value, text]) => [value, text.toUpperCase()]))}
+                    ${heading('AUDIO')}
+                    <label style="display: flex; justify-content: space-between; align-items: center; margin: 6px 0;">
+                        <span>MUTE</span><input data-setting="muted" type="checkbox">
+                    </label>
+                    ${slider('masterVolume', 'MASTER', 0, 1, 0.05, 'percent')}
+                    ${slider('musicVolume', 'MUSIC', 0, 1, 0.05, 'percent')}
+                    ${slider('sfxVolume', 'EFFECTS', 0, 1, 0.05, 'percent')}
+                </div>
+                <div>
+                    ${heading('CONTROLS')}
+                    <div id="binding-rows"></div>
+                    <button id="bindings-reset-btn" style="font-size: 1rem; padding: 5px 10px; background: transparent; border: 1px solid #0ff; color: #0ff; cursor: pointer; margin-top: 8px;">RESET KEYS</button>
+                    <p style="font-size: 0.9rem; color: #ccc;">
+                        TOUCH: LEFT/RIGHT HALVES TO STEER, BOTTOM RIGHT FOR NITRO (AUTO-THROTTLE)<br>
+                        TILT: STEER WITH THE GYROSCOPE
+                    </p>
+                </div>
+            </div>
+            <button id="settings-back-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer; margin-top: 20px;">BACK</button>
+        `;
+        document.body.appendChild(settingsOverlay);
+
+        settingsOverlay.querySelectorAll('[data-setting]').forEach(control => {
+            const key = control.dataset.setting;
+            const read = () => {
+                if (control.type === 'checkbox') return control.checked;
+                return typeof this.settings.get(key) === 'number' ? Number(control.value) : control.value;
+            };
+            control.addEventListener(control.type === 'range' ? 'input' : 'change', () => {
+                if (!this.settings.set(key, read())) this.refreshSettingsForm();
+            });
+        });
+        document.getElementById('quality-select').addEventListener('change', (e) => {
+            if (!this.settings.applyPreset(e.target.value)) this.refreshSettingsForm();
+        });
+        document.getElementById('bindings-reset-btn').addEventListener('click', () => {
+            this.input.resetBindings();
+            this.renderBindingRows();
+        });
+        document.getElementById('settings-back-btn').addEventListener('click', () => this.closeSettings());
+
         // Game over overlay
         const gameover = document.createElement('div');
         gameover.id = 'gameover-overlay';
@@ -278,6 +816,10 @@ class Game {
             <h1 style="font-size: 4rem;">RACE FINISHED</h1>
             <p style="font-size: 2rem;">RANK: <span id="final-rank">1</span></p>
             <p style="font-size: 2rem;">SCORE: <span id="final-score">0</span></p>
+            <p style="font-size: 1.2rem; color: #fff;">CREDITS: <span id="final-credits">0</span></p>
+            <div id="final-laps" style="font-size: 1.2rem; color: #fff; margin-bottom: 10px;"></div>
+            <table id="final-classification" style="font-size: 1.2rem; color: #fff; border-collapse: collapse; margin-bottom: 20px;"></table>
+            <table id="final-drift" style="font-size: 1rem; color: #fff; border-collapse: collapse; margin-bottom: 20px;"></table>
             <button id="restart-btn" style="font-size: 2rem; padding: 15px 30px; background: transparent; border: 2px solid #f0f; color: #f0f; cursor: pointer; margin: 10px;">RESTART</button>
             <button id="menu-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">MENU</button>
         `;
@@ -286,6 +828,30 @@ class Game {
         document.getElementById('restart-btn').addEventListener('click', () => this.restartRace());
         document.getElementById('menu-btn').addEventListener('click', () => this.quitToMenu());
 
+        // Time trial results overlay
+        const results = document.createElement('div');
+        results.id = 'timetrial-overlay';
+        results.style.cssText = `
+            position: absolute; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.9); display: none; flex-direction: column;
+            justify-content: center; align-items: center; font-family: 'Courier New', monospace;
+            color: #0ff; z-index: 400; backdrop-filter: blur(5px);
+        `;
+        results.innerHTML = `
+            <h1 style="font-size: 4rem;">TIME TRIAL</h1>
+            <table id="timetrial-table" style="font-size: 1.3rem; border-collapse: collapse; color: #fff;"></table>
+            <p style="font-size: 1.5rem;">PERSONAL BEST: <span id="timetrial-best">-:--.-</span></p>
+            <p style="font-size: 1.2rem;">BEST SECTORS: <span id="timetrial-sectors">-</span></p>
+            <p style="font-size: 1.2rem; color: #fff;">SCORE: <span id="timetrial-score">0</span> - CREDITS: <span id="timetrial-credits">0</span></p>
+            <table id="timetrial-drift" style="font-size: 1rem; color: #fff; border-collapse: collapse; margin-bottom: 20px;"></table>
+            <button id="timetrial-retry-btn" style="font-size: 2rem; padding: 15px 30px; background: transparent; border: 2px solid #0ff; color: #0ff; cursor: pointer; margin: 10px;">RETRY</button>
+            <button id="timetrial-menu-btn" style="font-size: 1.5rem; padding: 10px 20px; background: transparent; border: 2px solid #fff; color: #fff; cursor: pointer;">MENU</button>
+        `;
+        document.body.appendChild(results);
+
+        document.getElementById('timetrial-retry-btn').addEventListener('click', () => this.restartRace());
+        document.getElementById('timetrial-menu-btn').addEventListener('click', () => this.quitToMenu());
+
         // Debug overlay
         const debug = document.createElement('div');
         debug.id = 'debug-overlay';
@@ -315,24 +881,54 @@ class Game {
         const right = document.getElementById('touch-right');
         const nitro = document.getElementById('touch-nitro');
 
-        left.addEventListener('touchstart', (e) => { e.preventDefault(); this.input.touch.left = true; });
-        left.addEventListener('touchend', (e) => { e.preventDefault(); this.input.touch.left = false; });
-        right.addEventListener('touchstart', (e) => { e.preventDefault(); this.input.touch.right = true; });
-        right.addEventListener('touchend', (e) => { e.preventDefault(); this.input.touch.right = false; });
-        nitro.addEventListener('touchstart', (e) => { e.preventDefault(); this.input.touch.nitro = true; });
-        nitro.addEventListener('touchend', (e) => { e.preventDefault(); this.input.touch.nitro = false; });
-
-        // Gyroscope
-        if (window.DeviceOrientationEvent) {
-            window.addEventListener('deviceorientation', (e) => {
-                const tilt = e.gamma; // -90..90
-                if (tilt !== null) {
-                    // Map tilt to lane 0..2 (center = 1)
-                    this.input.gyroLane = 1 + (tilt / 45);
-                    this.input.gyroLane = Math.max(0, Math.min(2, this.input.gyroLane));
-                }
-            });
-        }
+        const bindTouch = (el, name) => {
+            el.addEventListener('touchstart', (e) => { e.preventDefault(); this.input.touch.press(name, true); });
+            el.addEventListener('touchend', (e) => { e.preventDefault(); this.input.touch.press(name, false); });
+            el.addEventListener('touchcancel', () => this.input.touch.press(name, false));
+        };
+        bindTouch(left, 'left');
+        bindTouch(right, 'right');
+        bindTouch(nitro, 'nitro');
+    }
+
+    // Top-down outline of a circuit (x right, z down), start line marked in white
+    drawTrackPreview(canvas, def) {
+        const ctx = canvas.getContext('2d');
+        const points = buildTrackCurve(def).getSpacedPoints(200);
+        let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+            minZ = Math.min(minZ, p.z); maxZ = Math.max(maxZ, p.z);
+        });
+        const pad = 16;
+        const scale = Math.min((canvas.width - pad * 2) / (maxX - minX || 1), (canvas.height - pad * 2) / (maxZ - minZ || 1));
+        const ox = (canvas.width - (maxX - minX) * scale) / 2;
+        const oy = (canvas.height - (maxZ - minZ) * scale) / 2;
+        const toCanvas = (p) => [ox + (p.x - minX) * scale, oy + (p.z - minZ) * scale];
+        const hex = (c) => `#${c.toString(16).padStart(6, '0')}`;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = hex(def.theme.primary);
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        points.forEach((p, i) => (i ? ctx.lineTo(...toCanvas(p)) : ctx.moveTo(...toCanvas(p))));
+        ctx.closePath();
+        ctx.stroke();
+
+        const [sx, sy] = toCanvas(points[0]);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(sx - 4, sy - 4, 8, 8);
+    }
+
+    // Short centred HUD message
+    showMessage(text, durationMs = 2000) {
+        const el = this.uiElements.message;
+        if (!el) return;
+        el.innerText = text;
+        el.style.display = 'block';
+        clearTimeout(this._messageTimer);
+        this._messageTimer = setTimeout(() => { el.style.display = 'none'; }, durationMs);
     }
 
     // --- Game Flow ---
@@ -341,9 +937,40 @@ class Game {
         document.getElementById('hud').style.display = 'none';
         document.getElementById('pause-overlay').style.display = 'none';
         document.getElementById('gameover-overlay').style.display = 'none';
+        document.getElementById('timetrial-overlay').style.display = 'none';
     }
 
-    startRace() {
+    // Edit the selected track (built-in circuits are edited as a renamed copy)
+    openEditor() {
+        let def = this.trackDefinition(this.trackId);
+        if (def !== this.customTrack) def = Object.assign({}, def, { id: `${def.id}-edit`, name: `${def.name} EDIT` });
+        this.gameState = 'EDITOR';
+        document.getElementById('menu-overlay').style.display = 'none';
+        this.editor.open(def);
+    }
+
+    // Pick / buy the car to race (previewed in the garage's own scene)
+    openGarage() {
+        this.gameState = 'GARAGE';
+        document.getElementById('menu-overlay').style.display = 'none';
+        this.garageScreen.open();
+    }
+
+    // Drop the player onto the editor's track (solo, sector timing on)
+    testDrive(def) {
+        this.editor.close();
+        this.customTrack = def;
+        this.trackId = def.id;
+        this.selectTrack(def.id);
+        this.buildWorld(this.seed);
+        this.bestGhost = null;
+        this.testDriving = true;
+        this.startRace('TIME_TRIAL');
+    }
+
+    startRace(mode = this.mode) {
+        this.mode = mode;
+        this.applyWorldFromMenu();
         this.gameState = 'PLAYING';
         document.getElementById('menu-overlay').style.display = 'none';
         document.getElementById('hud').style.display = 'block';
@@ -351,106 +978,441 @@ class Game {
     }
 
     resetRace() {
+        this.maxLaps = this.settings.get('laps');
+        this.standings.laps = this.maxLaps;
         this.lap = 1;
-        this.checkpointReached = false;
         this.score = 0;
-        this.nitroAmount = 100;
-        this.lapStartTime = performance.now();
+        this.raceTime = 0;
+        this.timestep.reset();
+        this.lapStartTime = 0;
         this.currentLapTime = 0;
-        this.uiElements.lap.innerText = '1/3';
+        this.uiElements.lap.innerText = `1/${this.maxLaps}`;
         this.uiElements.score.innerText = '0';
         this.uiElements.nitroFill.style.width = '100%';
+        this.driftCombo.reset();
+        this.nearMissTargets.clear();
+        clearTimeout(this._comboTimer);
+        this._comboFlash = false;
+        this.uiElements.combo.style.display = 'none';
+
+        // Mode-specific HUD
+        const timeTrial = this.mode === 'TIME_TRIAL';
+        this.uiElements.rankRow.style.display = timeTrial ? 'none' : 'block';
+        this.uiElements.leaderboard.style.display = timeTrial ? 'none' : 'block';
+        this.uiElements.leaderboard.innerHTML = '';
+        this._leaderboardTimer = 0;
+        this.uiElements.sectorPanel.style.display = timeTrial ? 'block' : 'none';
+        this.uiElements.delta.style.visibility = 'hidden';
+        this.rivals.forEach(r => { r.mesh.visible = !timeTrial; });
+        if (timeTrial) {
+            this.sectorTimer.load(`${this.recordId()}:${this.seed}`);
+            this.sectorTimer.startLap();
+            this.timeTrialLaps = [];
+            this.renderSectorRows();
+        }
 
-        // Reset player position
-        this.player.mesh.position.set(0, 0, 0);
-        this.player.speed = 0;
-        this.player.rotation = 0;
+        // Reset player on the grid just past the line (full state reset so identical inputs replay identically)
+        const spawn = this.track.getPlayerSpawn();
+        this.player.reset(spawn.position.x, spawn.position.y, spawn.position.z, spawn.yaw);
+
+        // Fresh lap tracker for the player
+        this.lapRecords = [];
+        this.uiElements.wrongWay.style.display = 'none';
+        this.playerLap = this.checkpoints.createTracker();
+        this.playerLap.reset(this.player.mesh.position);
+        this.playerLap.on('lap', (e) => this.onLapCompleted(e));
+        this.playerLap.on('gate', () => this.audioManager.playSound('checkpoint'));
+        this.playerLap.on('wrongWay', (flag) => {
+            this.uiElements.wrongWay.style.display = flag ? 'block' : 'none';
+        });
 
-        // Reset rivals
+        // Ghost: record this attempt and race the best known lap
+        this.ghostRecorder.start();
+        this.ghostPlayer.setGhost(this.bestGhost);
+        this.loadGhost();
+
+        // Reset rivals on the track's grid ahead of the player
+        // (re-seeded so every race with this seed and difficulty makes the same decisions)
+        const aiConfig = difficultyConfig(this.difficulty, { rubberBanding: this.rubberBanding });
         this.rivals.forEach((r, i) => {
-            r.group.position.copy(this.track.curve.getPointAt(i * 0.2));
-            r.progress = i * 0.2;
-            r.speed = 0.3;
+            const slot = this.track.getGridSlot(i);
+            r.place(slot.position.x, slot.position.y, slot.position.z, slot.yaw);
+            r.driver.configure(aiConfig);
+            r.reseed(this.rng.fork(`rival-${i}`));
         });
+
+        // Standings: everyone starts on lap 1 at their grid position
+        this.player.progress = this.track.getTrackProgress(this.player.mesh.position);
+        this.standings.clear();
+        this.standings.add('player', { name: 'YOU', color: this.player.paintMat.color.getHex(), isPlayer: true, autoFinish: false, getProgress: () => this.player.progress });
+        this.activeRivals().forEach((r, i) => {
+            const setup = RIVAL_SETUP[i];
+            this.standings.add(`rival-${i}`, { name: setup.name, color: setup.color, getProgress: () => r.progress });
+        });
+
+        this.startCountdown();
+    }
+
+    // Start lights: 3-2-1-GO with beeps; the world is drawn but the race clock and the
+    // simulation only start on GO
+    startCountdown() {
+        this.gameState = 'COUNTDOWN';
+        this.countdown = 3;
+        this.showMessage('3', 1000);
+        this.audioManager.playSound('countdown');
     }
 
+    updateCountdown(dt) {
+        const shown = Math.ceil(this.countdown);
+        this.countdown -= dt;
+        const next = Math.ceil(this.countdown);
+        if (next === shown) return;
+        if (next > 0) {
+            this.showMessage(String(next), 1000);
+            this.audioManager.playSound('countdown');
+        } else {
+            this.showMessage('GO!', 800);
+            this.audioManager.playSound('go');
+            this.gameState = 'PLAYING';
+        }
+    }
+
+    // Pausing is possible during the start countdown too; the lights carry on where they stopped
     togglePause() {
-        if (this.gameState === 'PLAYING') {
+        if (this.gameState === 'PLAYING' || this.gameState === 'COUNTDOWN') {
+            this.pausedFrom = this.gameState;
             this.gameState = 'PAUSED';
             document.getElementById('pause-overlay').style.display = 'flex';
         } else if (this.gameState === 'PAUSED') {
-            this.gameState = 'PLAYING';
+            this.gameState = this.pausedFrom;
             document.getElementById('pause-overlay').style.display = 'none';
+            if (this.gameState === 'COUNTDOWN') this.showMessage(String(Math.ceil(this.countdown)), 1000);
         }
     }
 
     quitToMenu() {
+        if (this.testDriving) {
+            this.testDriving = false;
+            this.ghostRecorder.stop();
+            this.ghostPlayer.hide();
+            ['pause-overlay', 'gameover-overlay', 'timetrial-overlay', 'hud'].forEach(id => { document.getElementById(id).style.display = 'none'; });
+            this.gameState = 'EDITOR';
+            this.editor.open(this.customTrack);
+            return;
+        }
         this.gameState = 'MENU';
+        this.ghostRecorder.stop();
+        this.ghostPlayer.hide();
         document.getElementById('pause-overlay').style.display = 'none';
         document.getElementById('gameover-overlay').style.display = 'none';
+        document.getElementById('timetrial-overlay').style.display = 'none';
         document.getElementById('hud').style.display = 'none';
         document.getElementById('menu-overlay').style.display = 'flex';
     }
 
+    // Sound on/off (saved in the settings)
+    toggleMute() {
+        const muted = this.audioManager.toggleMute();
+        this.showMessage(muted ? 'SOUND OFF' : 'SOUND ON', 1000);
+    }
+
     restartRace() {
         this.gameState = 'PLAYING';
         document.getElementById('gameover-overlay').style.display = 'none';
+        document.getElementById('timetrial-overlay').style.display = 'none';
         document.getElementById('hud').style.display = 'block';
         this.resetRace();
     }
 
-    showControls() {
-        alert('Controls:\n\n- Arrow Keys / A/D: Steer\n- W/S: Accelerate/Brake\n- Shift: Nitro\n- P: Pause\n- Touch: Left/Right halves to steer, bottom right for nitro');
+    // --- Settings ---
+    openSettings() {
+        this.refreshSettingsForm();
+        this.renderBindingRows();
+        document.getElementById('settings-overlay').style.display = 'flex';
+    }
+
+    closeSettings() {
+        this.input.cancelCapture();
+        document.getElementById('settings-overlay').style.display = 'none';
+    }
+
+    get settingsOpen() {
+        return document.getElementById('settings-overlay').style.display !== 'none';
+    }
+
+    // Put the current values into the settings form (also after a preset moved several)
+    refreshSettingsForm() {
+        const overlay = document.getElementById('settings-overlay');
+        overlay.querySelectorAll('[data-setting]').forEach(control => {
+            const value = this.settings.get(control.dataset.setting);
+            if (control.type === 'checkbox') control.checked = value;
+            else control.value = String(value);
+        });
+        overlay.querySelectorAll('[data-setting-value]').forEach(label => {
+            label.innerText = this.formatSetting(this.settings.get(label.dataset.settingValue), label.dataset.format);
+        });
+        document.getElementById('quality-select').value = this.settings.quality;
+    }
+
+    formatSetting(value, format) {
+        if (format === 'percent') return `${Math.round(value * 100)}%`;
+        if (format === 'degrees') return `${value}°`;
+        if (format === 'ratio') return `${value}x`;
+        return String(value);
+    }
+
+    // One row per rebindable action: a button per key slot, click then press the new key
+    // (Escape cancels). `capturing` is the { action, slot } waiting for its key
+    renderBindingRows(capturing = null) {
+        const rows = document.getElementById('binding-rows');
+        const isCapturing = (action, slot) => capturing && capturing.action === action && capturing.slot === slot;
+        rows.innerHTML = BINDABLE_ACTIONS.map(action => `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin: 4px 0;">
+                <span>${ACTION_LABELS[action]}</span>
+                <span>
+                    ${[0, 1].map(slot => `<button data-action="${action}" data-slot="${slot}" style="width: 130px; font-family: inherit; font-size: 0.95rem; padding: 3px 6px; background: transparent; border: 1px solid ${isCapturing(action, slot) ? '#ff0066' : '#0ff'}; color: #fff; cursor: pointer;">${isCapturing(action, slot) ? 'PRESS A KEY' : formatKeyCode(this.input.bindings[action][slot]) || '-'}</button>`).join(' ')}
+                </span>
+            </div>
+        `).join('');
+        rows.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                const target = { action: button.dataset.action, slot: Number(button.dataset.slot) };
+                const capture = this.input.captureBinding(target.action, target.slot);
+                this._bindingCapture = capture;
+                this.renderBindingRows(target);
+                // A capture replaced by a click on another slot resolves too: only the latest redraws
+                capture.then(() => {
+                    if (this._bindingCapture === capture) this.renderBindingRows();
+                });
+            });
+        });
+    }
+
+    // A setting changed (settings screen, mute key...): apply what can be applied live.
+    // Building density and laps are picked up by the next world build / race start
+    applySetting(key, value) {
+        switch (key) {
+            case 'pixelRatio':
+                this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, value));
+                break;
+            case 'shadows':
+                this.track.setShadowMapSize(SHADOW_MAP_SIZES[value]);
+                break;
+            case 'drawDistance':
+                this.track.setDrawDistance(value);
+                this.camera.far = CAMERA_FAR * value;
+                this.camera.updateProjectionMatrix();
+                break;
+            case 'fov':
+                // Visible at once, even paused (updateCamera takes over while driving)
+                this.camera.fov = this.cameraFov();
+                this.camera.updateProjectionMatrix();
+                break;
+            case 'units':
+                this.uiElements.speedUnit.innerText = SPEED_UNIT_LABELS[value];
+                break;
+            case 'muted':
+                document.getElementById('mute-btn').innerText = value ? 'SOUND: OFF' : 'SOUND: ON';
+                break;
+        }
+        if (this.settingsOpen) this.refreshSettingsForm();
     }
 
     finishRace() {
         this.gameState = 'GAMEOVER';
+        this.ghostRecorder.stop();
+        this.ghostPlayer.hide();
         this.player.speed = 0;
+        this.driftCombo.bank(); // a combo still running at the line counts
+        this.garage.earn(this.score); // the race score pays out as garage credits
+        if (this.mode === 'TIME_TRIAL') {
+            this.showTimeTrialResults();
+            return;
+        }
         const rank = this.computeRank();
         document.getElementById('final-rank').innerText = rank;
         document.getElementById('final-score').innerText = this.score;
+        document.getElementById('final-credits').innerText = `${this.garage.credits} (+${this.score})`;
+        document.getElementById('final-laps').innerHTML = this.formatLapRecords();
+        this.renderClassification();
+        this.renderDriftBreakdown('final-drift');
         document.getElementById('gameover-overlay').style.display = 'flex';
         document.getElementById('hud').style.display = 'none';
     }
 
-    computeRank() {
-        const playerProgress = this.player.progress || 0;
-        let worse = 1;
-        this.rivals.forEach(r => {
-            if (r.progress > playerProgress) worse++;
+    // --- Time Trial ---
+    // Rivals only take part in normal races
+    activeRivals() {
+        return this.mode === 'TIME_TRIAL' ? [] : this.rivals;
+    }
+
+    formatDelta(seconds) {
+        return `${seconds < 0 ? '-' : '+'}${Math.abs(seconds).toFixed(2)}`;
+    }
+
+    deltaColor(split) {
+        if (split.isBestSector) return '#cc66ff'; // personal best sector
+        if (split.delta === null) return '#ffffff';
+        return split.delta <= 0 ? '#00ff66' : '#ff3355';
+    }
+
+    // One row per sector: finished sectors show time + delta, the current one runs live
+    renderSectorRows() {
+        let html = '';
+        for (let i = 0; i < this.sectorTimer.sectorCount; i++) {
+            html += `<div>S${i + 1} <span id="sector-time-${i}">-:--.-</span> <span id="sector-delta-${i}"></span></div>`;
+        }
+        this.uiElements.sectorRows.innerHTML = html;
+    }
+
+    onSectorSplit(split) {
+        const color = this.deltaColor(split);
+        document.getElementById(`sector-time-${split.sector}`).innerText = this.formatTime(split.sectorTime);
+        const deltaEl = document.getElementById(`sector-delta-${split.sector}`);
+        deltaEl.innerText = split.delta === null ? '' : this.formatDelta(split.delta);
+        deltaEl.style.color = color;
+
+        if (split.delta !== null) {
+            const big = this.uiElements.delta;
+            big.innerText = this.formatDelta(split.delta);
+            big.style.color = color;
+            big.style.visibility = 'visible';
+            clearTimeout(this._deltaTimer);
+            this._deltaTimer = setTimeout(() => { big.style.visibility = 'hidden'; }, 3000);
+        }
+    }
+
+    onTimeTrialLap(lapTime) {
+        const lap = this.sectorTimer.completeLap(lapTime);
+        this.timeTrialLaps.push(lap);
+        this.onSectorSplit(lap.split);
+        if (lap.isBestLap) this.showMessage('PERSONAL BEST!');
+        // Clear the rows for the next lap after the final split has been seen
+        setTimeout(() => { if (this.mode === 'TIME_TRIAL' && this.gameState === 'PLAYING') this.renderSectorRows(); }, 2500);
+    }
+
+    showTimeTrialResults() {
+        const fmt = (t) => (Number.isFinite(t) ? this.formatTime(t) : '-:--.-');
+        const count = this.sectorTimer.sectorCount;
+        const fastest = Math.min(...this.timeTrialLaps.filter(l => l.valid !== false).map(l => l.lapTime));
+
+        let html = '<tr><th style="padding: 4px 12px;">LAP</th>';
+        for (let i = 0; i < count; i++) html += `<th style="padding: 4px 12px;">S${i + 1}</th>`;
+        html += '<th style="padding: 4px 12px;">TIME</th></tr>';
+        this.timeTrialLaps.forEach((lap, n) => {
+            const invalid = lap.valid === false;
+            const style = invalid ? 'color: #ff3355;' : (lap.lapTime === fastest ? 'color: #0f0;' : '');
+            html += `<tr style="${style}"><td style="padding: 4px 12px;">${n + 1}</td>`;
+            if (invalid) html += `<td colspan="${count}" style="padding: 4px 12px;">INVALID</td>`;
+            else lap.sectors.forEach(t => { html += `<td style="padding: 4px 12px;">${fmt(t)}</td>`; });
+            html += `<td style="padding: 4px 12px;">${fmt(lap.lapTime)}</td></tr>`;
         });
-        return worse;
+        document.getElementById('timetrial-table').innerHTML = html;
+
+        const bests = this.sectorTimer.bestSectors;
+        const ideal = bests.every(Number.isFinite) ? ` (ideal ${fmt(bests.reduce((a, b) => a + b, 0))})` : '';
+        document.getElementById('timetrial-best').innerText = fmt(this.sectorTimer.bestLapTime);
+        document.getElementById('timetrial-sectors').innerText = bests.map(fmt).join(' / ') + ideal;
+        this.renderDriftBreakdown('timetrial-drift');
+        document.getElementById('timetrial-score').innerText = this.score;
+        document.getElementById('timetrial-credits').innerText = this.garage.credits;
+
+        document.getElementById('timetrial-overlay').style.display = 'flex';
+        document.getElementById('hud').style.display = 'none';
     }
 
-    // --- Input Handling ---
-    handleKeyDown(e) {
-        const key = e.key.toLowerCase();
-        this.input.keys[key] = true;
-        if (key === 'p') this.togglePause();
-        if (key === 'escape' && this.gameState === 'PLAYING') this.togglePause();
-        e.preventDefault();
+    computeRank() {
+        return this.standings.positionOf('player');
+    }
+
+    // Gap column: leader shows its lap, lapped cars show laps down, others seconds
+    formatGap(entry, gap) {
+        if (entry.position === 1) return entry.finished ? this.formatTime(entry.finishTime) : `LAP ${this.standings.lapOf(entry)}`;
+        if (entry.lapsDown > 0) return `+${entry.lapsDown} LAP${entry.lapsDown > 1 ? 'S' : ''}`;
+        return gap === null ? '--' : `+${gap.toFixed(2)}`;
+    }
+
+    renderLeaderboard() {
+        this.uiElements.leaderboard.innerHTML = this.standings.order.map(e => {
+            const color = `#${e.color.toString(16).padStart(6, '0')}`;
+            const weight = e.isPlayer ? 'font-weight: bold; color: #fff;' : 'color: #aaa;';
+            return `<div style="${weight}"><span style="color: ${color};">&#9632;</span> ${e.position}. ${e.name} ${this.formatGap(e, e.gapToAhead)}</div>`;
+        }).join('');
     }
 
-    handleKeyUp(e) {
-        const key = e.key.toLowerCase();
-        this.input.keys[key] = false;
+    // Final classification: winner's time, everyone else's gap to the winner
+    renderClassification() {
+        const cell = 'padding: 4px 12px;';
+        let html = `<tr style="color: #0ff;"><th style="${cell}">POS</th><th style="${cell}">DRIVER</th><th style="${cell}">TIME</th></tr>`;
+        this.standings.order.forEach(e => {
+            const time = e.position === 1 ? this.formatTime(e.finishTime) : this.formatGap(e, e.gapToLeader);
+            const style = e.isPlayer ? 'color: #f0f; font-weight: bold;' : '';
+            html += `<tr style="${style}"><td style="${cell}">${e.position}</td><td style="${cell}">${e.name}</td><td style="${cell}">${time}</td></tr>`;
+        });
+        document.getElementById('final-classification').innerHTML = html;
     }
 
-    getSteeringInput() {
-        if (this.input.gyroLane !== undefined && window.DeviceOrientationEvent) {
-            // Gyro returns continuous lane value
-            return this.input.gyroLane;
+    // --- Drift Combo ---
+    // Running combo while it is alive; a banked/lost result stays up briefly instead
+    updateComboPopup() {
+        if (this._comboFlash) return;
+        const combo = this.driftCombo;
+        const popup = this.uiElements.combo;
+        if (!combo.active) {
+            popup.style.display = 'none';
+            return;
         }
-        // Keyboard or touch
-        let steer = 0;
-        if (this.input.keys.arrowleft || this.input.keys.a || this.input.touch.left) steer -= 1;
-        if (this.input.keys.arrowright || this.input.keys.d || this.input.touch.right) steer += 1;
-        // Convert to lane 0..2 (center = 1)
-        return 1 + steer;
+        popup.style.display = 'block';
+        popup.style.opacity = combo.drifting ? 1 : 0.4 + 0.6 * (combo.grace / combo.graceTime);
+        this.uiElements.comboPoints.innerText = combo.value;
+        this.uiElements.comboPoints.style.color = '#fff';
+        this.uiElements.comboMultiplier.innerText = `DRIFT x${combo.multiplier.toFixed(2)}`;
+    }
+
+    flashCombo(text, color) {
+        const popup = this.uiElements.combo;
+        this._comboFlash = true;
+        popup.style.display = 'block';
+        popup.style.opacity = 1;
+        this.uiElements.comboPoints.innerText = text;
+        this.uiElements.comboPoints.style.color = color;
+        this.uiElements.comboMultiplier.innerText = '';
+        clearTimeout(this._comboTimer);
+        this._comboTimer = setTimeout(() => {
+            this._comboFlash = false;
+            popup.style.display = 'none';
+        }, 1200);
     }
 
-    getNitroInput() {
-        return this.input.keys.shift || this.input.touch.nitro;
+    // Per-race drift stats for the result screens
+    renderDriftBreakdown(id) {
+        const s = this.driftCombo.stats;
+        const cell = 'padding: 2px 12px;';
+        const rows = [
+            ['DRIFT POINTS', s.banked],
+            ['COMBOS BANKED', s.combos],
+            ['BEST COMBO', s.bestCombo],
+            ['BEST MULTIPLIER', `x${s.bestMultiplier.toFixed(2)}`],
+            ['LONGEST DRIFT', `${s.longestDrift.toFixed(1)}s`],
+            ['NEAR MISSES', s.nearMisses],
+            ['COMBOS LOST', s.failed ? `${s.failed} (-${s.lost})` : 0]
+        ];
+        let html = `<tr style="color: #0ff;"><th colspan="2" style="${cell}">DRIFT</th></tr>`;
+        rows.forEach(([label, value]) => {
+            html += `<tr><td style="${cell} text-align: left;">${label}</td><td style="${cell} text-align: right;">${value}</td></tr>`;
+        });
+        document.getElementById(id).innerHTML = html;
+    }
+
+    // --- Input Handling ---
+    // One-shot actions from the frame's input snapshot
+    handleActions(controls) {
+        if (controls.pause && this.settingsOpen) this.closeSettings();
+        else if (controls.pause && ['COUNTDOWN', 'PLAYING', 'PAUSED'].includes(this.gameState)) this.togglePause();
+        if (controls.camera && this.gameState === 'PLAYING') {
+            this.cameraModeIndex = (this.cameraModeIndex + 1) % this.cameraModes.length;
+        }
+        if (controls.mute) this.toggleMute();
     }
 
     // --- Game Logic ---
@@ -461,38 +1423,64 @@ class Game {
 
         // Update progress
         if (this.track && typeof this.track.getTrackProgress === 'function') {
-            this.player.progress = this.track.getTrackProgress(pos) || 0;
+            this.player.progress = this.track.getTrackProgress(pos, this.player.progress) || 0;
         }
 
-        // Checkpoint
-        if (!this.checkpointReached && pos.distanceTo(this.halfwayPos) < 80) {
-            this.checkpointReached = true;
+        // Time trial sector splits
+        if (this.mode === 'TIME_TRIAL') {
+            const split = this.sectorTimer.update(this.player.progress, this.raceTime - this.lapStartTime);
+            if (split) this.onSectorSplit(split);
         }
 
-        // Finish line
-        if (this.checkpointReached && pos.distanceTo(this.startLinePos) < 80) {
-            this.lap++;
-            this.checkpointReached = false;
-            const lapTime = (performance.now() - this.lapStartTime) / 1000;
-            if (lapTime < this.bestLapTime) this.bestLapTime = lapTime;
-            this.lapStartTime = performance.now();
-            this.uiElements.lap.innerText = `${this.lap}/${this.maxLaps}`;
-            if (this.lap > this.maxLaps) {
-                this.finishRace();
+        // Gates: crossing detection, lap validation and wrong-way (may fire onLapCompleted)
+        this._forward = (this._forward || new THREE.Vector3()).set(0, 0, -1).applyQuaternion(this.player.mesh.quaternion);
+        this.playerLap.update(pos, this._forward, this.player.speed, this.player.progress, dt);
+
+        // Total-distance standings (after everyone moved this step)
+        if (this.gameState === 'PLAYING') this.standings.update(this.raceTime);
+
+        this.currentLapTime = this.raceTime - this.lapStartTime;
+    }
+
+    // Player crossed the finish line (valid: every gate passed in order)
+    onLapCompleted({ valid, missedGate }) {
+        const lapTime = this.raceTime - this.lapStartTime;
+        this.lapStartTime = this.raceTime;
+        this.lapRecords.push({ lap: this.lap, time: lapTime, valid });
+
+        if (!valid) {
+            // Lap is void: nothing is saved and the same lap starts over
+            this.audioManager.playSound('lapInvalid');
+            this.showMessage(`LAP INVALID - MISSED CHECKPOINT ${missedGate}`);
+            this.standings.dropLap('player');
+            this.ghostRecorder.start();
+            if (this.mode === 'TIME_TRIAL') {
+                this.sectorTimer.discardLap();
+                this.timeTrialLaps.push({ lapTime, splits: [], sectors: [], isBestLap: false, valid: false });
+                this.renderSectorRows();
             }
+            return;
         }
 
-        // Update lap timer
-        if (this.gameState === 'PLAYING') {
-            this.currentLapTime = (performance.now() - this.lapStartTime) / 1000;
-            this.uiElements.timer.innerText = this.formatTime(this.currentLapTime);
-            if (this.bestLapTime < Infinity) {
-                this.uiElements.bestLap.innerText = this.formatTime(this.bestLapTime);
-            }
+        this.audioManager.playSound('lap');
+        if (lapTime < this.bestLapTime) this.bestLapTime = lapTime;
+        this.onLapRecorded(lapTime);
+        if (this.mode === 'TIME_TRIAL') this.onTimeTrialLap(lapTime);
+
+        this.lap++;
+        this.uiElements.lap.innerText = `${Math.min(this.lap, this.maxLaps)}/${this.maxLaps}`;
+        if (this.lap > this.maxLaps) {
+            this.standings.finish('player', this.raceTime);
+            this.finishRace();
         }
+    }
 
-        // Update rank
-        this.uiElements.rank.innerText = this.computeRank() + '/4';
+    // Lap list for result screens; invalid laps are flagged
+    formatLapRecords() {
+        return this.lapRecords.map(r => {
+            const label = r.valid ? this.formatTime(r.time) : `${this.formatTime(r.time)} INVALID`;
+            return `<div style="${r.valid ? '' : 'color: #ff3355;'}">LAP ${r.lap}: ${label}</div>`;
+        }).join('');
     }
 
     formatTime(seconds) {
@@ -507,7 +1495,6 @@ class Game {
         if (this.gameState !== 'PLAYING') return;
 
         const playerPos = this.player.mesh.position;
-        const playerRadius = this.player.boundingRadius || 2;
 
         // Destructibles
         for (let i = this.track.destructibles.length - 1; i >= 0; i--) {
@@ -523,50 +1510,90 @@ class Game {
             }
         }
 
-        // Rivals
-        this.rivals.forEach(r => {
-            if (!r || !r.group) return;
-            const dist = playerPos.distanceTo(r.group.position);
-            const rivalRadius = (r.config && r.config.collisionRadius) ? r.config.collisionRadius : 2;
-            if (dist < (playerRadius + rivalRadius)) {
-                if (r.handleCollisionSimple) r.handleCollisionSimple(this.player.mesh);
-                if (this.player.handleCollisionSimple) this.player.handleCollisionSimple(r.group);
+        // Car vs car (player and rivals share the same rules)
+        const cars = [this.player, ...this.activeRivals()];
+        for (let i = 0; i < cars.length; i++) {
+            for (let j = i + 1; j < cars.length; j++) {
+                const a = cars[i];
+                const b = cars[j];
+                const dist = a.mesh.position.distanceTo(b.mesh.position);
+                if (dist < a.boundingRadius + b.boundingRadius) {
+                    a.handleCollisionSimple(b.mesh);
+                    b.handleCollisionSimple(a.mesh);
+                    if (a === this.player) {
+                        this.cameraShake = 0.8;
+                        this.driftCombo.fail();
+                    }
+                }
+            }
+        }
+
+        // Pillars/buildings
+        cars.forEach(car => {
+            if (this.collideWithPillars(car) && car === this.player) {
                 this.cameraShake = 0.8;
+                this.driftCombo.fail();
             }
         });
+        this.checkNearMisses();
 
-        // Pillars/buildings
-        if (this.track.colliders) {
-            this.track.colliders.forEach(pillar => {
-                const dist = playerPos.distanceTo(pillar.position);
-                const pillarRadius = pillar.userData.radius || 5;
-                if (dist < (pillarRadius + playerRadius)) {
-                    this.player.speed *= -0.5;
-                    this.cameraShake = 0.8;
-                    const dir = new THREE.Vector3().subVectors(playerPos, pillar.position).normalize();
-                    this.player.mesh.position.addScaledVector(dir, 1);
-                }
-            });
-        }
+        // Fell off the road
+        if (this.player.fallen) this.respawnPlayer();
+    }
 
-        // Void
-        if (playerPos.y < -40) this.respawnPlayer();
+    // Bounce a car off any pillar it overlaps; true when it hit one
+    collideWithPillars(car) {
+        if (!this.track.colliders) return false;
+        const pos = car.mesh.position;
+        let hit = false;
+        this.track.colliders.forEach(pillar => {
+            const dist = pos.distanceTo(pillar.position);
+            const pillarRadius = pillar.userData.radius || 5;
+            if (dist < (pillarRadius + car.boundingRadius)) {
+                car.speed *= -0.5;
+                car.lateralSpeed *= 0.5; // like Car.handleCollisionWithObject, so a slide does not grind along it
+                const dir = new THREE.Vector3().subVectors(pos, pillar.position).normalize();
+                pos.addScaledVector(dir, 1);
+                hit = true;
+            }
+        });
+        return hit;
+    }
+
+    // Skimming past a pillar or rival: counts once per pass, on entering the zone
+    // (a hit fails the combo first, so touching never scores as a near-miss)
+    checkNearMisses() {
+        const pos = this.player.mesh.position;
+        const margin = 3;
+        const check = (target, radius) => {
+            const near = pos.distanceTo(target.position) < radius + this.player.boundingRadius + margin;
+            if (!near) {
+                this.nearMissTargets.delete(target);
+            } else if (!this.nearMissTargets.has(target)) {
+                this.nearMissTargets.add(target);
+                this.driftCombo.nearMiss();
+            }
+        };
+        if (this.track.colliders) this.track.colliders.forEach(pillar => check(pillar, pillar.userData.radius || 5));
+        this.activeRivals().forEach(r => check(r.mesh, r.boundingRadius));
     }
 
     triggerDestruction(obj) {
         obj.userData.hit = true;
         obj.visible = false;
         this.createExplosion(obj.position, obj.userData.color);
+        this.audioManager.playSound('crate');
         this.player.speed *= 0.85;
         this.cameraShake = 0.5;
         this.score += obj.userData.scoreValue || 100;
         this.uiElements.score.innerText = this.score;
     }
 
+    // Back onto the road at the last gate passed in order
     respawnPlayer() {
-        this.player.mesh.position.set(0, 5, 0);
-        this.player.speed = 0;
-        this.player.mesh.rotation.set(0,0,0);
+        const gate = this.playerLap ? this.playerLap.lastGate : this.checkpoints.gates[0];
+        this.player.placeAt(gate.point, Math.atan2(-gate.normal.x, -gate.normal.z));
+        if (this.playerLap) this.playerLap.reset(this.player.mesh.position);
         this.cameraShake = 1.0;
     }
 
@@ -574,19 +1601,19 @@ class Game {
     createExplosion(pos, color = 0xff0066) {
         const count = 20;
         for (let i = 0; i < count; i++) {
-            const size = 0.2 + Math.random() * 0.4;
+            const size = 0.2 + this.fxRng.next() * 0.4;
             const pGeo = new THREE.BoxGeometry(size, size, size);
             const pMat = new THREE.MeshBasicMaterial({ color: color, transparent: true });
             const p = new THREE.Mesh(pGeo, pMat);
             p.position.copy(pos);
             p.userData = {
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 25,
-                    Math.random() * 20,
-                    (Math.random() - 0.5) * 25
+                    (this.fxRng.next() - 0.5) * 25,
+                    this.fxRng.next() * 20,
+                    (this.fxRng.next() - 0.5) * 25
                 ),
-                life: 1.0 + Math.random(),
-                spin: new THREE.Vector3(Math.random(), Math.random(), Math.random()),
+                life: 1.0 + this.fxRng.next(),
+                spin: new THREE.Vector3(this.fxRng.next(), this.fxRng.next(), this.fxRng.next()),
                 type: 'explosion'
             };
             this.scene.add(p);
@@ -600,9 +1627,9 @@ class Game {
         const p = new THREE.Mesh(pGeo, pMat);
         p.position.copy(pos);
         p.userData = {
-            velocity: new THREE.Vector3((Math.random()-0.5)*0.2, 0.5, (Math.random()-0.5)*0.2),
+            velocity: new THREE.Vector3((this.fxRng.next()-0.5)*0.2, 0.5, (this.fxRng.next()-0.5)*0.2),
             life: 0.4,
-            spin: new THREE.Vector3(Math.random()*0.1, Math.random()*0.1, Math.random()*0.1),
+            spin: new THREE.Vector3(this.fxRng.next()*0.1, this.fxRng.next()*0.1, this.fxRng.next()*0.1),
             type: 'trail'
         };
         this.scene.add(p);
@@ -627,28 +1654,39 @@ class Game {
     }
 
     // --- Camera ---
+    // Field of view for the current speed (the FOV setting at standstill)
+    cameraFov() {
+        const speedRatio = Math.abs(this.player.speed) / (this.player.maxSpeed || 1);
+        return this.settings.get('fov') + speedRatio * 30;
+    }
+
     updateCamera(dt) {
         if (!this.player) return;
         const speedRatio = Math.abs(this.player.speed) / (this.player.maxSpeed || 1);
-        this.targetFOV = 75 + (speedRatio * 30);
+        this.targetFOV = this.cameraFov();
         this.camera.fov = THREE.MathUtils.lerp(this.camera.fov, this.targetFOV, dt * 2);
         this.camera.updateProjectionMatrix();
 
-        const baseOffset = new THREE.Vector3(0, 5, 11);
-        baseOffset.z += speedRatio * 6;
-        baseOffset.y -= speedRatio * 1;
+        const mode = this.cameraModes[this.cameraModeIndex];
+        const baseOffset = mode.offset.clone();
+        if (mode.name !== 'hood') {
+            baseOffset.z += speedRatio * 6;
+            baseOffset.y -= speedRatio * 1;
+        }
         baseOffset.applyQuaternion(this.player.mesh.quaternion);
         const targetPos = this.player.mesh.position.clone().add(baseOffset);
 
         if (this.cameraShake > 0) {
-            targetPos.x += (Math.random() - 0.5) * this.cameraShake;
-            targetPos.y += (Math.random() - 0.5) * this.cameraShake;
+            const shake = this.cameraShake * this.settings.get('cameraShake');
+            targetPos.x += (this.fxRng.next() - 0.5) * shake;
+            targetPos.y += (this.fxRng.next() - 0.5) * shake;
             this.cameraShake = THREE.MathUtils.lerp(this.cameraShake, 0, dt * 5);
         }
 
-        this.camera.position.lerp(targetPos, 0.1);
+        // follow is tuned per 60 Hz frame; convert so it feels the same at any refresh rate
+        this.camera.position.lerp(targetPos, 1 - Math.pow(1 - mode.follow, dt * 60));
 
-        const lookAhead = new THREE.Vector3(0, 0, -10).applyQuaternion(this.player.mesh.quaternion);
+        const lookAhead = new THREE.Vector3(0, 0, -mode.lookAhead).applyQuaternion(this.player.mesh.quaternion);
         const lookTarget = this.player.mesh.position.clone().add(lookAhead);
         this.camera.lookAt(lookTarget);
     }
@@ -658,24 +1696,49 @@ class Game {
         if (this.gameState !== 'PLAYING') return;
 
         // Speed
-        const speedKmh = Math.floor(Math.abs(this.player.speed) * 220);
-        this.uiElements.speed.innerText = speedKmh.toString().padStart(3, '0');
-
-        // Nitro
-        const isBoosting = this.getNitroInput() && this.nitroAmount > 0;
+        const speedKmh = Math.abs(this.player.speed) * KMH_PER_SPEED;
+        const speed = this.settings.get('units') === 'mph' ? speedKmh * MPH_PER_KMH : speedKmh;
+        this.uiElements.speed.innerText = Math.floor(speed).toString().padStart(3, '0');
+
+        // Gear and tachometer (red past the shift point)
+        const car = this.player;
+        this.uiElements.gear.innerText = car.gear < 0 ? 'R' : car.gear;
+        this.uiElements.rpmFill.style.width = `${(car.rpm / car.config.redlineRpm) * 100}%`;
+        this.uiElements.rpmFill.style.backgroundColor = car.rpm >= car.config.shiftUpRpm ? '#ff3355' : '#0ff';
+
+        // Nitro (the car owns the tank, the snapshot says whether it is being used)
+        const isBoosting = this.controls.nitro && this.player.nitroAmount > 0 && this.player.nitroCooldown <= 0;
         if (isBoosting) {
-            this.nitroAmount -= 30 * dt;
             this.uiElements.nitroFill.style.backgroundColor = '#ff0066';
             this.uiElements.nitroFill.style.boxShadow = '0 0 15px #ff0066';
         } else {
-            this.nitroAmount = Math.min(this.maxNitro, this.nitroAmount + 5 * dt);
             this.uiElements.nitroFill.style.backgroundColor = '#00ffcc';
             this.uiElements.nitroFill.style.boxShadow = '0 0 10px #00ffcc';
         }
-        this.uiElements.nitroFill.style.width = `${Math.max(0, this.nitroAmount)}%`;
+        const nitroPct = (this.player.nitroAmount / this.player.config.nitroCapacity) * 100;
+        this.uiElements.nitroFill.style.width = `${Math.max(0, nitroPct)}%`;
 
-        // Score
+        // Score and the running drift combo
         this.uiElements.score.innerText = this.score;
+        this.updateComboPopup();
+
+        // Lap timer & rank
+        this.uiElements.timer.innerText = this.formatTime(this.currentLapTime);
+        if (this.bestLapTime < Infinity) {
+            this.uiElements.bestLap.innerText = this.formatTime(this.bestLapTime);
+        }
+        if (this.mode === 'TIME_TRIAL') {
+            const current = document.getElementById(`sector-time-${this.sectorTimer.currentSector}`);
+            if (current) current.innerText = this.formatTime(this.sectorTimer.currentSectorTime(this.currentLapTime));
+        } else {
+            this.uiElements.rank.innerText = `${this.computeRank()}/${this.standings.racers.length}`;
+            // Leaderboard gaps change every frame; a few refreshes per second are plenty
+            this._leaderboardTimer -= dt;
+            if (this._leaderboardTimer <= 0) {
+                this._leaderboardTimer = 0.25;
+                this.renderLeaderboard();
+            }
+        }
 
         // Debug
         if (document.getElementById('debug-overlay').style.display !== 'none') {
@@ -687,55 +1750,126 @@ class Game {
     }
 
     // --- Main Loop ---
+    // One deterministic simulation step (fixed dt)
+    fixedUpdate(dt, controls) {
+        if (this.gameState !== 'PLAYING') return; // race may end mid-frame
+
+        this.player.history.capture();
+        this.activeRivals().forEach(r => r.history.capture());
+
+        this.player.update(controls, dt);
+        this.driftCombo.update(dt, this.player);
+        this.ghostRecorder.sample(this.player, this.raceTime - this.lapStartTime);
+
+        // Rivals drive; rubber banding looks at the race distance to the player
+        const playerEntry = this.standings.get('player');
+        this.activeRivals().forEach((r, i) => {
+            const entry = this.standings.get(`rival-${i}`);
+            r.drive(dt, { playerGap: playerEntry && entry ? playerEntry.distance - entry.distance : null });
+        });
+
+        // Physics & logic
+        this.updateCollisions(dt);
+        this.updateRaceLogic(dt);
+
+        this.raceTime += dt;
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        const dt = Math.min(this.clock.getDelta(), 0.05);
+        // Real frame time; large gaps are clamped by the timestep itself
+        const dt = Math.min(this.clock.getDelta(), 0.25);
         this.frame++;
 
+        // Poll all input sources once per frame
+        const controls = this.input.update();
+        this.handleActions(controls);
+        if (this.gameState === 'COUNTDOWN') this.updateCountdown(dt);
+
+        // Engines and world sounds only while a race is on screen
+        const racing = this.gameState === 'PLAYING' || this.gameState === 'COUNTDOWN';
+        if (!racing) this.audioManager.quiet();
+        this.audioManager.updateMusic(this.musicLayers(), this.gameState === 'PAUSED');
+
+        if (this.gameState === 'EDITOR') {
+            this.editor.render();
+            return;
+        }
+        if (this.gameState === 'GARAGE') {
+            this.garageScreen.render(dt);
+            return;
+        }
+
         if (this.gameState === 'LOADING' || this.gameState === 'MENU' || this.gameState === 'PAUSED') {
             // Just render, no updates
             this.renderer.render(this.scene, this.camera);
             return;
         }
 
-        // Update entities
-        this.player.update(this.getSteeringInput(), this.getNitroInput(), dt);
-        this.track.update(dt);
+        // Simulation: zero or more fixed steps, then draw interpolated between the last two
+        this.timestep.advance(dt, (step) => this.fixedUpdate(step, controls));
+        const interpolated = [this.player.history, ...this.activeRivals().map(r => r.history)];
+        interpolated.forEach(h => h.apply(this.timestep.alpha));
+        this.ghostPlayer.update(this.currentLapTime + this.timestep.alpha * this.timestep.step);
 
-        // Update rivals with player progress for AI
-        this.rivals.forEach(r => r.update(dt, { playerProgress: this.player.progress }));
-
-        // Physics & logic
-        this.updateCollisions(dt);
-        this.updateRaceLogic(dt);
-        this.updateParticles(dt);
+        // Visual-only updates run at frame rate
+        const frameDt = Math.min(dt, 0.05);
+        this.track.update(frameDt);
+        this.updateParticles(frameDt);
 
         // Audio
         const isDrifting = Math.abs(this.player.driftFactor) > 0.15;
-        this.audioManager.update(this.player.speed, isDrifting, this.getNitroInput());
+        if (racing) this.audioManager.update(this.player, isDrifting, frameDt);
 
         // Trail particles (throttled)
         if (Math.abs(this.player.speed) > 0.1 && this.frame % 3 === 0) {
             const pos = this.player.mesh.position.clone();
             pos.add(new THREE.Vector3(0, 0.5, 1.5).applyQuaternion(this.player.mesh.quaternion));
-            const color = this.getNitroInput() ? 0x00ffff : 0xff0066;
-            const size = this.getNitroInput() ? 0.4 : 0.2;
+            const color = controls.nitro ? 0x00ffff : 0xff0066;
+            const size = controls.nitro ? 0.4 : 0.2;
             this.createTrail(pos, color, size);
         }
 
         // Camera and UI
-        this.updateCamera(dt);
-        this.updateUI(dt);
+        this.updateCamera(frameDt);
+        this.updateUI(frameDt);
 
-        // Render
+        // Render, then hand the authoritative simulation transforms back
         this.renderer.render(this.scene, this.camera);
+        interpolated.forEach(h => h.restore());
+    }
+
+    // --- Music ---
+    // Stems for the current state: the menu loop off the track, the race base from the
+    // countdown on (muffled while paused), plus intensity and final-lap layers
+    musicLayers() {
+        const onTrack = this.gameState === 'COUNTDOWN' || this.gameState === 'PLAYING' || this.gameState === 'PAUSED';
+        if (!onTrack) return { menu: this.gameState !== 'LOADING' };
+        const playing = this.gameState === 'PLAYING';
+        return {
+            base: true,
+            intensity: playing && (this.player.nitroActive || this.isCloseFight()),
+            finalLap: playing && this.lap === this.maxLaps
+        };
+    }
+
+    // Within a second of the car ahead or the car behind (races only)
+    isCloseFight() {
+        if (this.mode === 'TIME_TRIAL' || !this.standings) return false;
+        const order = this.standings.order;
+        const i = order.findIndex(e => e.isPlayer);
+        if (i < 0) return false;
+        const close = (gap) => gap !== null && gap !== undefined && gap < 1;
+        return (i > 0 && close(order[i].gapToAhead)) || (i + 1 < order.length && close(order[i + 1].gapToAhead));
     }
 
     onResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.editor.resize();
+        this.garageScreen.resize();
     }
 }
 
@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+
+// Ordered checkpoint gates + lap validation
+// - Gates are vertical planes across the road at fixed fractions of Track.curve
+//   (gate 0 is the start/finish line, fractions come from the track definition),
+//   as wide as the drivable ground there (road + shoulders, plus a small margin)
+// - A racer's LapTracker detects plane crossings between simulation steps,
+//   so laps never depend on "came within N units" distance checks
+// - Laps only count when every gate was passed in order; reaching the line with
+//   gates missing reports an invalid lap instead
+// - Reversing back through a gate un-passes it (no back-and-forth exploits)
+// - Wrong-way driving is detected from heading vs. track direction
+
+export class CheckpointSystem {
+    /**
+     * @param {Track} track track providing curve + road width
+     * @param {object} opts
+     * @param {number[]} [opts.gates] curve fractions of the gates (must start with 0, defaults to track.gates)
+     * @param {number} [opts.count] number of evenly spaced gates when opts.gates is omitted
+     */
+    constructor(track, opts = {}) {
+        this.track = track;
+        this.curve = track.curve;
+        this.margin = opts.margin !== undefined ? opts.margin : 2; // beyond the shoulder edge
+        this.height = opts.height || 60; // vertical extent above/below the centreline
+
+        const fractions = opts.gates || track.gates || Array.from({ length: opts.count || 15 }, (_, i) => i / (opts.count || 15));
+        const up = new THREE.Vector3(0, 1, 0);
+        this.gates = fractions.map((t, index) => {
+            const point = this.curve.getPointAt(t);
+            const normal = this.curve.getTangentAt(t).normalize();
+            const side = new THREE.Vector3().crossVectors(normal, up).normalize();
+            const gateUp = new THREE.Vector3().crossVectors(side, normal).normalize();
+            const halfWidth = track.getWidthAt(t) + track.shoulderWidth + this.margin;
+            return { index, t, point, normal, side, up: gateUp, halfWidth };
+        });
+    }
+
+    get count() {
+        return this.gates.length;
+    }
+
+    createTracker() {
+        return new LapTracker(this);
+    }
+}
+
+export class LapTracker {
+    constructor(system) {
+        this.system = system;
+
+        // gatesPassed counts gates in order since the start (gate 0 already behind the grid);
+        // highWater stops a lap being counted twice when reversing over the line
+        this.gatesPassed = 0;
+        this.highWater = 0;
+        this.lapsCompleted = 0;
+        this.wrongWay = false;
+        this._wrongWayTime = 0;
+
+        this._prev = new THREE.Vector3();
+        this._hasPrev = false;
+        this._v1 = new THREE.Vector3();
+        this._v2 = new THREE.Vector3();
+
+        this._events = {};
+    }
+
+    // Event emitter ('gate', 'lap', 'wrongWay')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    get nextGateIndex() {
+        const n = this.system.count;
+        return (((this.gatesPassed + 1) % n) + n) % n;
+    }
+
+    // Last gate passed in order (used for respawning)
+    get lastGate() {
+        const n = this.system.count;
+        return this.system.gates[((this.gatesPassed % n) + n) % n];
+    }
+
+    // Forget the previous position (after teleports) so no crossing is inferred
+    reset(position) {
+        this._prev.copy(position);
+        this._hasPrev = true;
+    }
+
+    /**
+     * Call once per simulation step.
+     * @param {THREE.Vector3} position racer position after the step
+     * @param {THREE.Vector3} forward racer heading (unit)
+     * @param {number} speed signed forward speed
+     * @param {number} progress curve fraction of the racer (for wrong-way checks)
+     * @param {number} dt step length
+     */
+    update(position, forward, speed, progress, dt) {
+        if (!this._hasPrev) this.reset(position);
+
+        const gates = this.system.gates;
+        for (let i = 0; i < gates.length; i++) {
+            const dir = this._crossing(gates[i], this._prev, position);
+            if (dir > 0) this._onForward(gates[i]);
+            else if (dir < 0) this._onBackward(gates[i]);
+        }
+        this._prev.copy(position);
+
+        this._updateWrongWay(forward, speed, progress, dt);
+    }
+
+    // +1 forward crossing, -1 backward crossing, 0 none
+    _crossing(gate, from, to) {
+        const dFrom = this._v1.subVectors(from, gate.point).dot(gate.normal);
+        const dTo = this._v2.subVectors(to, gate.point).dot(gate.normal);
+        const forward = dFrom < 0 && dTo >= 0;
+        const backward = dFrom >= 0 && dTo < 0;
+        if (!forward && !backward) return 0;
+
+        // Where did the segment pierce the plane? It must be inside the gate rectangle.
+        const k = dFrom / (dFrom - dTo);
+        const hit = this._v1.lerpVectors(from, to, k).sub(gate.point);
+        if (Math.abs(hit.dot(gate.side)) > gate.halfWidth) return 0;
+        if (Math.abs(hit.dot(gate.up)) > this.system.height) return 0;
+        return forward ? 1 : -1;
+    }
+
+    _onForward(gate) {
+        const n = this.system.count;
+        if (gate.index === this.nextGateIndex) {
+            this.gatesPassed++;
+            const isNew = this.gatesPassed > this.highWater;
+            if (isNew) this.highWater = this.gatesPassed;
+            if (gate.index === 0) {
+                if (isNew) {
+                    this.lapsCompleted++;
+                    this.emit('lap', { valid: true, lap: this.lapsCompleted });
+                }
+            } else {
+                this.emit('gate', gate);
+            }
+        } else if (gate.index === 0 && this.gatesPassed > this.lapsCompleted * n) {
+            // Reached the line with gates missing: the attempt is void, start a fresh one
+            const missedGate = this.nextGateIndex;
+            this.gatesPassed = this.lapsCompleted * n;
+            this.highWater = this.gatesPassed;
+            this.emit('lap', { valid: false, lap: this.lapsCompleted + 1, missedGate });
+        }
+        // Any other out-of-order gate is ignored: the skipped gate still has to be driven through
+    }
+
+    _onBackward(gate) {
+        const n = this.system.count;
+        const last = ((this.gatesPassed % n) + n) % n;
+        if (gate.index === last) this.gatesPassed--;
+    }
+
+    _updateWrongWay(forward, speed, progress, dt) {
+        const tangent = this.system.curve.getTangentAt(progress, this._v2);
+        const heading = forward.dot(tangent) * Math.sign(speed || 0);
+        const goingBackwards = Math.abs(speed) > 0.1 && heading < -0.3;
+
+        this._wrongWayTime = goingBackwards ? this._wrongWayTime + dt : 0;
+        const wrongWay = this._wrongWayTime > 1.0;
+        if (wrongWay !== this.wrongWay) {
+            this.wrongWay = wrongWay;
+            this.emit('wrongWay', wrongWay);
+        }
+    }
+}
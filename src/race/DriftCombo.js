@@ -0,0 +1,162 @@
+// Drift combo scoring
+// - While the car slides past the drift angle it earns points per second, scaled by
+//   the slip angle and by speed (a deep, fast slide is worth far more than a wiggle)
+// - A new drift started before the grace period runs out chains onto the running combo
+//   and raises the multiplier; near-misses (skimming a pillar or rival) raise it too
+// - Once the car has driven straight for the grace period the combo banks:
+//   points x multiplier go to the score ('banked')
+// - Hitting a pillar or rival mid-combo fails it and the unbanked points are lost ('failed')
+// - Keeps per-race stats for the results screen
+
+export class DriftCombo {
+    /**
+     * @param {object} opts
+     * @param {number} [opts.angle] slip angle (rad) that starts a drift
+     * @param {number} [opts.rate] points per second at 1 rad of slip and full speed
+     * @param {number} [opts.graceTime] seconds without drifting before the combo banks
+     */
+    constructor(opts = {}) {
+        this.angle = opts.angle || 0.15;
+        this.exitAngle = this.angle * 0.6;         // hysteresis: a drift only ends below this
+        this.minSpeed = opts.minSpeed || 0.3;      // share of top speed needed to score
+        this.rate = opts.rate || 400;
+        this.graceTime = opts.graceTime || 1.5;
+        this.chainBonus = opts.chainBonus || 0.5;  // multiplier per chained drift
+        this.nearMissBonus = opts.nearMissBonus || 0.25;
+        this.maxMultiplier = opts.maxMultiplier || 5;
+
+        this._events = {};
+        this.reset();
+    }
+
+    // Event emitter ('start', 'chain', 'nearMiss', 'banked', 'failed')
+    on(name, cb) {
+        (this._events[name] = this._events[name] || []).push(cb);
+    }
+    emit(name, ...args) {
+        const list = this._events[name];
+        if (!list) return;
+        for (let i = 0; i < list.length; i++) list[i](...args);
+    }
+
+    // New race: drop the running combo and the stats
+    reset() {
+        this.clearCombo();
+        this.stats = {
+            banked: 0,        // total points banked
+            combos: 0,        // combos banked
+            bestCombo: 0,     // biggest single bank
+            bestMultiplier: 1,
+            longestDrift: 0,  // seconds
+            nearMisses: 0,
+            failed: 0,        // combos lost to a crash
+            lost: 0           // points lost with them
+        };
+    }
+
+    clearCombo() {
+        this.active = false;
+        this.drifting = false;
+        this.points = 0;
+        this.multiplier = 1;
+        this.drifts = 0;
+        this.driftTime = 0;
+        this.grace = 0;
+    }
+
+    // Current combo worth if it banked now
+    get value() {
+        return Math.floor(this.points * this.multiplier);
+    }
+
+    // -----------------------------
+    // Simulation step
+    // -----------------------------
+    /**
+     * @param {number} dt fixed step (seconds)
+     * @param {Car} car the scoring car (slipAngle, speed, maxSpeed, airborne)
+     */
+    update(dt, car) {
+        const slip = Math.abs(car.slipAngle);
+        const speedRatio = Math.min(1, Math.abs(car.speed) / Math.max(0.001, car.maxSpeed));
+        const sliding = !car.airborne && speedRatio >= this.minSpeed &&
+            slip > (this.drifting ? this.exitAngle : this.angle);
+
+        if (sliding) {
+            if (!this.drifting) this.startDrift();
+            this.points += this.rate * slip * speedRatio * dt;
+            this.driftTime += dt;
+            this.grace = this.graceTime;
+            return;
+        }
+
+        if (this.drifting) this.endDrift();
+        if (this.active) {
+            this.grace -= dt;
+            if (this.grace <= 0) this.bank();
+        }
+    }
+
+    startDrift() {
+        this.drifting = true;
+        this.driftTime = 0;
+        this.drifts++;
+        if (this.active) {
+            this.raiseMultiplier(this.chainBonus);
+            this.emit('chain', this.multiplier, this.drifts);
+        } else {
+            this.active = true;
+            this.emit('start');
+        }
+    }
+
+    endDrift() {
+        this.drifting = false;
+        this.stats.longestDrift = Math.max(this.stats.longestDrift, this.driftTime);
+    }
+
+    raiseMultiplier(amount) {
+        this.multiplier = Math.min(this.maxMultiplier, this.multiplier + amount);
+        this.stats.bestMultiplier = Math.max(this.stats.bestMultiplier, this.multiplier);
+    }
+
+    // -----------------------------
+    // Race events
+    // -----------------------------
+    // Passed close to a pillar or rival without touching (only counts mid-combo)
+    nearMiss() {
+        if (!this.active) return;
+        this.stats.nearMisses++;
+        this.raiseMultiplier(this.nearMissBonus);
+        this.emit('nearMiss', this.multiplier);
+    }
+
+    /**
+     * Bank the running combo (grace period over, or the race finished).
+     * @returns {number} points banked (0 when no combo was running)
+     */
+    bank() {
+        if (!this.active) return 0;
+        if (this.drifting) this.endDrift();
+        const value = this.value;
+        const s = this.stats;
+        s.banked += value;
+        s.combos++;
+        s.bestCombo = Math.max(s.bestCombo, value);
+        const multiplier = this.multiplier;
+        this.clearCombo();
+        this.emit('banked', value, multiplier);
+        return value;
+    }
+
+    // Crashed mid-combo: the unbanked points are gone
+    fail() {
+        if (!this.active) return;
+        if (this.drifting) this.endDrift();
+        const value = this.value;
+        this.stats.failed++;
+        this.stats.lost += value;
+        this.clearCombo();
+        this.emit('failed', value);
+    }
+}
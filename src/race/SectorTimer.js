@@ -0,0 +1,126 @@
+// Sector timing for time trials
+// - Splits the lap into N equal sectors along the track (by curve fraction)
+// - Records split times in order; a sector only counts after the previous one
+// - Personal bests (per sector and the best lap's cumulative splits) persist to localStorage
+//   once the lap is completed; a voided lap (discardLap) gives back the bests it set
+// - Deltas are against the best lap's splits: negative = faster (green), positive = slower (red)
+
+const STORAGE_PREFIX = 'turboDrift.sectorBests.';
+
+export class SectorTimer {
+    constructor(opts = {}) {
+        this.sectorCount = opts.sectorCount || 3;
+        this.storage = opts.storage !== undefined ? opts.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.key = null;
+
+        // Personal bests
+        this.bestSectors = new Array(this.sectorCount).fill(Infinity);
+        this.bestLapSplits = null; // cumulative split times of the best lap
+        this.bestLapTime = Infinity;
+
+        // Current lap
+        this.currentSector = 0;
+        this.splits = []; // cumulative lap time at each completed sector
+        this._lapStartSectors = this.bestSectors.slice(); // bests before this lap (discardLap)
+    }
+
+    // Switch to the bests of a track/seed combination
+    load(key) {
+        this.key = key;
+        this.bestSectors = new Array(this.sectorCount).fill(Infinity);
+        this.bestLapSplits = null;
+        this.bestLapTime = Infinity;
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_PREFIX + key));
+            if (!saved || !Array.isArray(saved.sectors) || saved.sectors.length !== this.sectorCount) return;
+            this.bestSectors = saved.sectors.map(v => (typeof v === 'number' ? v : Infinity));
+            if (Array.isArray(saved.lapSplits) && saved.lapSplits.length === this.sectorCount) {
+                this.bestLapSplits = saved.lapSplits;
+                this.bestLapTime = saved.lapSplits[this.sectorCount - 1];
+            }
+        } catch (err) {
+            console.warn('SectorTimer: ignoring corrupt bests', err);
+        }
+    }
+
+    save() {
+        if (!this.storage || !this.key) return;
+        try {
+            this.storage.setItem(STORAGE_PREFIX + this.key, JSON.stringify({
+                sectors: this.bestSectors.map(v => (Number.isFinite(v) ? v : null)),
+                lapSplits: this.bestLapSplits
+            }));
+        } catch (err) {
+            console.warn('SectorTimer: could not save bests', err);
+        }
+    }
+
+    startLap() {
+        this.currentSector = 0;
+        this.splits = [];
+        this._lapStartSectors = this.bestSectors.slice();
+    }
+
+    // The lap was voided (missed checkpoint): forget its sector bests and start over
+    discardLap() {
+        this.bestSectors = this._lapStartSectors.slice();
+        this.startLap();
+    }
+
+    sectorAt(progress) {
+        return Math.min(this.sectorCount - 1, Math.max(0, Math.floor(progress * this.sectorCount)));
+    }
+
+    // Running time of the sector currently being driven
+    currentSectorTime(lapTime) {
+        const prev = this.splits.length ? this.splits[this.splits.length - 1] : 0;
+        return lapTime - prev;
+    }
+
+    /**
+     * Feed the car's track progress every step.
+     * @returns {object|null} split info when a sector boundary was crossed in order
+     */
+    update(progress, lapTime) {
+        const next = this.currentSector + 1;
+        if (next >= this.sectorCount) return null; // the last sector ends on the finish line
+        if (this.sectorAt(progress) !== next) return null;
+        return this._split(lapTime);
+    }
+
+    /**
+     * Close the final sector when the lap is completed.
+     * @returns {{ lapTime: number, splits: number[], sectors: number[], isBestLap: boolean, split: object }}
+     */
+    completeLap(lapTime) {
+        // Missing intermediate splits (e.g. progress jumped) are filled so the lap still has N sectors
+        while (this.currentSector < this.sectorCount - 1) this._split(lapTime);
+        const split = this._split(lapTime);
+
+        const splits = this.splits.slice();
+        const sectors = splits.map((t, i) => t - (i ? splits[i - 1] : 0));
+        const isBestLap = lapTime < this.bestLapTime;
+        if (isBestLap) {
+            this.bestLapTime = lapTime;
+            this.bestLapSplits = splits;
+        }
+        const newBestSector = this.bestSectors.some((t, i) => t !== this._lapStartSectors[i]);
+        if (isBestLap || newBestSector) this.save();
+        this.startLap();
+        return { lapTime, splits, sectors, isBestLap, split };
+    }
+
+    _split(lapTime) {
+        const index = this.currentSector;
+        const prev = this.splits.length ? this.splits[this.splits.length - 1] : 0;
+        const sectorTime = lapTime - prev;
+        const delta = this.bestLapSplits ? lapTime - this.bestLapSplits[index] : null;
+        const isBestSector = sectorTime < this.bestSectors[index];
+        if (isBestSector) this.bestSectors[index] = sectorTime; // saved with the completed lap
+
+        this.splits.push(lapTime);
+        this.currentSector = index + 1;
+        return { sector: index, sectorTime, cumulative: lapTime, delta, isBestSector };
+    }
+}
@@ -0,0 +1,179 @@
+// Race standings
+// - Ranks racers by total distance (laps x track length + arc position), so the
+//   start line no longer flips the order when a curve fraction wraps 1 -> 0
+// - Curve fractions are unwrapped every step: a jump of more than half a lap
+//   means the racer crossed the line (forwards or backwards)
+// - Gaps are in seconds: the time a racer ahead passed the distance the racer
+//   behind is at now (timing markers every 1/MARKERS_PER_LAP of a lap)
+// - Finished racers are classified by finish time ahead of everyone still running
+
+const MARKERS_PER_LAP = 100;
+
+export class Standings {
+    /**
+     * @param {Track} track track providing the curve (arc length)
+     * @param {object} opts
+     * @param {number} [opts.laps] race length in laps (racers reaching it are finished)
+     */
+    constructor(track, opts = {}) {
+        this.length = track.curve.getLength();
+        this.laps = opts.laps || 3;
+        this.spacing = this.length / MARKERS_PER_LAP;
+        this.time = 0;
+
+        this.racers = [];
+        this.order = []; // racers sorted by position (index 0 = leader)
+    }
+
+    get raceDistance() {
+        return this.laps * this.length;
+    }
+
+    /**
+     * Register a racer.
+     * @param {string} id
+     * @param {object} opts
+     * @param {function(): number} opts.getProgress current curve fraction 0..1
+     * @param {string} [opts.name]
+     * @param {number} [opts.color]
+     * @param {boolean} [opts.isPlayer]
+     * @param {boolean} [opts.autoFinish] finish on distance alone (off when a lap tracker decides)
+     */
+    add(id, opts) {
+        const progress = opts.getProgress() || 0;
+        const racer = {
+            id,
+            name: opts.name || id,
+            color: opts.color != null ? opts.color : 0xffffff,
+            isPlayer: !!opts.isPlayer,
+            autoFinish: opts.autoFinish !== false,
+            getProgress: opts.getProgress,
+            lastProgress: progress,
+            laps: 0,                 // completed line crossings (can go negative when reversing)
+            distance: progress * this.length,
+            position: this.racers.length + 1,
+            finished: false,
+            finishTime: null,
+            gapToLeader: 0,
+            gapToAhead: 0,
+            lapsDown: 0,
+            marker: Math.floor((progress * this.length) / this.spacing),
+            markerTimes: new Map()
+        };
+        racer.markerTimes.set(racer.marker, this.time);
+        this.racers.push(racer);
+        this.order.push(racer);
+        return racer;
+    }
+
+    clear() {
+        this.racers.length = 0;
+        this.order.length = 0;
+        this.time = 0;
+    }
+
+    get(id) {
+        return this.racers.find(r => r.id === id) || null;
+    }
+
+    positionOf(id) {
+        const racer = this.get(id);
+        return racer ? racer.position : 1;
+    }
+
+    // Current lap of a racer (1-based, capped at the race length)
+    lapOf(racer) {
+        return Math.max(1, Math.min(this.laps, Math.floor(racer.distance / this.length) + 1));
+    }
+
+    /**
+     * Call once per simulation step, after every racer has moved.
+     * @param {number} time race time in seconds
+     */
+    update(time) {
+        this.time = time;
+        for (let i = 0; i < this.racers.length; i++) {
+            const r = this.racers[i];
+            if (r.finished) continue;
+
+            const progress = r.getProgress() || 0;
+            const delta = progress - r.lastProgress;
+            if (delta < -0.5) r.laps++;
+            else if (delta > 0.5) r.laps--;
+            r.lastProgress = progress;
+            r.distance = (r.laps + progress) * this.length;
+
+            // First time past each marker (reversing never rewrites history)
+            const marker = Math.floor(r.distance / this.spacing);
+            while (r.marker < marker) {
+                r.marker++;
+                r.markerTimes.set(r.marker, time);
+            }
+
+            if (r.autoFinish && r.distance >= this.raceDistance) this.finish(r.id, time);
+        }
+        this._sort();
+    }
+
+    // Mark a racer finished (the player's lap tracker is authoritative for them)
+    finish(id, time = this.time) {
+        const racer = this.get(id);
+        if (!racer || racer.finished) return;
+        racer.finished = true;
+        racer.finishTime = time;
+        racer.distance = Math.max(racer.distance, this.raceDistance);
+        this._sort();
+    }
+
+    // An invalid lap does not count towards the distance either
+    dropLap(id) {
+        const racer = this.get(id);
+        if (!racer || racer.finished) return;
+        racer.laps--;
+        racer.distance -= this.length;
+        racer.marker = Math.floor(racer.distance / this.spacing);
+        for (const m of racer.markerTimes.keys()) {
+            if (m > racer.marker) racer.markerTimes.delete(m);
+        }
+        this._sort();
+    }
+
+    // -----------------------------
+    // Ordering & gaps
+    // -----------------------------
+    _sort() {
+        this.order.sort((a, b) => {
+            if (a.finished !== b.finished) return a.finished ? -1 : 1;
+            if (a.finished) return a.finishTime - b.finishTime;
+            return b.distance - a.distance;
+        });
+
+        const leader = this.order[0];
+        for (let i = 0; i < this.order.length; i++) {
+            const r = this.order[i];
+            r.position = i + 1;
+            r.gapToLeader = i === 0 ? 0 : this.gapBetween(r, leader);
+            r.gapToAhead = i === 0 ? 0 : this.gapBetween(r, this.order[i - 1]);
+            r.lapsDown = r.finished ? 0 : Math.max(0, Math.floor((leader.distance - r.distance) / this.length));
+        }
+    }
+
+    // Seconds `behind` trails `ahead` (null when `ahead` has no timing for that distance yet)
+    gapBetween(behind, ahead) {
+        const distance = Math.min(behind.distance, this.raceDistance);
+        const passed = this.timeAtDistance(ahead, distance);
+        if (passed === null) return null;
+        const now = behind.finished ? behind.finishTime : this.time;
+        return Math.max(0, now - passed);
+    }
+
+    // When a racer first reached a distance, interpolated between timing markers
+    timeAtDistance(racer, distance) {
+        const exact = distance / this.spacing;
+        const m = Math.floor(exact);
+        const t0 = racer.markerTimes.get(m);
+        if (t0 === undefined) return null;
+        const t1 = racer.markerTimes.get(m + 1);
+        return t1 === undefined ? t0 : t0 + (t1 - t0) * (exact - m);
+    }
+}
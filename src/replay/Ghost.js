@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+
+// Ghost lap data + codecs
+// - One recorded lap: time-stamped transform samples of the player car
+// - Sample layout (stride 9): t, px, py, pz, qx, qy, qz, qw, speed
+// - Binary (.tdghost) and JSON encodings for sharing
+// - sampleAt() interpolates for smooth playback at any frame rate
+
+export const GHOST_STRIDE = 9;
+const MAGIC = 'TDG1';
+const VERSION = 1;
+const HEADER_BYTES = 26; // magic(4) version(2) stride(2) seed(4) lapTime(4) interval(4) count(4) idLength(2)
+
+export class Ghost {
+    constructor({ trackId, seed, lapTime, interval = 1 / 30, samples, carId = null, createdAt = Date.now() }) {
+        if (!(samples instanceof Float32Array)) samples = new Float32Array(samples || []);
+        if (samples.length % GHOST_STRIDE !== 0) throw new Error('Ghost: sample buffer has the wrong length');
+        this.trackId = String(trackId);
+        this.seed = seed >>> 0;
+        this.lapTime = lapTime;
+        this.interval = interval;
+        this.samples = samples;
+        this.carId = carId;
+        this.createdAt = createdAt;
+        this._cursor = 0;
+    }
+
+    get sampleCount() {
+        return this.samples.length / GHOST_STRIDE;
+    }
+
+    /**
+     * Interpolated transform at a lap time.
+     * @returns {boolean} false when time is outside the recording
+     */
+    sampleAt(time, outPosition, outQuaternion) {
+        const s = this.samples;
+        const count = this.sampleCount;
+        if (count === 0 || time < 0 || time > s[(count - 1) * GHOST_STRIDE]) return false;
+
+        // Playback is monotonic, so walk from the last position instead of searching
+        let i = this._cursor;
+        if (i >= count || s[i * GHOST_STRIDE] > time) i = 0;
+        while (i < count - 1 && s[(i + 1) * GHOST_STRIDE] <= time) i++;
+        this._cursor = i;
+
+        const a = i * GHOST_STRIDE;
+        const b = Math.min(i + 1, count - 1) * GHOST_STRIDE;
+        const span = s[b] - s[a];
+        const k = span > 0 ? (time - s[a]) / span : 0;
+
+        outPosition.set(
+            s[a + 1] + (s[b + 1] - s[a + 1]) * k,
+            s[a + 2] + (s[b + 2] - s[a + 2]) * k,
+            s[a + 3] + (s[b + 3] - s[a + 3]) * k
+        );
+        _qa.set(s[a + 4], s[a + 5], s[a + 6], s[a + 7]);
+        _qb.set(s[b + 4], s[b + 5], s[b + 6], s[b + 7]);
+        outQuaternion.slerpQuaternions(_qa, _qb, k);
+        return true;
+    }
+
+    // -----------------------------
+    // Binary codec
+    // -----------------------------
+    toBinary() {
+        const idBytes = new TextEncoder().encode(this.trackId);
+        const headerSize = Math.ceil((HEADER_BYTES + idBytes.length) / 4) * 4;
+        const buffer = new ArrayBuffer(headerSize + this.samples.byteLength);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, GHOST_STRIDE, true);
+        view.setUint32(8, this.seed, true);
+        view.setFloat32(12, this.lapTime, true);
+        view.setFloat32(16, this.interval, true);
+        view.setUint32(20, this.sampleCount, true);
+        view.setUint16(24, idBytes.length, true);
+        new Uint8Array(buffer, HEADER_BYTES, idBytes.length).set(idBytes);
+        new Float32Array(buffer, headerSize).set(this.samples);
+        return buffer;
+    }
+
+    static fromBinary(buffer) {
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_BYTES) throw new Error('Ghost: file is too short');
+        const view = new DataView(buffer);
+        let magic = '';
+        for (let i = 0; i < 4; i++) magic += String.fromCharCode(view.getUint8(i));
+        if (magic !== MAGIC) throw new Error('Ghost: not a ghost file');
+        const version = view.getUint16(4, true);
+        if (version !== VERSION) throw new Error(`Ghost: unsupported version ${version}`);
+        if (view.getUint16(6, true) !== GHOST_STRIDE) throw new Error('Ghost: unexpected sample layout');
+
+        const count = view.getUint32(20, true);
+        const idLength = view.getUint16(24, true);
+        const headerSize = Math.ceil((HEADER_BYTES + idLength) / 4) * 4;
+        if (buffer.byteLength < headerSize + count * GHOST_STRIDE * 4) throw new Error('Ghost: file is truncated');
+
+        return new Ghost({
+            trackId: new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, idLength)),
+            seed: view.getUint32(8, true),
+            lapTime: view.getFloat32(12, true),
+            interval: view.getFloat32(16, true),
+            samples: new Float32Array(buffer.slice(headerSize, headerSize + count * GHOST_STRIDE * 4))
+        });
+    }
+
+    // -----------------------------
+    // JSON codec
+    // -----------------------------
+    toJSON() {
+        return {
+            format: MAGIC,
+            version: VERSION,
+            trackId: this.trackId,
+            seed: this.seed,
+            carId: this.carId,
+            lapTime: this.lapTime,
+            interval: this.interval,
+            createdAt: this.createdAt,
+            samples: Array.from(this.samples, v => Math.round(v * 1000) / 1000)
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.format !== MAGIC) throw new Error('Ghost: not a ghost file');
+        if (data.version !== VERSION) throw new Error(`Ghost: unsupported version ${data.version}`);
+        if (!Array.isArray(data.samples)) throw new Error('Ghost: missing samples');
+        return new Ghost(data);
+    }
+
+    // Accepts either encoding (binary files start with the magic bytes)
+    static decode(buffer) {
+        const head = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        if (String.fromCharCode(...head) === MAGIC) return Ghost.fromBinary(buffer);
+        return Ghost.fromJSON(JSON.parse(new TextDecoder().decode(buffer)));
+    }
+}
+
+const _qa = new THREE.Quaternion();
+const _qb = new THREE.Quaternion();
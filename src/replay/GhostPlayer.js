@@ -0,0 +1,52 @@
+import { Car } from '../cars/Car.js';
+
+// Plays a recorded Ghost back on a translucent, non-colliding Car
+// - Driven purely by lap time (no physics), so it is exact at any frame rate
+
+export class GhostPlayer {
+    constructor(scene, opts = {}) {
+        this.scene = scene;
+        this.ghost = null;
+        this.opacity = opts.opacity != null ? opts.opacity : 0.3;
+
+        this.car = new Car(scene);
+        this.car.setColor(opts.color != null ? opts.color : 0x88ffff);
+        this._makeTranslucent();
+        this.car.mesh.visible = false;
+    }
+
+    _makeTranslucent() {
+        this.car.mesh.traverse(obj => {
+            if (!obj.isMesh) return;
+            obj.castShadow = false;
+            obj.receiveShadow = false;
+            obj.material = obj.material.clone();
+            obj.material.transparent = true;
+            obj.material.opacity = Math.min(obj.material.opacity, this.opacity);
+            obj.material.depthWrite = false;
+        });
+        this.car.mesh.renderOrder = 1; // draw after opaque scenery
+    }
+
+    setGhost(ghost) {
+        this.ghost = ghost;
+        if (!ghost) this.car.mesh.visible = false;
+    }
+
+    // Place the ghost where it was at this lap time (hidden once its lap is over)
+    update(lapTime) {
+        if (!this.ghost) return;
+        this.car.mesh.visible = this.ghost.sampleAt(lapTime, this.car.mesh.position, this.car.mesh.quaternion);
+    }
+
+    hide() {
+        this.car.mesh.visible = false;
+    }
+
+    dispose() {
+        this.scene.remove(this.car.mesh);
+        this.car.mesh.traverse(obj => {
+            if (obj.isMesh) obj.material.dispose();
+        });
+    }
+}
@@ -0,0 +1,63 @@
+import { Ghost, GHOST_STRIDE } from './Ghost.js';
+
+// Records the player's car across one lap
+// - Samples transform + speed at a fixed simulated-time interval
+// - start() at the start line, sample() every simulation step, finish() at the line
+
+export class GhostRecorder {
+    constructor(opts = {}) {
+        this.interval = opts.interval || 1 / 30;
+        this.maxLapTime = opts.maxLapTime || 600; // stop recording absurdly long laps
+        this.recording = false;
+        this._data = [];
+        this._nextSampleTime = 0;
+        this._lastTime = 0;
+    }
+
+    start() {
+        this._data.length = 0;
+        this._nextSampleTime = 0;
+        this._lastTime = 0;
+        this.recording = true;
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    sample(car, lapTime) {
+        if (!this.recording) return;
+        if (lapTime > this.maxLapTime) {
+            this.recording = false;
+            return;
+        }
+        this._lastTime = lapTime;
+        if (lapTime < this._nextSampleTime) return;
+        this._push(car, lapTime);
+        this._nextSampleTime = lapTime + this.interval;
+    }
+
+    _push(car, time) {
+        const p = car.mesh.position;
+        const q = car.mesh.quaternion;
+        this._data.push(time, p.x, p.y, p.z, q.x, q.y, q.z, q.w, car.speed);
+    }
+
+    /**
+     * Close the lap and return it as a Ghost (null if nothing was recorded).
+     */
+    finish(car, lapTime, meta) {
+        if (!this.recording || this._data.length === 0) {
+            this.recording = false;
+            return null;
+        }
+        // Always end exactly on the line so playback covers the whole lap
+        if (this._data[this._data.length - GHOST_STRIDE] < lapTime) this._push(car, lapTime);
+        this.recording = false;
+        return new Ghost(Object.assign({}, meta, {
+            lapTime,
+            interval: this.interval,
+            samples: new Float32Array(this._data)
+        }));
+    }
+}
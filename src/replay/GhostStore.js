@@ -0,0 +1,91 @@
+import { Ghost } from './Ghost.js';
+
+// Persistent best-lap ghosts (IndexedDB)
+// - One record per track + seed, holding the binary-encoded Ghost
+// - Every method resolves (null/false) instead of throwing when storage is unavailable
+
+const DB_NAME = 'turboDrift';
+const DB_VERSION = 1;
+const STORE = 'ghosts';
+
+export function ghostKey(trackId, seed) {
+    return `${trackId}:${seed >>> 0}`;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class GhostStore {
+    constructor(opts = {}) {
+        this.indexedDB = opts.indexedDB !== undefined ? opts.indexedDB : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this._db = null;
+    }
+
+    _open() {
+        if (!this.indexedDB) return Promise.resolve(null);
+        if (!this._db) {
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'key' });
+            };
+            this._db = promisify(request).catch(err => {
+                console.warn('GhostStore: IndexedDB unavailable', err);
+                return null;
+            });
+        }
+        return this._db;
+    }
+
+    async _tx(mode, fn) {
+        const db = await this._open();
+        if (!db) return null;
+        try {
+            const store = db.transaction(STORE, mode).objectStore(STORE);
+            return await promisify(fn(store));
+        } catch (err) {
+            console.warn('GhostStore: request failed', err);
+            return null;
+        }
+    }
+
+    async getBest(trackId, seed) {
+        const record = await this._tx('readonly', store => store.get(ghostKey(trackId, seed)));
+        if (!record) return null;
+        try {
+            return Ghost.fromBinary(record.data);
+        } catch (err) {
+            console.warn('GhostStore: discarding unreadable ghost', err);
+            return null;
+        }
+    }
+
+    async put(ghost) {
+        const record = {
+            key: ghostKey(ghost.trackId, ghost.seed),
+            trackId: ghost.trackId,
+            seed: ghost.seed,
+            lapTime: ghost.lapTime,
+            data: ghost.toBinary()
+        };
+        return (await this._tx('readwrite', store => store.put(record))) !== null;
+    }
+
+    /**
+     * Store the ghost only if it beats the saved lap for its track + seed.
+     * @returns {Promise<boolean>} true when it became the new best
+     */
+    async saveIfBest(ghost) {
+        const current = await this.getBest(ghost.trackId, ghost.seed);
+        if (current && current.lapTime <= ghost.lapTime) return false;
+        return this.put(ghost);
+    }
+
+    async remove(trackId, seed) {
+        return (await this._tx('readwrite', store => store.delete(ghostKey(trackId, seed)))) !== null;
+    }
+}
@@ -0,0 +1,24 @@
+// Road surface materials
+// - Track.getSurfaceAt() reports which one is under a position: tarmac, the painted
+//   kerbs on corner edges, the grass/dirt shoulders beside the road, or a boost pad
+// - Car scales its handling by the surface it sits on:
+//   grip     - share of throttle, braking, steering and tyre side grip that reaches the road
+//   maxSpeed - top speed multiplier (faster cars are dragged down towards it)
+//   drag     - how quickly excess speed bleeds off (per second)
+//   drift    - how readily a loose rear swings round (oversteer) once sliding
+//   boost    - seconds of speed surge it gives (boost pads: above top speed, then fading)
+// - rumble is the controller feedback strength while driving over it
+
+export const SURFACE_TYPES = ['asphalt', 'kerb', 'grass', 'boost'];
+
+export const SURFACES = {
+    asphalt: { name: 'Asphalt', grip: 1.0, maxSpeed: 1.0, drag: 0, drift: 1.0, boost: 0, rumble: 0 },
+    kerb: { name: 'Kerb', grip: 0.9, maxSpeed: 1.0, drag: 0, drift: 1.2, boost: 0, rumble: 0.25 },
+    grass: { name: 'Grass', grip: 0.55, maxSpeed: 0.55, drag: 1.5, drift: 1.8, boost: 0, rumble: 0.4 },
+    boost: { name: 'Boost Pad', grip: 1.0, maxSpeed: 1.35, drag: 0, drift: 1.0, boost: 1.0, rumble: 0 }
+};
+
+// Surface properties by id (unknown ids behave like asphalt)
+export function getSurface(id) {
+    return SURFACES[id] || SURFACES.asphalt;
+}
@@ -1,19 +1,55 @@
 import * as THREE from 'three';
+import { Random } from '../core/Random.js';
+import { buildTrackCurve } from './TrackDefinition.js';
+
+// Distance beyond the shoulders that no car reaches: buildings further out are backdrop
+const BACKDROP_MARGIN = 40;
 
 /**
  * TURBO DRIFT 3D - PRO-LEVEL TRACK & ENVIRONMENT SYSTEM
  * * Features implemented in this version:
- * 1. Procedural Asphalt Spline (TubeGeometry with Tangent Alignment)
- * 2. Spatial Collider Partitioning (Building/Pillar registration)
- * 3. Dynamic City Architect (180+ Pillars with Multi-Window Glow)
- * 4. Atmosphere Engine (Starfields, Fog, and Moon-rig Lighting)
- * 5. Destructible Prop Scatter (Physics-ready crates and barrels)
- * 6. Vertex Displacement Logic (Subtle track undulations)
+ * 1. Data-driven circuits (JSON definitions, see TrackDefinition.js / TrackLoader.js)
+ * 2. Ribbon Road on banked road frames (true edges, corner kerbs, neon edge strips)
+ * 3. Spatial Collider Partitioning (Building/Pillar registration)
+ * 4. Dynamic City Architect (Pillars with Multi-Window Glow, kept clear of the road)
+ * 5. Atmosphere Engine (Starfields, Fog, and themed Moon-rig Lighting)
+ * 6. Destructible Prop Scatter (Physics-ready crates) + hand-placed props
+ * 7. Seeded Generation (same seed => identical city, props and sky)
+ * 8. Road & terrain height queries (ground-following cars, fall-off detection)
+ * 9. Surface materials: asphalt, kerbs, grass/dirt shoulders and boost pads (see Surfaces.js)
+ * 10. Detail settings: shadow map size and draw distance (live), backdrop density (at build)
  */
 export class Track {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {object} opts
+     * @param {object} opts.definition parsed track definition (parseTrackDefinition)
+     * @param {Random} [opts.rng] seeded stream (or opts.seed)
+     * @param {boolean} [opts.preview] road only (no city, props or sky), for the editor
+     * @param {boolean} [opts.deferred] skip init(); the caller runs generationSteps() itself
+     * @param {number} [opts.buildingDensity] 0..1 share of the backdrop buildings and stars built
+     * @param {number} [opts.shadowMapSize] moon shadow resolution (0 = no shadows)
+     * @param {number} [opts.drawDistance] fog scale (1 = the theme's fog)
+     */
+    constructor(scene, opts = {}) {
+        if (!opts.definition) throw new Error('Track: missing definition (build tracks with TrackLoader.loadTrack)');
+        const def = opts.definition;
+
         this.scene = scene;
+        this.definition = def;
+        this.id = def.id;
+        this.name = def.name;
+        this.preview = !!opts.preview;
         this.curve = null;
+
+        // --- Seeded randomness (one independent stream per generator) ---
+        this.rng = opts.rng || new Random(opts.seed);
+        this.seed = this.rng.seed;
+
+        // Everything the track builds lives under one root so it can be disposed
+        this.root = new THREE.Group();
+        this.root.name = 'track';
+        this.scene.add(this.root);
         
         // --- System Collections ---
         this.destructibles = []; 
@@ -21,102 +57,299 @@ export class Track {
         this.lights = [];
         this.scenery = [];
         
-        // --- Configuration Constants ---
-        this.cityRadius = 1500;
-        this.buildingCount = 200;
-        this.roadWidth = 20;
-        this.segmentCount = 250;
-        this.pillarColor = 0x080808;
-        this.neonCyan = 0x00ffff;
-        this.neonPink = 0xff0066;
-        // Exposed checkpoint positions (updated after spline creation)
+        // --- Configuration (from the definition) ---
+        this.theme = def.theme;
+        this.city = def.city;
+        this.roadWidth = def.roadWidth; // base half-width; per-point widths via getWidthAt
+        this.shoulderWidth = def.shoulders.width; // grass/dirt run-off beyond each edge
+        this.segmentCount = def.segments;
+        this.gates = def.checkpoints;   // lap gate curve fractions (CheckpointSystem)
+        this.spawn = def.spawn;
+        this.pillarColor = def.theme.buildings;
+        this.primaryColor = def.theme.primary;
+        this.secondaryColor = def.theme.secondary;
+        this.groundLevel = -40; // flat terrain under the circuit
+
+        // --- Detail (graphics settings) ---
+        this.buildingDensity = opts.buildingDensity !== undefined ? opts.buildingDensity : 1;
+        this.shadowMapSize = opts.shadowMapSize !== undefined ? opts.shadowMapSize : 2048;
+        this.drawDistance = opts.drawDistance !== undefined ? opts.drawDistance : 1;
+        // Exposed start line position (updated after spline creation)
         this.startLinePos = new THREE.Vector3();
-        this.halfwayPos = new THREE.Vector3();
         
-        this.init();
+        if (!opts.deferred) this.init();
     }
 
     /**
      * INITIALIZATION CHAIN
      */
     init() {
-        this.createTrackSpline();
-        this.createRoadSurface();
-        this.createProceduralCity();
-        this.createAtmosphericDepth();
-        this.createSceneryProps();
-        this.createTracksideDetails();
-
-        // set convenient checkpoint positions used by game logic
-        if (this.curve) {
-            this.startLinePos.copy(this.curve.getPointAt(0));
-            // halfway roughly at 0.25 along the track
-            this.halfwayPos.copy(this.curve.getPointAt(0.25));
+        this.generationSteps().forEach(([, run]) => run());
+    }
+
+    /**
+     * Generation in order as [name, run] pairs, so loaders can report progress per step
+     * (see TrackLoader.loadTrackStepwise). Preview tracks stop after the road.
+     */
+    generationSteps() {
+        const steps = [
+            ['spline', () => {
+                this.createTrackSpline();
+                // start/finish line (lap gates are built from the curve by CheckpointSystem)
+                this.startLinePos.copy(this.curve.getPointAt(0));
+            }],
+            ['lighting', () => this.createLighting()],
+            ['road', () => this.createRoadSurface()]
+        ];
+        if (!this.preview) {
+            steps.push(
+                ['city', () => this.createProceduralCity()],
+                ['atmosphere', () => this.createAtmosphericDepth()],
+                ['props', () => this.createSceneryProps()],
+                ['details', () => this.createTracksideDetails()]
+            );
         }
+        return steps;
     }
 
     /**
      * CORE TRACK SPLINE
-     * Defines the circuit path with variable height data.
+     * Circuit path from the definition's control points.
      */
     createTrackSpline() {
-        // Define control points for a rounded circuit. Use more points for smoother routing.
-        const points = [
-            new THREE.Vector3(0, 0, 0),
-            new THREE.Vector3(120, 18, 180),
-            new THREE.Vector3(360, 34, 320),
-            new THREE.Vector3(700, 15, 200),
-            new THREE.Vector3(640, -8, -240),
-            new THREE.Vector3(320, -22, -420),
-            new THREE.Vector3(90, -12, -150),
-            new THREE.Vector3(-140, 6, -40),
-            new THREE.Vector3(-300, 12, 160),
-            new THREE.Vector3(-120, 18, 300),
-            new THREE.Vector3(0, 0, 0)
-        ];
+        this.curve = buildTrackCurve(this.definition);
+    }
+
+    /**
+     * THEMED LIGHT RIG
+     * Ambient fill + shadow-casting "moon" from the theme.
+     */
+    createLighting() {
+        const { ambient, sun } = this.theme;
+        this.ambientLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
+        this.root.add(this.ambientLight);
+
+        const moonLight = new THREE.DirectionalLight(sun.color, sun.intensity);
+        moonLight.position.fromArray(sun.position);
+        this.root.add(moonLight);
+        this.moonLight = moonLight;
+        this.setShadowMapSize(this.shadowMapSize);
+    }
+
+    // Moon shadow resolution; 0 turns the shadows off (the map is reallocated on resize)
+    setShadowMapSize(size) {
+        this.shadowMapSize = size;
+        const light = this.moonLight;
+        if (!light) return;
+        light.castShadow = !this.preview && size > 0; // the editor rebuilds every frame while dragging
+        if (size > 0 && light.shadow.mapSize.x !== size) {
+            light.shadow.mapSize.set(size, size);
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        }
+    }
+
+    // Fog scale: below 1 the fog closes in (pair with a shorter camera far plane)
+    setDrawDistance(scale) {
+        this.drawDistance = scale;
+        if (this.fog) this.fog.density = this.theme.fog.density / scale;
+    }
+
+    /**
+     * ROAD FRAMES
+     * One frame per road segment: centre, tangent, right and road-up. "right" is kept
+     * horizontal, then rolled by the banking (+ = right edge down), so the edges are simply
+     * centre ± right × width and everything built on the frames follows the true borders.
+     */
+    computeRoadFrames() {
+        const n = this.segmentCount;
+        const worldUp = new THREE.Vector3(0, 1, 0);
+        const frames = [];
+        for (let i = 0; i < n; i++) {
+            const t = i / n;
+            const point = this.curve.getPointAt(t);
+            const tangent = this.curve.getTangentAt(t).normalize();
+            const flatRight = new THREE.Vector3().crossVectors(tangent, worldUp).normalize();
+            const flatUp = new THREE.Vector3().crossVectors(flatRight, tangent);
+
+            const bank = THREE.MathUtils.degToRad(this.getBankAt(t));
+            const right = flatRight.clone().multiplyScalar(Math.cos(bank)).addScaledVector(flatUp, -Math.sin(bank));
+            const up = flatUp.clone().multiplyScalar(Math.cos(bank)).addScaledVector(flatRight, Math.sin(bank));
 
-        this.curve = new THREE.CatmullRomCurve3(points, true, 'catmullrom', 0.85);
+            frames.push({ t, point, tangent, right, up, width: this.getWidthAt(t), kerb: false });
+        }
+
+        // Kerbs wherever the road bends tighter than kerbs.maxRadius (plus a little run-in/out)
+        const { maxRadius } = this.definition.kerbs;
+        const segment = this.curve.getLength() / n;
+        const bends = frames.map((f, i) => {
+            const a = frames[(i + n - 1) % n].tangent;
+            const b = frames[(i + 1) % n].tangent;
+            const turn = Math.abs(Math.atan2(a.x * b.z - a.z * b.x, a.x * b.x + a.z * b.z));
+            return turn > 0 && (2 * segment) / turn < maxRadius;
+        });
+        frames.forEach((f, i) => {
+            for (let k = -2; k <= 2; k++) f.kerb = f.kerb || bends[(i + k + n) % n];
+        });
+
+        this.roadFrames = frames;
+        this.segmentLength = segment;
     }
 
     /**
      * ROAD SURFACE & ASPHALT
-     * Generates high-poly road with neon boundary markers.
+     * Flat ribbon along the road frames: tarmac, corner kerbs (painted on the road edge),
+     * dashed centre line and neon strips standing on the real left/right borders.
      */
     createRoadSurface() {
+        this.computeRoadFrames();
+        const { width: kerbWidth } = this.definition.kerbs;
+        const at = (f, lateral, lift = 0) => f.point.clone().addScaledVector(f.right, lateral).addScaledVector(f.up, lift);
+
         // 1. Asphalt Body
-        const tubeGeo = new THREE.TubeGeometry(this.curve, this.segmentCount, this.roadWidth, 24, true);
-        
-        // Custom Shader-ready Asphalt Material
         const asphaltMat = new THREE.MeshStandardMaterial({ 
-            color: 0x111111,
+            color: this.theme.asphalt,
             roughness: 0.9,
             metalness: 0.1,
             flatShading: false,
             side: THREE.DoubleSide
         });
-
-        const roadMesh = new THREE.Mesh(tubeGeo, asphaltMat);
+        const roadGeo = this.buildRoadStrip((f, s) => at(f, s ? f.width : -f.width));
+        const roadMesh = new THREE.Mesh(roadGeo, asphaltMat);
         roadMesh.receiveShadow = true;
-        this.scene.add(roadMesh);
-
-        // 2. Neon Boundary Strips (Cyan Side)
-        // edges use same curve but with smaller radius
-        const cyanEdgeGeo = new THREE.TubeGeometry(this.curve, this.segmentCount, this.roadWidth * 0.035, 8, true);
-        const cyanMat = new THREE.MeshBasicMaterial({ color: this.neonCyan });
-        const cyanEdge = new THREE.Mesh(cyanEdgeGeo, cyanMat);
-        cyanEdge.scale.set(1.08, 1.08, 1.08); // Outward Offset
-        this.scene.add(cyanEdge);
-
-        // 3. Neon Boundary Strips (Pink Side)
-        const pinkMat = new THREE.MeshBasicMaterial({ color: this.neonPink });
-        const pinkEdge = new THREE.Mesh(cyanEdgeGeo, pinkMat);
-        pinkEdge.scale.set(0.98, 0.98, 0.98); // slight inward offset
-        this.scene.add(pinkEdge);
+        this.root.add(roadMesh);
+
+        // 2. Kerbs (alternating white / secondary, slightly raised)
+        const white = new THREE.Color(0xffffff);
+        const paint = new THREE.Color(this.secondaryColor);
+        const kerbOpts = { include: (i) => this.roadFrames[i].kerb, color: (i) => (i % 2 ? white : paint) };
+        const kerbMat = new THREE.MeshBasicMaterial({ vertexColors: true });
+        const leftKerb = new THREE.Mesh(this.buildRoadStrip((f, s) => at(f, s ? kerbWidth - f.width : -f.width, 0.08), kerbOpts), kerbMat);
+        const rightKerb = new THREE.Mesh(this.buildRoadStrip((f, s) => at(f, s ? f.width : f.width - kerbWidth, 0.08), kerbOpts), kerbMat);
+        this.root.add(leftKerb, rightKerb);
+
+        // 3. Dashed centre line
+        const dashMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 });
+        const dashes = new THREE.Mesh(this.buildRoadStrip((f, s) => at(f, s ? 0.4 : -0.4, 0.04), { include: (i) => i % 2 === 0 }), dashMat);
+        this.root.add(dashes);
+
+        // 4. Grass/dirt shoulders (run-off on the same banked plane as the road)
+        const shoulder = this.shoulderWidth;
+        const shoulderMat = new THREE.MeshStandardMaterial({ color: this.theme.shoulder, roughness: 1, side: THREE.DoubleSide });
+        const leftShoulder = new THREE.Mesh(this.buildRoadStrip((f, s) => at(f, s ? -f.width : -f.width - shoulder)), shoulderMat);
+        const rightShoulder = new THREE.Mesh(this.buildRoadStrip((f, s) => at(f, s ? f.width + shoulder : f.width)), shoulderMat);
+        leftShoulder.receiveShadow = rightShoulder.receiveShadow = true;
+        this.root.add(leftShoulder, rightShoulder);
+
+        // 5. Neon Boundary Strips (primary left, secondary right) where the drivable ground ends
+        const edgeHeight = 0.6;
+        const leftEdge = new THREE.Mesh(
+            this.buildRoadStrip((f, s) => at(f, -f.width - shoulder, s * edgeHeight)),
+            new THREE.MeshBasicMaterial({ color: this.primaryColor, side: THREE.DoubleSide })
+        );
+        const rightEdge = new THREE.Mesh(
+            this.buildRoadStrip((f, s) => at(f, f.width + shoulder, s * edgeHeight)),
+            new THREE.MeshBasicMaterial({ color: this.secondaryColor, side: THREE.DoubleSide })
+        );
+        this.root.add(leftEdge, rightEdge);
+
+        // 6. Boost pads
+        this.createBoostPads();
 
         // store road references for debug or future updates
         this.roadMesh = roadMesh;
-        this.cyanEdge = cyanEdge;
-        this.pinkEdge = pinkEdge;
+        this.kerbs = [leftKerb, rightKerb];
+        this.shoulders = [leftShoulder, rightShoulder];
+        this.leftEdge = leftEdge;
+        this.rightEdge = rightEdge;
+    }
+
+    /**
+     * BOOST PADS
+     * Glowing chevron strips lying on the road; getSurfaceAt reports 'boost' on top of them.
+     */
+    createBoostPads() {
+        const length = this.curve.getLength();
+        this.boostPads = this.definition.boostPads.map(p => ({
+            t: p.t,
+            span: p.length / length,
+            lateral: p.lateral,
+            halfWidth: p.width / 2
+        }));
+        if (!this.boostPads.length) return;
+
+        const baseMat = new THREE.MeshBasicMaterial({ color: this.primaryColor, transparent: true, opacity: 0.25, depthWrite: false });
+        const chevronMat = new THREE.MeshBasicMaterial({ color: this.primaryColor, transparent: true, opacity: 0.9, blending: THREE.AdditiveBlending, depthWrite: false });
+        const basis = new THREE.Matrix4();
+        this.boostPadMeshes = this.definition.boostPads.map(p => {
+            const t = (p.t + p.length / length / 2) % 1;
+            const frame = this.roadFrames[Math.round(t * this.segmentCount) % this.segmentCount];
+            const geo = new THREE.PlaneGeometry(p.width, p.length);
+            geo.rotateX(-Math.PI / 2);
+            const pad = new THREE.Mesh(geo, baseMat);
+
+            // Three chevrons pointing down the track (local -Z)
+            const chevronGeo = createChevronGeometry(p.width * 0.4, p.length * 0.18);
+            for (let k = -1; k <= 1; k++) {
+                const chevron = new THREE.Mesh(chevronGeo, chevronMat);
+                chevron.position.set(0, 0.02, k * p.length * 0.28);
+                pad.add(chevron);
+            }
+
+            // Local axes onto the road frame: x = right, y = road-up, -z = along the track
+            const back = frame.tangent.clone().negate();
+            pad.quaternion.setFromRotationMatrix(basis.makeBasis(frame.right, frame.up, back));
+            pad.position.copy(this.curve.getPointAt(t)).addScaledVector(frame.right, p.lateral).addScaledVector(frame.up, 0.06);
+            this.root.add(pad);
+            return pad;
+        });
+    }
+
+    /**
+     * ROAD STRIP BUILDER
+     * One quad per road segment between two points of each frame.
+     * @param {function(object, number): THREE.Vector3} pointAt frame + side (0 or 1) -> position
+     * @param {object} [opts]
+     * @param {function(number): boolean} [opts.include] build segment i?
+     * @param {function(number): THREE.Color} [opts.color] vertex colour of segment i
+     */
+    buildRoadStrip(pointAt, opts = {}) {
+        const frames = this.roadFrames;
+        const n = frames.length;
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        const colors = [];
+        const indices = [];
+
+        for (let i = 0; i < n; i++) {
+            if (opts.include && !opts.include(i)) continue;
+            const base = positions.length / 3;
+            for (let k = 0; k < 4; k++) {
+                const along = k >> 1;          // 0 = this frame, 1 = next frame
+                const f = frames[(i + along) % n];
+                const p = pointAt(f, k & 1);
+                positions.push(p.x, p.y, p.z);
+                normals.push(f.up.x, f.up.y, f.up.z);
+                uvs.push(k & 1, ((i + along) * this.segmentLength) / 10);
+                if (opts.color) {
+                    const c = opts.color(i);
+                    colors.push(c.r, c.g, c.b);
+                }
+            }
+            indices.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geo.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geo.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        if (opts.color) geo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geo.setIndex(indices);
+        geo.computeBoundingSphere();
+        return geo;
     }
 
     /**
@@ -124,36 +357,56 @@ export class Track {
      * Generates a dense urban environment with collision registration.
      */
     createProceduralCity() {
+        const cityRng = this.rng.fork('city');
         const pillarMat = new THREE.MeshStandardMaterial({ 
             color: this.pillarColor, 
             roughness: 0.6, 
             metalness: 0.3 
         });
 
-        for (let i = 0; i < this.buildingCount; i++) {
+        const city = this.city;
+        const start = this.curve.getPointAt(0);
+
+        // Road-edge samples for keeping buildings off the tarmac
+        this._roadSamples = [];
+        for (let i = 0; i < 400; i++) {
+            const t = i / 400;
+            this._roadSamples.push({ point: this.curve.getPointAt(t), width: this.getWidthAt(t) });
+        }
+
+        for (let i = 0; i < city.count; i++) {
+            // Every building draws from its own stream, so leaving one out never moves the rest
+            const rng = cityRng.fork(`building-${i}`);
+
             // Randomize Architecture
-            const h = 80 + Math.random() * 350;
-            const w = 25 + Math.random() * 50;
-            const d = 25 + Math.random() * 50;
-            
-            // Use geometry with exact dimensions (no scaling)
-            const building = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), pillarMat);
+            const h = rng.range(city.height[0], city.height[1]);
+            const w = rng.range(city.size[0], city.size[1]);
+            const d = rng.range(city.size[0], city.size[1]);
             
             // Layout Logic (Avoid track exclusion zone)
-            const angle = Math.random() * Math.PI * 2;
-            const dist = 180 + Math.random() * 1000;
+            const angle = rng.range(0, Math.PI * 2);
+            const dist = rng.range(city.radius[0], city.radius[1]);
+            const thinning = rng.next(); // kept at a building density above this
             
-            const x = Math.cos(angle) * dist;
-            const z = Math.sin(angle) * dist;
+            const x = city.center[0] + Math.cos(angle) * dist;
+            const z = city.center[1] + Math.sin(angle) * dist;
             
             // Collision-free start zone
-            if (Math.abs(x) < 60 && Math.abs(z) < 60) continue;
+            if (Math.abs(x - start.x) < city.startClearance && Math.abs(z - start.z) < city.startClearance) continue;
+            if (city.roadClearance > 0 && this.isNearRoad(x, z, Math.max(w, d) / 1.7 + city.roadClearance)) continue;
+
+            // Lower density thins out the backdrop only: buildings a car can reach always stand
+            const backdrop = !this.isNearRoad(x, z, Math.max(w, d) / 1.7 + this.shoulderWidth + BACKDROP_MARGIN);
+            if (backdrop && thinning >= this.buildingDensity) continue;
 
+            // Use geometry with exact dimensions (no scaling)
+            const building = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), pillarMat);
+            
             building.position.set(x, h / 2 - 30, z);
             building.castShadow = true;
             building.receiveShadow = true;
             
-            this.scene.add(building);
+            this.root.add(building);
 
             // Register for Collision System
             building.userData = { 
@@ -164,7 +417,7 @@ export class Track {
             this.colliders.push(building);
 
             // Add Window Lighting Arrays
-            this.generateWindowArrays(building, w, h, d);
+            this.generateWindowArrays(building, w, h, d, rng);
         }
     }
 
@@ -172,9 +425,9 @@ export class Track {
      * WINDOW LIGHTING GENERATOR
      * Creates individual glow planes on building surfaces.
      */
-    generateWindowArrays(building, w, h, d) {
+    generateWindowArrays(building, w, h, d, rng) {
         const floors = Math.floor(h / 15);
-        const color = Math.random() > 0.5 ? this.neonCyan : this.neonPink;
+        const color = rng.chance(0.5) ? this.primaryColor : this.secondaryColor;
         
         for (let f = 0; f < floors; f++) {
             // Front/Back Windows
@@ -182,7 +435,7 @@ export class Track {
             const rowMat = new THREE.MeshBasicMaterial({ 
                 color: color, 
                 transparent: true,
-                opacity: 0.7 + Math.random() * 0.3
+                opacity: rng.range(0.7, 1.0)
             });
             
             const frontWindow = new THREE.Mesh(rowGeo, rowMat);
@@ -203,11 +456,11 @@ export class Track {
         }
 
         // Add Local Emission Light
-            if (Math.random() > 0.7) {
+            if (rng.chance(0.3)) {
                 const light = new THREE.PointLight(color, 120, 80);
                 light.position.copy(building.position);
                 light.position.y = 10;
-                this.scene.add(light);
+                this.root.add(light);
                 this.lights.push(light);
             }
     }
@@ -220,23 +473,24 @@ export class Track {
         // Ground Mesh
         const groundGeo = new THREE.PlaneGeometry(4000, 4000);
         const groundMat = new THREE.MeshStandardMaterial({ 
-            color: 0x030303, 
+            color: this.theme.ground, 
             roughness: 1, 
             metalness: 0 
         });
         const ground = new THREE.Mesh(groundGeo, groundMat);
         ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -40;
+        ground.position.y = this.groundLevel;
         ground.receiveShadow = true;
-        this.scene.add(ground);
+        this.root.add(ground);
 
         // Volumetric Starfield
         const starGeo = new THREE.BufferGeometry();
-        const starCount = 5000;
+        const starCount = Math.round(this.theme.stars * this.buildingDensity);
         const posArray = new Float32Array(starCount * 3);
+        const rng = this.rng.fork('stars');
         
         for (let i = 0; i < starCount * 3; i++) {
-            posArray[i] = (Math.random() - 0.5) * 2500;
+            posArray[i] = rng.range(-1250, 1250);
         }
         
         starGeo.setAttribute('position', new THREE.BufferAttribute(posArray, 3));
@@ -247,10 +501,12 @@ export class Track {
             opacity: 0.8
         });
         const stars = new THREE.Points(starGeo, starMat);
-        this.scene.add(stars);
+        this.root.add(stars);
 
         // Global Fog
-        this.scene.fog = new THREE.FogExp2(0x010101, 0.0009);
+        this.fog = new THREE.FogExp2(this.theme.fog.color, this.theme.fog.density);
+        this.scene.fog = this.fog;
+        this.setDrawDistance(this.drawDistance);
     }
 
     /**
@@ -258,10 +514,12 @@ export class Track {
      * Logic for scatterable physical objects along the road.
      */
     createSceneryProps() {
+        const { crates, placed } = this.definition.props;
         const crateGeo = new THREE.BoxGeometry(3.5, 3.5, 3.5);
+        const rng = this.rng.fork('props');
         
-        for (let i = 0; i < 75; i++) {
-            const t = Math.random();
+        for (let i = 0; i < crates.count; i++) {
+            const t = rng.next();
             const pos = this.curve.getPointAt(t);
             const tangent = this.curve.getTangentAt(t);
             
@@ -269,31 +527,42 @@ export class Track {
             const up = new THREE.Vector3(0, 1, 0);
             const normal = new THREE.Vector3().crossVectors(up, tangent).normalize();
             
-            const offsetWidth = (Math.random() - 0.5) * 35;
+            const offsetWidth = rng.range(-crates.spread, crates.spread);
             pos.add(normal.multiplyScalar(offsetWidth));
             
-            const color = Math.random() > 0.5 ? this.neonPink : this.neonCyan;
-            const mat = new THREE.MeshStandardMaterial({ 
-                color: 0x1a1a1a, 
-                emissive: color,
-                emissiveIntensity: 0.3
-            });
-            
-            const crate = new THREE.Mesh(crateGeo, mat);
-            crate.position.copy(pos);
-            crate.position.y += 2;
-            crate.rotation.set(Math.random(), Math.random(), Math.random());
-            
-            crate.userData = { 
-                hit: false, 
-                color: color, 
-                type: 'destructible',
-                scoreValue: 100 
-            };
-            
-            this.scene.add(crate);
-            this.destructibles.push(crate);
+            const color = rng.chance(0.5) ? this.secondaryColor : this.primaryColor;
+            this.addCrate(crateGeo, pos, color, new THREE.Euler(rng.next(), rng.next(), rng.next()));
         }
+
+        // Hand-placed crates (lateral + = right, like spawn slots)
+        placed.filter(p => p.type === 'crate').forEach((p, i) => {
+            const spot = this.getSpawnTransform(p.t, 0, p.lateral);
+            const color = i % 2 ? this.secondaryColor : this.primaryColor;
+            this.addCrate(crateGeo, spot.position, color, new THREE.Euler(0, spot.yaw, 0));
+        });
+    }
+
+    addCrate(geometry, position, color, rotation) {
+        const mat = new THREE.MeshStandardMaterial({ 
+            color: 0x1a1a1a, 
+            emissive: color,
+            emissiveIntensity: 0.3
+        });
+        
+        const crate = new THREE.Mesh(geometry, mat);
+        crate.position.copy(position);
+        crate.position.y += 2;
+        crate.rotation.copy(rotation);
+        
+        crate.userData = { 
+            hit: false, 
+            color: color, 
+            type: 'destructible',
+            scoreValue: 100 
+        };
+        
+        this.root.add(crate);
+        this.destructibles.push(crate);
     }
 
     /**
@@ -301,23 +570,27 @@ export class Track {
      * Signs, floating markers, and aesthetic geometry.
      */
     createTracksideDetails() {
-        for (let i = 0; i < 15; i++) {
-            const t = (i / 15);
+        const { arches, placed } = this.definition.props;
+        const spots = [];
+        for (let i = 0; i < arches.count; i++) spots.push(i / arches.count);
+        placed.filter(p => p.type === 'arch').forEach(p => spots.push(p.t));
+
+        const neonMat = new THREE.MeshBasicMaterial({ color: this.primaryColor });
+        spots.forEach(t => {
             const pos = this.curve.getPointAt(t);
             const tangent = this.curve.getTangentAt(t);
-            const normal = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+            const half = this.getWidthAt(t);
             
-            // Archway logic
+            // Archway logic (spans the local road width, rolled with the banking)
             const archGroup = new THREE.Group();
             const pillarGeo = new THREE.BoxGeometry(2, 40, 2);
-            const beamGeo = new THREE.BoxGeometry(40, 2, 2);
-            const neonMat = new THREE.MeshBasicMaterial({ color: this.neonCyan });
+            const beamGeo = new THREE.BoxGeometry(half * 2, 2, 2);
             
             const leftP = new THREE.Mesh(pillarGeo, neonMat);
-            leftP.position.set(-20, 20, 0);
+            leftP.position.set(-half, 20, 0);
             
             const rightP = new THREE.Mesh(pillarGeo, neonMat);
-            rightP.position.set(20, 20, 0);
+            rightP.position.set(half, 20, 0);
             
             const beam = new THREE.Mesh(beamGeo, neonMat);
             beam.position.set(0, 40, 0);
@@ -325,10 +598,11 @@ export class Track {
             archGroup.add(leftP, rightP, beam);
             archGroup.position.copy(pos);
             archGroup.lookAt(pos.clone().add(tangent));
+            archGroup.rotateZ(THREE.MathUtils.degToRad(this.getBankAt(t)));
             
-            this.scene.add(archGroup);
+            this.root.add(archGroup);
             this.scenery.push(archGroup);
-        }
+        });
     }
 
     /**
@@ -349,12 +623,52 @@ export class Track {
         });
     }
 
+    /**
+     * TEARDOWN
+     * Removes everything this track added and frees GPU resources.
+     */
+    dispose() {
+        this.scene.remove(this.root);
+        this.root.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+                mats.forEach(m => m.dispose());
+            }
+            if (obj.isLight) obj.dispose(); // frees the moon's shadow map
+        });
+        this.destructibles.length = 0;
+        this.colliders.length = 0;
+        this.lights.length = 0;
+        this.scenery.length = 0;
+    }
+
     /**
      * PHYSICS HELPER
      * Calculate track distance for ranking/AI
      */
-    getTrackProgress(position) {
+    getTrackProgress(position, near = null) {
         // Returns 0.0 to 1.0 progress by projecting position onto the curve
+        // With a hint (last known progress) only a small window around it is searched,
+        // which is cheap enough to run every simulation step for every car
+        if (near !== null) {
+            const windowSize = 0.01;
+            const steps = 40;
+            let minDist = Infinity;
+            let bestI = 0;
+            for (let i = 0; i <= steps; i++) {
+                const t = (((near - windowSize + (2 * windowSize * i) / steps) % 1) + 1) % 1;
+                const d = this.curve.getPointAt(t).distanceToSquared(position);
+                if (d < minDist) {
+                    minDist = d;
+                    bestI = i;
+                }
+            }
+            // Nearest point inside the window: done. On its edge the car moved further
+            // (teleport, respawn) and the full search below takes over.
+            if (bestI > 0 && bestI < steps) return (((near - windowSize + (2 * windowSize * bestI) / steps) % 1) + 1) % 1;
+        }
+
         // We'll sample to find the nearest t for robust result
         const samples = 200;
         let minDist = Infinity;
@@ -368,8 +682,178 @@ export class Track {
                 bestT = t;
             }
         }
-        return bestT;
+        return bestT % 1;
+    }
+    /**
+     * ROAD PROFILE
+     * Per-point width (half-width) and banking (degrees, + = right edge down),
+     * eased between control points. t is a curve fraction (getPointAt space).
+     */
+    getWidthAt(t) {
+        return this.profileAt(t, 'width');
     }
+
+    getBankAt(t) {
+        return this.profileAt(t, 'bank');
+    }
+
+    profileAt(t, key) {
+        const points = this.definition.points;
+        const u = this.curve.getUtoTmapping((((t % 1) + 1) % 1)) * points.length;
+        const i = Math.floor(u) % points.length;
+        const k = u - Math.floor(u);
+        const a = points[i][key];
+        const b = points[(i + 1) % points.length][key];
+        return a + (b - a) * k * k * (3 - 2 * k);
+    }
+
+    /**
+     * ROAD SURFACE QUERY
+     * Analytic sample of the road under a position: nearest road segment, lateral offset,
+     * surface height (smooth along the spline, banked across it) and surface normal.
+     * Matches the ribbon mesh built from the same road frames.
+     * @param {THREE.Vector3} position world position (its height picks the right level where roads overlap)
+     * @param {number} [hint] frame index from the previous query (-1 = search the whole track)
+     * @param {object} [target] result to fill (reuse it to avoid allocations)
+     * @returns {{index: number, t: number, lateral: number, width: number, edge: number, height: number, normal: THREE.Vector3, onRoad: boolean, surface: string|null}}
+     */
+    sampleRoad(position, hint = -1, target = { point: new THREE.Vector3(), normal: new THREE.Vector3(), right: new THREE.Vector3() }) {
+        const frames = this.roadFrames;
+        const n = frames.length;
+
+        // Nearest frame: a few either side of the hint, everything when it sits on the window edge
+        let best = -1;
+        if (hint >= 0) {
+            const window = 4;
+            let bestDist = Infinity;
+            let bestK = 0;
+            for (let k = -window; k <= window; k++) {
+                const i = (hint + k + n) % n;
+                const d = frames[i].point.distanceToSquared(position);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = i;
+                    bestK = k;
+                }
+            }
+            if (Math.abs(bestK) === window) best = -1;
+        }
+        if (best < 0) {
+            let bestDist = Infinity;
+            for (let i = 0; i < n; i++) {
+                const d = frames[i].point.distanceToSquared(position);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = i;
+                }
+            }
+        }
+
+        // Segment before or after that frame, and how far along it: between the cross-section
+        // planes of its two frames, so the result stays continuous from one segment to the next
+        const ahead = this.crossSectionDistance(frames[best], position) >= 0;
+        const i0 = ahead ? best : (best + n - 1) % n;
+        const a = frames[i0];
+        const b = frames[(i0 + 1) % n];
+        const da = this.crossSectionDistance(a, position);
+        const db = this.crossSectionDistance(b, position);
+        const along = THREE.MathUtils.clamp(da / (da - db || 1), 0, 1);
+
+        const t = (i0 + along) / n;
+        const centre = this.curve.getPointAt(t % 1, target.point);
+        const right = target.right.lerpVectors(a.right, b.right, along).normalize();
+        const lateral = ((position.x - centre.x) * right.x + (position.z - centre.z) * right.z) / (right.x * right.x + right.z * right.z);
+
+        target.index = best;
+        target.t = t % 1;
+        target.lateral = lateral;
+        target.width = a.width + (b.width - a.width) * along;
+        target.height = centre.y + right.y * lateral;
+        target.edge = target.width + this.shoulderWidth; // end of the drivable ground
+        target.normal.lerpVectors(a.up, b.up, along).normalize();
+        target.onRoad = Math.abs(lateral) <= target.width;
+        target.surface = this.classifySurface(target);
+        return target;
+    }
+
+    /**
+     * SURFACE QUERY
+     * Surface material under a position: 'asphalt', 'kerb', 'grass', 'boost' (see Surfaces.js),
+     * or null past the shoulders (nothing to drive on).
+     * @param {THREE.Vector3} position
+     * @param {number} [hint] frame index from a previous query
+     */
+    getSurfaceAt(position, hint = -1) {
+        return this.sampleRoad(position, hint).surface;
+    }
+
+    // Surface of a sampleRoad result
+    classifySurface(sample) {
+        const offset = Math.abs(sample.lateral);
+        if (offset > sample.edge) return null;
+        if (offset > sample.width) return 'grass';
+        for (const pad of this.boostPads) {
+            const into = (((sample.t - pad.t) % 1) + 1) % 1;
+            if (into <= pad.span && Math.abs(sample.lateral - pad.lateral) <= pad.halfWidth) return 'boost';
+        }
+        if (offset >= sample.width - this.definition.kerbs.width && this.roadFrames[sample.index].kerb) return 'kerb';
+        return 'asphalt';
+    }
+
+    // Signed horizontal distance of a position past a road frame's cross-section
+    crossSectionDistance(frame, position) {
+        return (position.x - frame.point.x) * frame.tangent.x + (position.z - frame.point.z) * frame.tangent.z;
+    }
+
+    // Terrain height under a point. The ground is a flat plane at groundLevel by design
+    // (the circuit's hills are in the road itself), so x and z do not matter
+    getTerrainHeight(x, z) {
+        return this.groundLevel;
+    }
+
+    // Is (x, z) within `margin` of the road edge anywhere along the track?
+    isNearRoad(x, z, margin) {
+        for (let i = 0; i < this._roadSamples.length; i++) {
+            const s = this._roadSamples[i];
+            const reach = s.width + margin;
+            const dx = s.point.x - x;
+            const dz = s.point.z - z;
+            if (dx * dx + dz * dz < reach * reach) return true;
+        }
+        return false;
+    }
+
+    /**
+     * GRID
+     * Player and rival starting slots from the definition, measured from the start line.
+     * Rivals beyond the listed slots line up behind the last one.
+     */
+    getPlayerSpawn() {
+        const slot = this.spawn.player;
+        return this.getSpawnTransform(0, slot.distance, slot.lateral);
+    }
+
+    getGridSlot(index) {
+        const grid = this.spawn.grid;
+        const slot = grid[index] || { distance: grid[grid.length - 1].distance + 12 * (index - grid.length + 1), lateral: 0 };
+        return this.getSpawnTransform(0, slot.distance, slot.lateral);
+    }
+
+    /**
+     * SPAWN HELPER
+     * Position + yaw facing along the track, `distance` units after curve fraction t.
+     * Car forward is -Z, so yaw = atan2(-tangent.x, -tangent.z).
+     */
+    getSpawnTransform(t = 0, distance = 0, lateral = 0) {
+        const length = this.curve.getLength();
+        const u = (((t + distance / length) % 1) + 1) % 1;
+        const position = this.curve.getPointAt(u);
+        const tangent = this.curve.getTangentAt(u);
+        const side = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+        position.addScaledVector(side, lateral);
+        return { position, yaw: Math.atan2(-tangent.x, -tangent.z), t: u };
+    }
+
     getClosestPointOnTrack(position, samples = 200) {
         let minDist = Infinity;
         let targetT = 0;
@@ -388,4 +872,20 @@ export class Track {
             distanceSq: minDist
         };
     }
-}
\ No newline at end of file
+}
+
+// Flat chevron (arrow head) in the XZ plane, tip towards -Z
+function createChevronGeometry(halfWidth, depth) {
+    const thickness = depth * 0.5;
+    const shape = new THREE.Shape();
+    shape.moveTo(0, depth);
+    shape.lineTo(halfWidth, 0);
+    shape.lineTo(halfWidth, -thickness);
+    shape.lineTo(0, depth - thickness);
+    shape.lineTo(-halfWidth, -thickness);
+    shape.lineTo(-halfWidth, 0);
+    shape.closePath();
+    const geo = new THREE.ShapeGeometry(shape);
+    geo.rotateX(-Math.PI / 2); // shape +Y -> world -Z
+    return geo;
+}
@@ -0,0 +1,56 @@
+import * as THREE from 'three';
+
+// Closed Catmull-Rom spline with a tension per control point
+// - Same maths as THREE.CatmullRomCurve3 ('catmullrom' type): the tangent at point i
+//   is tension[i] x (next - previous), so equal tensions give the identical curve
+// - Lower tension = tighter around a point, higher = rounder sweep through it
+// - Arc-length helpers (getPointAt, getLength, ...) come from THREE.Curve
+
+export class TrackCurve extends THREE.Curve {
+    /**
+     * @param {THREE.Vector3[]} points control points (closed loop)
+     * @param {number[]} tensions one per point
+     */
+    constructor(points, tensions) {
+        super();
+        this.type = 'TrackCurve';
+        this.points = points;
+        this.tensions = tensions;
+        this.closed = true;
+    }
+
+    getPoint(t, optionalTarget = new THREE.Vector3()) {
+        const points = this.points;
+        const l = points.length;
+
+        const p = l * t;
+        let intPoint = Math.floor(p);
+        const weight = p - intPoint;
+        intPoint += intPoint > 0 ? 0 : (Math.floor(Math.abs(intPoint) / l) + 1) * l;
+
+        const i0 = (intPoint - 1) % l;
+        const i1 = intPoint % l;
+        const i2 = (intPoint + 1) % l;
+        const i3 = (intPoint + 2) % l;
+        const tension1 = this.tensions[i1];
+        const tension2 = this.tensions[i2];
+
+        const axis = (key) => cubic(
+            points[i1][key],
+            points[i2][key],
+            tension1 * (points[i2][key] - points[i0][key]),
+            tension2 * (points[i3][key] - points[i1][key]),
+            weight
+        );
+        return optionalTarget.set(axis('x'), axis('y'), axis('z'));
+    }
+}
+
+// Hermite segment: p(0) = x0, p(1) = x1, p'(0) = t0, p'(1) = t1
+function cubic(x0, x1, t0, t1, s) {
+    const c2 = -3 * x0 + 3 * x1 - 2 * t0 - t1;
+    const c3 = 2 * x0 - 2 * x1 + t0 + t1;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    return x0 + t0 * s + c2 * s2 + c3 * s3;
+}
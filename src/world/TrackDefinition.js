@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+import { TrackCurve } from './TrackCurve.js';
+import { hashString } from '../core/Random.js';
+
+// Track definition format (one JSON file per circuit, see ./tracks)
+// - points: closed loop of spline control points { x, y, z, width?, bank?, tension? }
+//   width = road half-width at that point, bank = road roll in degrees (+ = right edge down),
+//   tension = how round the spline sweeps through the point (defaults to the track tension)
+// - kerbs: painted strip on both road edges wherever the road bends tighter than maxRadius
+// - shoulders: grass/dirt run-off beside both road edges (slow, slippery; beyond it the car falls)
+// - boostPads: speed strips on the road { t, lateral, length, width } (width = full pad width)
+// - checkpoints: curve fractions of the lap gates (first one 0 = start/finish) or { count }
+// - spawn: player + rival grid slots, measured from the start line
+//   (distance along the track, lateral offset + = right)
+// - props: scattered crates/arches plus hand-placed ones at curve fractions
+// - city: procedural buildings around the circuit (kept off the road by roadClearance)
+// - theme: sky, fog, lights and the two accent colours (colours as "#rrggbb")
+// - parseTrackDefinition() validates and fills in defaults, so Track only ever sees
+//   complete definitions; bad files fail with a readable error
+// - serializeTrackDefinition() writes a definition back out (editor export)
+// - trackLayoutHash() fingerprints the drivable layout (records of edited tracks are kept per layout)
+
+export const TRACK_FORMAT = 'turbo-drift-track';
+export const TRACK_FORMAT_VERSION = 1;
+
+const DEFAULT_THEME = {
+    background: 0x010101,
+    fog: { color: 0x020202, density: 0.0012 },
+    ambient: { color: 0xffffff, intensity: 0.15 },
+    sun: { color: 0x00ffff, intensity: 0.45, position: [200, 400, 100] },
+    ground: 0x030303,
+    asphalt: 0x111111,
+    shoulder: 0x10180c,
+    buildings: 0x080808,
+    primary: 0x00ffff,
+    secondary: 0xff0066,
+    stars: 5000
+};
+
+const DEFAULT_CITY = {
+    count: 200,
+    center: [0, 0],
+    radius: [180, 1180],
+    height: [80, 430],
+    size: [25, 75],
+    startClearance: 60, // no buildings in this square around the start line
+    roadClearance: 0    // extra gap kept between buildings and the road edge (0 = no check)
+};
+
+const DEFAULT_KERBS = {
+    width: 2,       // painted inside the road edge
+    maxRadius: 150  // corners tighter than this get kerbs
+};
+
+const DEFAULT_SHOULDERS = {
+    width: 6        // run-off beyond each road edge
+};
+
+const DEFAULT_BOOST_PAD = { lateral: 0, length: 14, width: 6 };
+
+const DEFAULT_SPAWN = {
+    player: { distance: 8, lateral: 0 },
+    grid: [
+        { distance: 20, lateral: -5 },
+        { distance: 20, lateral: 5 },
+        { distance: 32, lateral: -5 },
+        { distance: 32, lateral: 5 }
+    ]
+};
+
+const PROP_TYPES = ['crate', 'arch'];
+
+/**
+ * Validate a parsed track JSON object and fill in defaults.
+ * @param {object} data
+ * @returns {object} complete definition (plain data, safe to keep and re-serialize)
+ */
+export function parseTrackDefinition(data) {
+    if (!data || typeof data !== 'object') throw new Error('Track: definition must be an object');
+    if (data.format !== TRACK_FORMAT) throw new Error('Track: not a track file');
+    if (data.version !== TRACK_FORMAT_VERSION) throw new Error(`Track: unsupported version ${data.version}`);
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) throw new Error('Track: id must be lowercase letters, digits and dashes');
+
+    const roadWidth = positive(data.roadWidth, 20, 'roadWidth');
+    const tension = finite(data.tension, 0.5, 'tension');
+    if (!Array.isArray(data.points) || data.points.length < 4) throw new Error('Track: needs at least 4 control points');
+    const points = data.points.map((p, i) => {
+        if (!p || ![p.x, p.y, p.z].every(Number.isFinite)) throw new Error(`Track: control point ${i} needs numeric x, y, z`);
+        return {
+            x: p.x, y: p.y, z: p.z,
+            width: positive(p.width, roadWidth, `points[${i}].width`),
+            bank: finite(p.bank, 0, `points[${i}].bank`),
+            tension: finite(p.tension, tension, `points[${i}].tension`)
+        };
+    });
+
+    return {
+        format: TRACK_FORMAT,
+        version: TRACK_FORMAT_VERSION,
+        id: data.id,
+        name: typeof data.name === 'string' && data.name ? data.name : data.id,
+        description: typeof data.description === 'string' ? data.description : '',
+        curveType: ['centripetal', 'chordal', 'catmullrom'].includes(data.curveType) ? data.curveType : 'catmullrom',
+        tension,
+        segments: Math.round(positive(data.segments, 250, 'segments')),
+        roadWidth,
+        points,
+        kerbs: parseKerbs(data.kerbs),
+        shoulders: parseShoulders(data.shoulders),
+        boostPads: parseBoostPads(data.boostPads),
+        checkpoints: parseCheckpoints(data.checkpoints),
+        spawn: parseSpawn(data.spawn),
+        props: parseProps(data.props, roadWidth),
+        city: Object.assign({}, DEFAULT_CITY, data.city),
+        theme: parseTheme(data.theme)
+    };
+}
+
+/**
+ * Definition -> JSON text in the file format (colours back to "#rrggbb").
+ * @param {object} def parsed definition
+ */
+export function serializeTrackDefinition(def) {
+    const hex = (c) => `#${c.toString(16).padStart(6, '0')}`;
+    const t = def.theme;
+    const theme = Object.assign({}, t, {
+        background: hex(t.background),
+        fog: { color: hex(t.fog.color), density: t.fog.density },
+        ambient: { color: hex(t.ambient.color), intensity: t.ambient.intensity },
+        sun: { color: hex(t.sun.color), intensity: t.sun.intensity, position: t.sun.position },
+        ground: hex(t.ground),
+        asphalt: hex(t.asphalt),
+        shoulder: hex(t.shoulder),
+        buildings: hex(t.buildings),
+        primary: hex(t.primary),
+        secondary: hex(t.secondary)
+    });
+    return JSON.stringify(Object.assign({}, def, { theme }), null, 4);
+}
+
+/**
+ * Hash of everything that shapes the drive (spline, widths, kerbs, shoulders, pads, gates,
+ * grid, hand-placed props); name, city and theme are left out.
+ * @param {object} def parsed definition
+ * @returns {string} 8 hex digits
+ */
+export function trackLayoutHash(def) {
+    const { curveType, tension, segments, roadWidth, points, kerbs, shoulders, boostPads, checkpoints, spawn, props } = def;
+    const layout = { curveType, tension, segments, roadWidth, points, kerbs, shoulders, boostPads, checkpoints, spawn, props };
+    return hashString(JSON.stringify(layout)).toString(16).padStart(8, '0');
+}
+
+/**
+ * The centreline spline of a definition (closed loop, uniform in arc length via getPointAt).
+ * Uniform Catmull-Rom uses the per-point tensions; the other types ignore tension.
+ * @param {object} def parsed definition
+ */
+export function buildTrackCurve(def) {
+    const points = def.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    if (def.curveType === 'catmullrom') return new TrackCurve(points, def.points.map(p => p.tension));
+    return new THREE.CatmullRomCurve3(points, true, def.curveType, def.tension);
+}
+
+// -----------------------------
+// Section parsers
+// -----------------------------
+function parseKerbs(value = {}) {
+    return {
+        width: positive(value.width, DEFAULT_KERBS.width, 'kerbs.width'),
+        maxRadius: finite(value.maxRadius, DEFAULT_KERBS.maxRadius, 'kerbs.maxRadius')
+    };
+}
+
+function parseShoulders(value = {}) {
+    const width = finite(value.width, DEFAULT_SHOULDERS.width, 'shoulders.width');
+    if (width < 0) throw new Error('Track: shoulders.width must not be negative');
+    return { width };
+}
+
+function parseBoostPads(value = []) {
+    if (!Array.isArray(value)) throw new Error('Track: boostPads must be a list');
+    return value.map((p, i) => {
+        if (!p || !Number.isFinite(p.t)) throw new Error(`Track: boost pad ${i} needs a curve fraction t`);
+        return {
+            t: ((p.t % 1) + 1) % 1,
+            lateral: finite(p.lateral, DEFAULT_BOOST_PAD.lateral, `boostPads[${i}].lateral`),
+            length: positive(p.length, DEFAULT_BOOST_PAD.length, `boostPads[${i}].length`),
+            width: positive(p.width, DEFAULT_BOOST_PAD.width, `boostPads[${i}].width`)
+        };
+    });
+}
+
+function parseCheckpoints(value) {
+    if (value === undefined) return evenly(15);
+    if (Array.isArray(value)) {
+        if (value[0] !== 0) throw new Error('Track: the first checkpoint must be the start line (0)');
+        for (let i = 0; i < value.length; i++) {
+            const t = value[i];
+            if (!Number.isFinite(t) || t < 0 || t >= 1) throw new Error(`Track: checkpoint ${i} must be a curve fraction in [0, 1)`);
+            if (i > 0 && t <= value[i - 1]) throw new Error('Track: checkpoints must be in increasing order');
+        }
+        return value.slice();
+    }
+    if (Number.isInteger(value.count) && value.count >= 2) return evenly(value.count);
+    throw new Error('Track: checkpoints must be a list of fractions or { count }');
+}
+
+function evenly(count) {
+    return Array.from({ length: count }, (_, i) => i / count);
+}
+
+function parseSpawn(value = {}) {
+    const slot = (s, i) => {
+        if (!s || !Number.isFinite(s.distance)) throw new Error(`Track: grid slot ${i} needs a distance`);
+        return { distance: s.distance, lateral: finite(s.lateral, 0, `grid[${i}].lateral`) };
+    };
+    return {
+        player: value.player ? slot(value.player, 'player') : Object.assign({}, DEFAULT_SPAWN.player),
+        grid: Array.isArray(value.grid) && value.grid.length ? value.grid.map(slot) : DEFAULT_SPAWN.grid.map(s => Object.assign({}, s))
+    };
+}
+
+function parseProps(value = {}, roadWidth) {
+    const crates = Object.assign({ count: 75, spread: roadWidth * 0.875 }, value.crates);
+    const arches = Object.assign({ count: 15 }, value.arches);
+    const placed = (value.placed || []).map((p, i) => {
+        if (!PROP_TYPES.includes(p.type)) throw new Error(`Track: prop ${i} has unknown type "${p.type}"`);
+        if (!Number.isFinite(p.t)) throw new Error(`Track: prop ${i} needs a curve fraction t`);
+        return { type: p.type, t: ((p.t % 1) + 1) % 1, lateral: finite(p.lateral, 0, `props.placed[${i}].lateral`) };
+    });
+    return { crates, arches, placed };
+}
+
+function parseTheme(value = {}) {
+    const d = DEFAULT_THEME;
+    const fog = value.fog || {};
+    const ambient = value.ambient || {};
+    const sun = value.sun || {};
+    return {
+        background: color(value.background, d.background),
+        fog: { color: color(fog.color, d.fog.color), density: finite(fog.density, d.fog.density, 'theme.fog.density') },
+        ambient: { color: color(ambient.color, d.ambient.color), intensity: finite(ambient.intensity, d.ambient.intensity, 'theme.ambient.intensity') },
+        sun: {
+            color: color(sun.color, d.sun.color),
+            intensity: finite(sun.intensity, d.sun.intensity, 'theme.sun.intensity'),
+            position: Array.isArray(sun.position) && sun.position.length === 3 ? sun.position.slice() : d.sun.position.slice()
+        },
+        ground: color(value.ground, d.ground),
+        asphalt: color(value.asphalt, d.asphalt),
+        shoulder: color(value.shoulder, d.shoulder),
+        buildings: color(value.buildings, d.buildings),
+        primary: color(value.primary, d.primary),
+        secondary: color(value.secondary, d.secondary),
+        stars: Math.round(finite(value.stars, d.stars, 'theme.stars'))
+    };
+}
+
+// -----------------------------
+// Value helpers
+// -----------------------------
+function finite(value, fallback, name) {
+    if (value === undefined) return fallback;
+    if (!Number.isFinite(value)) throw new Error(`Track: ${name} must be a number`);
+    return value;
+}
+
+function positive(value, fallback, name) {
+    const n = finite(value, fallback, name);
+    if (n <= 0) throw new Error(`Track: ${name} must be positive`);
+    return n;
+}
+
+// "#rrggbb" (or a plain number) -> 0xrrggbb
+function color(value, fallback) {
+    if (value === undefined) return fallback;
+    if (Number.isInteger(value)) return value;
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return parseInt(value.slice(1), 16);
+    throw new Error(`Track: "${value}" is not a #rrggbb colour`);
+}
@@ -0,0 +1,79 @@
+import { Track } from './Track.js';
+import { parseTrackDefinition } from './TrackDefinition.js';
+import { nextFrame } from '../core/Loading.js';
+import neonCity from './tracks/neon-city.json';
+import harborLoop from './tracks/harbor-loop.json';
+import canyonRun from './tracks/canyon-run.json';
+
+// Track loader
+// - Built-in circuits (JSON in ./tracks), parsed and validated once at startup
+// - loadTrack() turns a definition (or a built-in id) into a Track in the scene;
+//   loadTrackStepwise() does the same one generation step per frame, reporting progress
+// - parseTrackJSON() reads user-supplied files with the same validation
+
+export const TRACKS = [neonCity, harborLoop, canyonRun].map(parseTrackDefinition);
+
+export const DEFAULT_TRACK_ID = 'neon-city';
+
+// Built-in definition by id (unknown ids fall back to the default circuit)
+export function getTrackDefinition(id) {
+    return TRACKS.find(t => t.id === id) || TRACKS.find(t => t.id === DEFAULT_TRACK_ID);
+}
+
+// Reads ?track=harbor-loop from a URL query string; returns null when absent/unknown
+export function trackFromUrl(search = (typeof location !== 'undefined' ? location.search : '')) {
+    const value = new URLSearchParams(search).get('track');
+    return value && TRACKS.some(t => t.id === value) ? value : null;
+}
+
+/**
+ * Parse a track file's text.
+ * @param {string} text JSON
+ * @returns {object} validated definition (throws with a readable message)
+ */
+export function parseTrackJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Track: invalid JSON (${err.message})`);
+    }
+    return parseTrackDefinition(data);
+}
+
+/**
+ * Build a Track from a definition or a built-in id.
+ * @param {THREE.Scene} scene
+ * @param {object|string} source parsed definition or track id
+ * @param {object} [opts] passed to Track (rng / seed)
+ */
+export function loadTrack(scene, source, opts = {}) {
+    const definition = typeof source === 'string' ? getTrackDefinition(source) : source;
+    return new Track(scene, Object.assign({}, opts, { definition }));
+}
+
+/**
+ * Build a Track one generation step per frame, so a loading bar can repaint in between.
+ * @param {THREE.Scene} scene
+ * @param {object|string} source parsed definition or track id
+ * @param {object} [opts] passed to Track (rng / seed)
+ * @param {LoadingTracker} [progress] gets every step name up front (expect) and as it finishes (step)
+ * @returns {Promise<Track>} rejects with the error of a step that threw (reported as failed)
+ */
+export async function loadTrackStepwise(scene, source, opts = {}, progress = null) {
+    const definition = typeof source === 'string' ? getTrackDefinition(source) : source;
+    const track = new Track(scene, Object.assign({}, opts, { definition, deferred: true }));
+    const steps = track.generationSteps().map(([name, run]) => [`track: ${name}`, run]);
+    if (progress) progress.expect(steps.map(([name]) => name));
+    for (const [name, run] of steps) {
+        await nextFrame();
+        try {
+            run();
+        } catch (err) {
+            if (progress) progress.fail(name, err); // the track is unusable: the caller gives up
+            throw err;
+        }
+        if (progress) progress.step(name);
+    }
+    return track;
+}